@@ -36,7 +36,8 @@ module.exports = function(grunt) {
       target: [
         'Gruntfile.js',
         'src/**/*.js',
-        'test/**/*.js'
+        'test/**/*.js',
+        'scripts/**/*.js'
       ]
     },
 
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This script runs a language server for Bali Document Notation™ documents that
+ * communicates with its client over stdin and stdout.
+ */
+const debug = 0;  // anything logged goes to stderr so it doesn't corrupt the protocol
+const bali = require('../').api(debug);
+const server = bali.languageServer(debug);
+server.listen(process.stdin, process.stdout).then(function(code) {
+    process.exit(code);
+});
@@ -19,7 +19,20 @@ const abstractions = require('./src/abstractions');  // depends on utilities
 const elements = require('./src/elements');  // depends on abstractions
 const structures = require('./src/structures');  // depends on elements
 const collections = require('./src/collections');  // depends on structures
-utilities.Parser = require('./src/utilities/Parser').Parser;  // depends on everything (must be last)
+utilities.Parser = require('./src/utilities/Parser').Parser;  // depends on all components
+utilities.Converter = require('./src/utilities/Converter').Converter;  // depends on Parser
+utilities.StreamingParser = require('./src/utilities/StreamingParser').StreamingParser;  // depends on Parser
+utilities.LanguageServer = require('./src/utilities/LanguageServer').LanguageServer;  // depends on Parser
+utilities.Repository = require('./src/utilities/Repository').Repository;  // depends on Parser
+utilities.Messenger = require('./src/utilities/Messenger').Messenger;  // depends on Parser
+utilities.Notary = require('./src/utilities/Notary').Notary;  // depends on Parser
+utilities.Encoder = require('./src/utilities/Encoder').Encoder;  // depends on all components
+utilities.SchemaValidator = require('./src/utilities/SchemaValidator').SchemaValidator;  // depends on all components
+utilities.Library = require('./src/utilities/Library').Library;  // depends on all components
+utilities.Scheduler = require('./src/utilities/Scheduler').Scheduler;  // depends on collections
+utilities.Publisher = require('./src/utilities/Publisher').Publisher;  // depends on Scheduler
+utilities.Dispatcher = require('./src/utilities/Dispatcher').Dispatcher;  // depends on Scheduler
+utilities.Interpreter = require('./src/utilities/Interpreter').Interpreter;  // depends on Dispatcher, Library, Messenger and Publisher
 
 
 // PRIVATE FUNCTIONS
@@ -229,6 +242,20 @@ exports.api = function(defaultLevel) {
         return collections.Catalog.extraction(catalog, keys, debug);
     };
 
+    // CITATION
+    const citation = function(document, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return structures.Citation.fromDocument(document, debug);
+    };
+    citation.fromCatalog = function(catalog, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return structures.Citation.fromCatalog(catalog, debug);
+    };
+    citation.fromReference = function(reference, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return structures.Citation.fromReference(reference, debug);
+    };
+
     // COMPARATOR
     const comparator = function(algorithm, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -254,12 +281,24 @@ exports.api = function(defaultLevel) {
         return new utilities.Controller(eventTypes, nextStates, currentState, debug);
     };
 
+    // CONVERTER
+    const converter = function(options, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Converter(options, debug);
+    };
+
     // DECODER
     const decoder = function(indentation, debug) {
         if (debug === undefined) debug = defaultLevel;
         return new utilities.Decoder(indentation, debug);
     };
 
+    // DISPATCHER
+    const dispatcher = function(handler, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Dispatcher(handler, debug);
+    };
+
     // DURATION
     const duration = function(value, parameters, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -282,6 +321,20 @@ exports.api = function(defaultLevel) {
         return elements.Duration.scaled(duration, factor, debug);
     };
 
+    // ENCODER
+    const encoder = function(debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Encoder(debug);
+    };
+
+    // EVALUATE
+    const evaluate = async function(expression, variables, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        const parser = new utilities.Parser(debug);
+        const interpreter = new utilities.Interpreter(undefined, debug);
+        return interpreter.evaluateExpression(parser.parseExpression(expression), variables);
+    };
+
     // EXCEPTION
     const exception = function(attributes, cause, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -317,6 +370,24 @@ exports.api = function(defaultLevel) {
         return catalog;
     };
 
+    // INTERPRETER
+    const interpreter = function(services, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Interpreter(services, debug);
+    };
+
+    // LANGUAGE SERVER
+    const languageServer = function(debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.LanguageServer(debug);
+    };
+
+    // LIBRARY
+    const library = function(debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Library(debug);
+    };
+
     // LIST
     const list = function(items, parameters, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -329,6 +400,12 @@ exports.api = function(defaultLevel) {
         return collections.List.concatenation(first, second, debug);
     };
 
+    // MESSENGER
+    const messenger = function(directory, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Messenger(directory, debug);
+    };
+
     // MOMENT
     const moment = function(value, parameters, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -357,6 +434,12 @@ exports.api = function(defaultLevel) {
         return elements.Name.concatenation(first, second, debug);
     };
 
+    // NOTARY
+    const notary = function(directory, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Notary(directory, debug);
+    };
+
     // NUMBER
     const number = function(real, imaginary, parameters, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -411,6 +494,12 @@ exports.api = function(defaultLevel) {
         return elements.Number.sum(first, second, debug);
     };
 
+    // PARSER
+    const parser = function(options, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Parser(debug, options);
+    };
+
     // PATTERN
     const pattern = function(value, parameters, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -475,6 +564,12 @@ exports.api = function(defaultLevel) {
         return new structures.Procedure(statements, parameters, debug);
     };
 
+    // PUBLISHER
+    const publisher = function(debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Publisher(debug);
+    };
+
     // QUEUE
     const queue = function(items, parameters, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -495,6 +590,18 @@ exports.api = function(defaultLevel) {
         return new elements.Reference(value, parameters, debug);
     };
 
+    // REPOSITORY
+    const repository = function(directory, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.Repository(directory, debug);
+    };
+
+    // SCHEMA VALIDATOR
+    const schemaValidator = function(debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.SchemaValidator(debug);
+    };
+
     // SET
     const set = function(items, parameters, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -527,6 +634,12 @@ exports.api = function(defaultLevel) {
         return collection;
     };
 
+    // STREAMING PARSER
+    const streamingParser = function(handler, debug) {
+        if (debug === undefined) debug = defaultLevel;
+        return new utilities.StreamingParser(handler, debug);
+    };
+
     // SYMBOL
     const symbol = function(value, parameters, debug) {
         if (debug === undefined) debug = defaultLevel;
@@ -627,28 +740,43 @@ exports.api = function(defaultLevel) {
         association: association,
         binary: binary,
         catalog: catalog,
+        citation: citation,
         component: component,
         comparator: comparator,
         controller: controller,
+        converter: converter,
         configurator: configurator,
         decoder: decoder,
+        dispatcher: dispatcher,
         duration: duration,
+        encoder: encoder,
+        evaluate: evaluate,
         exception: exception,
         generator: generator,
         instance: instance,
+        interpreter: interpreter,
+        languageServer: languageServer,
+        library: library,
         list: list,
+        messenger: messenger,
         moment: moment,
         name: name,
+        notary: notary,
         number: number,
+        parser: parser,
         pattern: pattern,
         percent: percent,
         probability: probability,
         procedure: procedure,
+        publisher: publisher,
         queue: queue,
         range: range,
         reference: reference,
+        repository: repository,
+        schemaValidator: schemaValidator,
         set: set,
         stack: stack,
+        streamingParser: streamingParser,
         symbol: symbol,
         tag: tag,
         text: text,
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This script compares how long the generated parser and the data parser take to build
+ * the parse trees for the test documents. It is kept out of the unit tests since the
+ * wall-clock timings depend on the machine that runs them.
+ *
+ * Usage: node scripts/benchmark.js
+ */
+const fs = require('fs');
+const antlr = require('antlr4');
+const grammar = require('../src/grammar');
+const DataParser = require('../src/utilities/DataParser').DataParser;
+const debug = 0;
+
+const files = [
+    'test/source/certificate.bali',
+    'test/source/citation.bali',
+    'test/source/components.bali',
+    'test/source/elements.bali',
+    'test/source/examples.bali',
+    'test/source/statements.bali'
+];
+const documents = files.map(function(file) {
+    return fs.readFileSync(file, 'utf8');
+}).filter(function(document) {
+    return !document.includes('{');  // procedures use the generated parser
+});
+
+// the parse trees are converted into components the same way for both parsers
+const parsers = {
+    generated: function(document) {
+        const lexer = new grammar.DocumentLexer(new antlr.InputStream(document));
+        return new grammar.DocumentParser(new antlr.CommonTokenStream(lexer)).document();
+    },
+    data: function(document) {
+        return new DataParser(debug).parseDocument(document);
+    }
+};
+
+const benchmark = function(parse, passes) {
+    const start = process.hrtime.bigint();
+    for (var i = 0; i < passes; i++) {
+        documents.forEach(parse);
+    }
+    return Number(process.hrtime.bigint() - start) / 1000000;  // milliseconds
+};
+
+const fastest = function(parse) {
+    benchmark(parse, 5);  // warm up the parser first
+    var fastest = Infinity;
+    for (var run = 0; run < 10; run++) {
+        fastest = Math.min(fastest, benchmark(parse, 5));  // ignore any garbage collection pauses
+    }
+    return fastest;
+};
+
+const slow = fastest(parsers.generated);
+const fast = fastest(parsers.data);
+console.log('generated parser: ' + slow.toFixed(1) + 'ms');
+console.log('data parser: ' + fast.toFixed(1) + 'ms (' + (slow / fast).toFixed(1) + 'x faster)');
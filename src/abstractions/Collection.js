@@ -54,7 +54,7 @@ exports.Collection = Collection;
  * @param {Visitor} visitor The visitor that wants to visit this collection.
  */
 Collection.prototype.acceptVisitor = function(visitor) {
-    visitor.visitCollection(this);
+    return visitor.visitCollection(this);
 };
 
 
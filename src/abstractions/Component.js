@@ -13,6 +13,7 @@
 /**
  * This abstract class defines the methods that all components must support.
  */
+const crypto = require('crypto');
 const utilities = require('../utilities');
 const Exception = require('../structures/Exception').Exception;
 
@@ -170,13 +171,16 @@ Component.prototype.toString = function() {
 
 /**
  * This method returns a canonical Bali Document Notation™ representation of this component.
+ * The layout of the representation may be changed using the formatting options (see the
+ * Formatter class), e.g. {width: 80} or {compact: true}.
  *
  * @param {Number} indentation The number of levels of indentation that should be prepended to
  * each line of the string output.
+ * @param {Object} options An optional object containing the formatting options.
  * @returns {String} A canonical Bali Document Notation™ representation of the component.
  */
-Component.prototype.toBDN = function(indentation) {
-    const formatter = new utilities.Formatter(indentation, this.debug);
+Component.prototype.toBDN = function(indentation, options) {
+    const formatter = new utilities.Formatter(indentation, this.debug, options);
     return formatter.formatComponent(this);
 };
 
@@ -325,6 +329,57 @@ Component.prototype.getHash = function() {
 };
 
 
+/**
+ * This method returns a cryptographic digest of the canonical form of this component (see
+ * the Formatter class). Since the canonical form does not depend on the order in which the
+ * associations in a catalog were added, equal components always have the same digest. The
+ * digest is calculated using the UTF-8 encoded bytes of the canonical form.
+ *
+ * @param {String} algorithm The hash algorithm to use, either '$sha256' or '$sha512'. The
+ * default is '$sha512'.
+ * @param {String} format The type of element to return the digest as, either '$binary'
+ * or '$tag'. The default is '$binary'.
+ * @returns {Binary|Tag} The digest of the canonical form of this component.
+ */
+Component.prototype.getDigest = function(algorithm, format) {
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/abstractions/Component', '$getDigest', '$algorithm', algorithm, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+        validator.validateType('/bali/abstractions/Component', '$getDigest', '$format', format, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+    }
+    algorithm = algorithm || '$sha512';
+    format = format || '$binary';
+    if (!DIGEST_ALGORITHMS[algorithm] || (format !== '$binary' && format !== '$tag')) {
+        const exception = new Exception({
+            $module: '/bali/abstractions/Component',
+            $procedure: '$getDigest',
+            $exception: '$invalidParameter',
+            $algorithm: algorithm,
+            $format: format,
+            $text: 'An invalid digest algorithm or format was specified.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    const formatter = new utilities.Formatter(0, this.debug, {canonical: true});
+    const bytes = Buffer.from(formatter.formatComponent(this), 'utf8');
+    const digest = crypto.createHash(DIGEST_ALGORITHMS[algorithm]).update(bytes).digest();
+    const elements = require('../elements');  // required here to avoid a circular dependency
+    if (format === '$tag') {
+        const decoder = new utilities.Decoder(0, this.debug);
+        const value = decoder.base32Encode(digest).replace(/\s/g, '');  // on a single line
+        return new elements.Tag(value, undefined, this.debug);
+    }
+    return new elements.Binary(digest, undefined, this.debug);
+};
+
+
 /**
  * This method returns a duplicate of this component.  A deep copy is made of all mutable
  * (non-elemental) attributes.
@@ -342,6 +397,7 @@ Component.prototype.duplicate = function() {
  * implemented by a subclass.
  *
  * @param {Visitor} visitor The visitor that wants to visit this component.
+ * @returns {Object} Whatever the visit method of the visitor returns (e.g. a promise).
  */
 Component.prototype.acceptVisitor = function(visitor) {
     const exception = new Exception({
@@ -353,3 +409,12 @@ Component.prototype.acceptVisitor = function(visitor) {
     if (this.debug > 0) console.error(exception.toString());
     throw exception;
 };
+
+
+// PRIVATE CONSTANTS
+
+// the hash algorithms that may be used to calculate a digest
+const DIGEST_ALGORITHMS = {
+    $sha256: 'sha256',
+    $sha512: 'sha512'
+};
@@ -81,5 +81,5 @@ Element.prototype.toLiteral = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Element.prototype.acceptVisitor = function(visitor) {
-    visitor.visitElement(this);
+    return visitor.visitElement(this);
 };
@@ -144,7 +144,7 @@ Angle.prototype.getDegrees = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Angle.prototype.acceptVisitor = function(visitor) {
-    visitor.visitAngle(this);
+    return visitor.visitAngle(this);
 };
 
 
@@ -68,7 +68,7 @@ exports.Binary = Binary;
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Binary.prototype.acceptVisitor = function(visitor) {
-    visitor.visitBinary(this);
+    return visitor.visitBinary(this);
 };
 
 
@@ -176,7 +176,7 @@ Complex.prototype.isInfinite = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Complex.prototype.acceptVisitor = function(visitor) {
-    visitor.visitNumber(this);
+    return visitor.visitNumber(this);
 };
 
 
@@ -89,7 +89,7 @@ Duration.prototype.toBoolean = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Duration.prototype.acceptVisitor = function(visitor) {
-    visitor.visitDuration(this);
+    return visitor.visitDuration(this);
 };
 
 
@@ -122,7 +122,7 @@ Moment.prototype.toBoolean = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Moment.prototype.acceptVisitor = function(visitor) {
-    visitor.visitMoment(this);
+    return visitor.visitMoment(this);
 };
 
 
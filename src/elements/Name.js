@@ -76,7 +76,7 @@ exports.Name = Name;
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Name.prototype.acceptVisitor = function(visitor) {
-    visitor.visitName(this);
+    return visitor.visitName(this);
 };
 
 
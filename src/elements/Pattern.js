@@ -99,5 +99,5 @@ Pattern.prototype.matches = function(component) {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Pattern.prototype.acceptVisitor = function(visitor) {
-    visitor.visitPattern(this);
+    return visitor.visitPattern(this);
 };
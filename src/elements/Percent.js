@@ -87,7 +87,7 @@ Percent.prototype.toNumber = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Percent.prototype.acceptVisitor = function(visitor) {
-    visitor.visitPercent(this);
+    return visitor.visitPercent(this);
 };
 
 
@@ -129,7 +129,7 @@ Percent.sum = function(first, second, debug) {
             '/bali/elements/Percent'
         ]);
     }
-    const calculator = new utilities.Calculator(this.debug);
+    const calculator = new utilities.Calculator(debug);
     return new Percent(calculator.sum(first.getValue(), second.getValue()), first.getParameters(), debug);
 };
 
@@ -152,7 +152,7 @@ Percent.difference = function(first, second, debug) {
             '/bali/elements/Percent'
         ]);
     }
-    const calculator = new utilities.Calculator(this.debug);
+    const calculator = new utilities.Calculator(debug);
     return new Percent(calculator.difference(first.getValue(), second.getValue()), first.getParameters(), debug);
 };
 
@@ -175,6 +175,6 @@ Percent.scaled = function(percent, factor, debug) {
             '/javascript/Number'
         ]);
     }
-    const calculator = new utilities.Calculator(this.debug);
+    const calculator = new utilities.Calculator(debug);
     return new Percent(calculator.product(percent.getValue(), factor), percent.getParameters(), debug);
 };
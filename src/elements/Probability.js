@@ -104,7 +104,7 @@ Probability.prototype.toNumber = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Probability.prototype.acceptVisitor = function(visitor) {
-    visitor.visitProbability(this);
+    return visitor.visitProbability(this);
 };
 
 
@@ -143,7 +143,7 @@ Probability.not = function(probability, debug) {
             '/bali/elements/Probability'
         ]);
     }
-    const calculator = new utilities.Calculator(this.debug);
+    const calculator = new utilities.Calculator(debug);
     const p = calculator.difference(1, probability.getValue());
     const result = new Probability(p, probability.getParameters(), debug);
     return result;
@@ -175,7 +175,7 @@ Probability.and = function(first, second, debug) {
     }
     const p1 = first.getValue();
     const p2 = second.getValue();
-    const calculator = new utilities.Calculator(this.debug);
+    const calculator = new utilities.Calculator(debug);
     const p = calculator.product(p1, p2);
     const result = new Probability(p, first.getParameters(), debug);
     return result;
@@ -208,7 +208,7 @@ Probability.sans = function(first, second, debug) {
     }
     const p1 = first.getValue();
     const p2 = second.getValue();
-    const calculator = new utilities.Calculator(this.debug);
+    const calculator = new utilities.Calculator(debug);
     const p = calculator.product(p1, calculator.difference(1, p2));
     const result = new Probability(p, first.getParameters(), debug);
     return result;
@@ -242,7 +242,7 @@ Probability.or = function(first, second, debug) {
     }
     const p1 = first.getValue();
     const p2 = second.getValue();
-    const calculator = new utilities.Calculator(this.debug);
+    const calculator = new utilities.Calculator(debug);
     const p = calculator.sum(p1, p2, calculator.product(-p1, p2));
     const result = new Probability(p, first.getParameters(), debug);
     return result;
@@ -276,7 +276,7 @@ Probability.xor = function(first, second, debug) {
     }
     const p1 = first.getValue();
     const p2 = second.getValue();
-    const calculator = new utilities.Calculator(this.debug);
+    const calculator = new utilities.Calculator(debug);
     const p = calculator.sum(p1, p2, calculator.product(-2, p1, p2));
     const result = new Probability(p, first.getParameters(), debug);
     return result;
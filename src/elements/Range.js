@@ -75,7 +75,7 @@ Range.prototype.getValue = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Range.prototype.acceptVisitor = function(visitor) {
-    visitor.visitRange(this);
+    return visitor.visitRange(this);
 };
 
 
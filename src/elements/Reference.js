@@ -181,5 +181,5 @@ Reference.prototype.getFragment = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Reference.prototype.acceptVisitor = function(visitor) {
-    visitor.visitReference(this);
+    return visitor.visitReference(this);
 };
@@ -75,7 +75,7 @@ exports.Symbol = Symbol;
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Symbol.prototype.acceptVisitor = function(visitor) {
-    visitor.visitSymbol(this);
+    return visitor.visitSymbol(this);
 };
 
 
@@ -94,7 +94,7 @@ Tag.prototype.toBoolean = function() {
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Tag.prototype.acceptVisitor = function(visitor) {
-    visitor.visitTag(this);
+    return visitor.visitTag(this);
 };
 
 
@@ -65,7 +65,7 @@ exports.Text = Text;
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Text.prototype.acceptVisitor = function(visitor) {
-    visitor.visitText(this);
+    return visitor.visitText(this);
 };
 
 
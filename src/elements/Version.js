@@ -76,7 +76,7 @@ exports.Version = Version;
  * @param {Visitor} visitor The visitor that wants to visit this element.
  */
 Version.prototype.acceptVisitor = function(visitor) {
-    visitor.visitVersion(this);
+    return visitor.visitVersion(this);
 };
 
 
@@ -137,5 +137,5 @@ Association.prototype.toBoolean = function() {
  * @param {Visitor} visitor The visitor that wants to visit this association.
  */
 Association.prototype.acceptVisitor = function(visitor) {
-    visitor.visitAssociation(this);
+    return visitor.visitAssociation(this);
 };
@@ -0,0 +1,315 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This structure class implements a citation to a specific version of a document. A
+ * citation identifies the document by its tag (or by its name if the document is stored
+ * in a repository) and version, and contains the SHA-512 digest of the canonical form
+ * of the document (see Component.getDigest) so that any changes to the cited document
+ * can be detected. A citation is formatted as a catalog:
+ * <pre>
+ *   [
+ *       $tag: #LM9JSK8KDYKBGGYT0J0M2PG7YWAWX14P
+ *       $version: v1
+ *       $digest: '...'
+ *   ]($type: /bali/notary/Citation/v1)
+ * </pre>
+ *
+ * A citation may also be converted to and from a reference of the following form:
+ * <pre>
+ *   <bali:LM9JSK8KDYKBGGYT0J0M2PG7YWAWX14P/v1?digest=...>
+ *   <bali:/acme/reports/annual/v1?digest=...>
+ * </pre>
+ *
+ * Since a citation is immutable it may be shared between documents.
+ */
+const utilities = require('../utilities');
+const abstractions = require('../abstractions');
+const elements = require('../elements');
+const collections = require('../collections');  // only used once everything is loaded
+const Exception = require('./Exception').Exception;
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new citation to a version of a document.
+ *
+ * @param {Tag|Name} identifier The tag (or name) that identifies the cited document.
+ * @param {Version} version The version of the cited document.
+ * @param {Binary} digest The SHA-512 digest of the cited document.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Citation} A new citation.
+ */
+const Citation = function(identifier, version, digest, debug) {
+    abstractions.Structure.call(
+        this,
+        ['/bali/structures/Citation'],
+        [],
+        {$type: TYPE},
+        debug
+    );
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/structures/Citation', '$Citation', '$identifier', identifier, [
+            '/bali/elements/Tag',
+            '/bali/elements/Name'
+        ]);
+        validator.validateType('/bali/structures/Citation', '$Citation', '$version', version, [
+            '/bali/elements/Version'
+        ]);
+        validator.validateType('/bali/structures/Citation', '$Citation', '$digest', digest, [
+            '/bali/elements/Binary'
+        ]);
+    }
+
+    const attributes = new collections.Catalog({$type: TYPE}, this.debug);
+    attributes.setAttribute(identifier.isType('/bali/elements/Tag') ? '$tag' : '$name', identifier);
+    attributes.setAttribute('$version', version);
+    attributes.setAttribute('$digest', digest);
+
+    // since this structure is immutable the attributes must be read-only
+    this.getAttribute = function(key) {
+        return attributes.getAttribute(key);
+    };
+
+    this.getAttributes = function() {
+        return attributes.duplicate();
+    };
+
+    this.setAttribute = function(key, value) {
+        const exception = new Exception({
+            $module: '/bali/structures/Citation',
+            $procedure: '$setAttribute',
+            $exception: '$immutableStructure',
+            $key: key,
+            $text: 'The attributes of a citation cannot be changed.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    };
+
+    return this;
+};
+Citation.prototype = Object.create(abstractions.Structure.prototype);
+Citation.prototype.constructor = Citation;
+exports.Citation = Citation;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method determines whether or not this structure is meaningful. A citation is
+ * always meaningful.
+ *
+ * @returns {Boolean} Whether or not this citation is meaningful.
+ */
+Citation.prototype.toBoolean = function() {
+    return true;
+};
+
+
+/**
+ * This method returns this citation since it is immutable.
+ *
+ * @returns {Citation} This citation.
+ */
+Citation.prototype.duplicate = function() {
+    return this;
+};
+
+
+/**
+ * This method determines whether or not this citation refers to the specified document.
+ * The digest of the document is recalculated and must match the digest in the citation.
+ * If the citation identifies the document by its tag, the tag and version parameters of
+ * the (content of the) document must also match the citation.
+ *
+ * @param {Component} document The (possibly notarized) document.
+ * @returns {Boolean} Whether or not this citation refers to the document.
+ */
+Citation.prototype.matches = function(document) {
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/structures/Citation', '$matches', '$document', document, [
+            '/bali/abstractions/Component'
+        ]);
+    }
+    const tag = this.getAttribute('$tag');
+    if (tag) {
+        const content = getContent(document);
+        if (!tag.isEqualTo(content.getParameter('$tag'))) return false;
+        if (!this.getAttribute('$version').isEqualTo(content.getParameter('$version'))) return false;
+    }
+    return this.getAttribute('$digest').isEqualTo(document.getDigest('$sha512'));
+};
+
+
+/**
+ * This method returns a reference that contains all of the attributes of this citation.
+ *
+ * @returns {Reference} A reference to the cited document.
+ */
+Citation.prototype.toReference = function() {
+    const tag = this.getAttribute('$tag');
+    const identifier = tag ? tag.getValue() : this.getAttribute('$name').toString();
+    const version = this.getAttribute('$version').toString();
+    const decoder = new utilities.Decoder(0, this.debug);
+    const digest = decoder.base32Encode(this.getAttribute('$digest').getValue()).replace(/\s/g, '');
+    return new elements.Reference(SCHEME + ':' + identifier + '/' + version + '?digest=' + digest, undefined, this.debug);
+};
+
+
+/**
+ * This method accepts a visitor as part of the visitor pattern. The visitor visits the
+ * catalog containing the attributes of the citation.
+ *
+ * @param {Visitor} visitor The visitor that wants to visit this citation.
+ */
+Citation.prototype.acceptVisitor = function(visitor) {
+    return this.getAttributes().acceptVisitor(visitor);
+};
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a citation to the specified document. The document (or the
+ * content of the document if it has been notarized) must be parameterized with a tag and
+ * version, like the documents created by the instance() function.
+ *
+ * @param {Component} document The (possibly notarized) document to be cited.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Citation} A citation to the document.
+ */
+Citation.fromDocument = function(document, debug) {
+    if (debug > 1) {
+        const validator = new utilities.Validator(debug);
+        validator.validateType('/bali/structures/Citation', '$fromDocument', '$document', document, [
+            '/bali/abstractions/Component'
+        ]);
+    }
+    const content = getContent(document);
+    const tag = content.getParameter('$tag');
+    const version = content.getParameter('$version');
+    if (!tag || !tag.isType('/bali/elements/Tag') || !version || !version.isType('/bali/elements/Version')) {
+        const exception = new Exception({
+            $module: '/bali/structures/Citation',
+            $procedure: '$fromDocument',
+            $exception: '$invalidParameter',
+            $document: document,
+            $text: 'A cited document must be parameterized with a tag and version.'
+        });
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return new Citation(tag, version, document.getDigest('$sha512'), debug);
+};
+
+
+/**
+ * This function creates a citation from a catalog containing its attributes, for example
+ * a citation that was parsed from a document.
+ *
+ * @param {Catalog} catalog The catalog containing the attributes of the citation.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Citation} The corresponding citation.
+ */
+Citation.fromCatalog = function(catalog, debug) {
+    if (debug > 1) {
+        const validator = new utilities.Validator(debug);
+        validator.validateType('/bali/structures/Citation', '$fromCatalog', '$catalog', catalog, [
+            '/bali/collections/Catalog',
+            '/bali/structures/Citation'
+        ]);
+    }
+    if (catalog.isType('/bali/structures/Citation')) return catalog;
+    const identifier = catalog.getAttribute('$tag') || catalog.getAttribute('$name');
+    const version = catalog.getAttribute('$version');
+    const digest = catalog.getAttribute('$digest');
+    if (!identifier || !identifier.isType('/bali/elements/Tag') && !identifier.isType('/bali/elements/Name') ||
+            !version || !version.isType('/bali/elements/Version') || !digest || !digest.isType('/bali/elements/Binary')) {
+        const exception = new Exception({
+            $module: '/bali/structures/Citation',
+            $procedure: '$fromCatalog',
+            $exception: '$invalidParameter',
+            $catalog: catalog,
+            $text: 'The catalog does not contain the attributes of a citation.'
+        });
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return new Citation(identifier, version, digest, debug);
+};
+
+
+/**
+ * This function creates a citation from a reference of the form returned by the
+ * toReference() method.
+ *
+ * @param {Reference} reference The reference to the cited document.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Citation} The corresponding citation.
+ */
+Citation.fromReference = function(reference, debug) {
+    if (debug > 1) {
+        const validator = new utilities.Validator(debug);
+        validator.validateType('/bali/structures/Citation', '$fromReference', '$reference', reference, [
+            '/bali/elements/Reference'
+        ]);
+    }
+    try {
+        if (reference.getScheme() !== SCHEME) throw Error('The reference does not use the bali scheme.');
+        const value = reference.getValue();
+        const path = value.pathname;
+        const slash = path.lastIndexOf('/');
+        const identifier = path.startsWith('/') ?
+            new elements.Name(path.slice(1, slash).split('/'), undefined, debug) :
+            new elements.Tag(path.slice(0, slash), undefined, debug);
+        const version = new elements.Version(path.slice(slash + 2).split('.').map(Number), undefined, debug);
+        const decoder = new utilities.Decoder(0, debug);
+        const digest = new elements.Binary(decoder.base32Decode(value.searchParams.get('digest')), undefined, debug);
+        return new Citation(identifier, version, digest, debug);
+    } catch (cause) {
+        const exception = new Exception({
+            $module: '/bali/structures/Citation',
+            $procedure: '$fromReference',
+            $exception: '$invalidParameter',
+            $reference: reference,
+            $text: 'The reference is not a valid citation.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+// PRIVATE CONSTANTS
+
+// the type of a citation
+const TYPE = '/bali/notary/Citation/v1';
+
+// the scheme used for references to cited documents
+const SCHEME = 'bali';
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function returns the content of a notarized document, or the document itself if
+ * it has not been notarized.
+ */
+const getContent = function(document) {
+    if (document.isType('/bali/collections/Catalog') && document.getAttribute('$content')) {
+        return document.getAttribute('$content');
+    }
+    return document;
+};
@@ -167,10 +167,11 @@ Exception.prototype.toString = function() {
  *
  * @param {Number} indentation The number of levels of indentation that should be prepended to
  * each line of the string output.
+ * @param {Object} options An optional object containing the formatting options.
  * @returns {String} A canonical Bali Document Notation™ representation of the exception.
  */
-Exception.prototype.toBDN = function(indentation) {
-    return this.getAttributes().toBDN(indentation);
+Exception.prototype.toBDN = function(indentation, options) {
+    return this.getAttributes().toBDN(indentation, options);
 };
 
 
@@ -256,5 +257,5 @@ Exception.prototype.getHash = function() {
  * @param {Visitor} visitor The visitor that wants to visit the attributes of this exception.
  */
 Exception.prototype.acceptVisitor = function(visitor) {
-    visitor.visitCatalog(this.getAttributes());
+    return visitor.visitCatalog(this.getAttributes());
 };
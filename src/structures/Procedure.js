@@ -103,5 +103,5 @@ Procedure.prototype.toLiteral = function() {
  * @param {Visitor} visitor The visitor that wants to visit this procedure.
  */
 Procedure.prototype.acceptVisitor = function(visitor) {
-    visitor.visitProcedure(this);
+    return visitor.visitProcedure(this);
 };
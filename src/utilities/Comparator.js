@@ -143,7 +143,7 @@ const natural = function(first, second) {
         if (result === 0) result = natural(first.getValue(), second.getValue());
         return result;
     }
-    if (first.isComponent && first.isType('/bali/structures/Exception')) {
+    if (first.isComponent && (first.isType('/bali/structures/Exception') || first.isType('/bali/structures/Citation'))) {
         return natural(first.getAttributes(), second.getAttributes());
     }
     if (first.isComponent && first.isType('/bali/structures/Procedure')) {
@@ -0,0 +1,277 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a converter that maps components to and from JavaScript values
+ * that can be exchanged as JSON with services that do not understand Bali Document
+ * Notation™. By default each component is mapped to a tagged object that identifies its
+ * type, so every component (including its parameters) survives the round trip:
+ * <pre>
+ *   {"$type": "/bali/elements/Moment", "value": "<2020-02-02T02:02>"}
+ *   {"$type": "/bali/collections/List", "items": [...], "parameters": {...}}
+ *   {"$type": "/bali/structures/Association", "key": {...}, "value": {...}}
+ *   {"$type": "/bali/structures/Exception", "attributes": {...}}
+ * </pre>
+ * An element (or procedure) is represented by its literal in Bali Document Notation™.
+ *
+ * In plain mode components are instead mapped to the closest native JSON values (e.g.
+ * catalogs to objects, lists to arrays, numbers to numbers and text to strings) and all
+ * parameters are dropped. Any element without a native JSON value is mapped to its
+ * literal string. This is lossy but is what most REST APIs expect.
+ */
+const utilities = require('../utilities/');
+const abstractions = require('../abstractions');
+const structures = require('../structures');
+const collections = require('../collections');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new converter using the specified options:
+ * <pre>
+ *   plain: whether or not to map components to plain (untagged) JSON values (default: false)
+ * </pre>
+ *
+ * @param {Object} options An optional object containing the conversion options.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Converter} The new converter.
+ */
+const Converter = function(options, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    this.debug = debug;
+
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/Converter', '$Converter', '$options', options, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
+
+    options = options || {};
+    this.plain = options.plain || false;
+
+    return this;
+};
+Converter.prototype.constructor = Converter;
+exports.Converter = Converter;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method maps the specified component to a JavaScript value that can be passed to
+ * JSON.stringify().
+ *
+ * @param {Component} component The component to be mapped.
+ * @returns {Object} The corresponding JavaScript value.
+ */
+Converter.prototype.toJSON = function(component) {
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/Converter', '$toJSON', '$component', component, [
+            '/bali/abstractions/Component'
+        ]);
+    }
+    const formatter = new utilities.Formatter(0, this.debug, {compact: true});
+    return this.plain ? toPlain(component, formatter, this.debug) : toTagged(component, formatter, this.debug);
+};
+
+
+/**
+ * This method maps the specified JavaScript value (e.g. the result of JSON.parse()) back
+ * to a component. In plain mode the value is converted using the same rules that are used
+ * for any other JavaScript value passed into the framework.
+ *
+ * @param {Any} value The JavaScript value to be mapped.
+ * @returns {Component} The corresponding component.
+ */
+Converter.prototype.fromJSON = function(value) {
+    if (this.plain) return abstractions.Component.prototype.componentize(value, this.debug);
+    try {
+        const parser = new utilities.Parser(0);  // the exception is logged below
+        const formatter = new utilities.Formatter(0, this.debug, {compact: true});
+        return fromTagged(value, parser, formatter, this.debug);
+    } catch (cause) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Converter',
+            $procedure: '$fromJSON',
+            $exception: '$invalidParameter',
+            $value: JSON.stringify(value),
+            $text: 'The value is not a tagged JSON representation of a component.'
+        }, cause);
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+// PRIVATE CONSTANTS
+
+// the namespaces containing the classes that can be mapped to and from JSON
+const CLASSES = /^\/bali\/(elements|collections|structures)\//;
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function returns the framework class of the specified component. This differs from
+ * its type when a catalog has been parameterized with a custom type.
+ */
+const getClass = function(component) {
+    return component.getAncestry().find(function(type) {
+        return CLASSES.test(type);
+    });
+};
+
+
+/*
+ * This function returns the literal for the specified element (or procedure) without
+ * any of its parameters.
+ */
+const formatLiteral = function(component, formatter) {
+    const literal = formatter.formatComponent(component);
+    const parameters = component.getParameters();
+    if (parameters && parameters.getSize() > 0) {
+        return literal.slice(0, -formatParameters(parameters, formatter).length);
+    }
+    return literal;
+};
+
+
+/*
+ * This function returns the compact format of the specified parameters as they appear
+ * at the end of a parameterized literal.
+ */
+const formatParameters = function(parameters, formatter) {
+    return '(' + formatter.formatComponent(parameters).slice(1, -1) + ')';
+};
+
+
+/*
+ * This function maps a component to its tagged JavaScript representation.
+ */
+const toTagged = function(component, formatter, debug) {
+    const json = {$type: getClass(component)};
+    if (component.isType('/bali/abstractions/Element') || component.isType('/bali/structures/Procedure')) {
+        json.value = formatLiteral(component, formatter);
+    } else if (component.isType('/bali/collections/Tree')) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Converter',
+            $procedure: '$toJSON',
+            $exception: '$invalidParameter',
+            $type: json.$type,
+            $text: 'A parse tree cannot be converted to JSON on its own.'
+        });
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    } else if (component.isType('/bali/abstractions/Collection')) {
+        json.items = [];
+        const iterator = component.getIterator();
+        while (iterator.hasNext()) {
+            json.items.push(toTagged(iterator.getNext(), formatter, debug));
+        }
+    } else if (component.isType('/bali/structures/Association')) {
+        json.key = toTagged(component.getKey(), formatter, debug);
+        json.value = toTagged(component.getValue(), formatter, debug);
+    } else {
+        // exceptions and citations are defined by their attributes
+        return {$type: json.$type, attributes: toTagged(component.getAttributes(), formatter, debug)};
+    }
+    const parameters = component.getParameters();
+    if (parameters && parameters.getSize() > 0) json.parameters = toTagged(parameters, formatter, debug);
+    return json;
+};
+
+
+/*
+ * This function maps a tagged JavaScript representation back to its component.
+ */
+const fromTagged = function(json, parser, formatter, debug) {
+    if (json === null || typeof json !== 'object' || typeof json.$type !== 'string') {
+        throw Error('A tagged object with a $type is required: ' + JSON.stringify(json));
+    }
+    const type = json.$type;
+    const parameters = json.parameters === undefined ? undefined : fromTagged(json.parameters, parser, formatter, debug);
+    const name = type.split('/').pop();
+    var component;
+    if (type.startsWith('/bali/elements/') || type === '/bali/structures/Procedure') {
+        var source = json.value;
+        if (parameters) source += formatParameters(parameters, formatter);
+        component = parser.parseDocument(source);
+    } else if (type.startsWith('/bali/collections/') && name !== 'Tree' && collections[name]) {
+        component = new collections[name](parameters, debug);
+        json.items.forEach(function(item) {
+            component.addItem(fromTagged(item, parser, formatter, debug));
+        });
+    } else if (type === '/bali/structures/Association') {
+        const key = fromTagged(json.key, parser, formatter, debug);
+        const value = fromTagged(json.value, parser, formatter, debug);
+        component = new structures.Association(key, value, debug);
+    } else if (type === '/bali/structures/Exception') {
+        component = new structures.Exception(fromTagged(json.attributes, parser, formatter, debug).toObject());
+    } else if (type === '/bali/structures/Citation') {
+        component = structures.Citation.fromCatalog(fromTagged(json.attributes, parser, formatter, debug), debug);
+    }
+    if (!component || getClass(component) !== type) {
+        throw Error('The value does not match its type: ' + JSON.stringify(json));
+    }
+    return component;
+};
+
+
+/*
+ * This function maps a component to the closest plain JavaScript value.
+ */
+const toPlain = function(component, formatter, debug) {
+    if (component.isType('/bali/structures/Exception') || component.isType('/bali/structures/Citation')) {
+        return toPlain(component.getAttributes(), formatter, debug);
+    }
+    switch (getClass(component)) {
+        case '/bali/elements/Pattern':
+            if (component.getValue().source === '^none$') return null;
+            break;
+        case '/bali/elements/Number':
+            if (component.getImaginary() === 0 && isFinite(component.getReal())) return component.getReal();
+            break;
+        case '/bali/elements/Probability':
+            const value = component.getValue();
+            if (value === 0 || value === 1) return value === 1;  // formatted as false and true
+            break;
+        case '/bali/elements/Text':
+            return component.getValue();
+        case '/bali/collections/Catalog':
+            const object = {};
+            const iterator = component.getIterator();
+            while (iterator.hasNext()) {
+                const association = iterator.getNext();
+                object[toKey(association.getKey(), formatter)] = toPlain(association.getValue(), formatter, debug);
+            }
+            return object;
+        case '/bali/structures/Association':
+            return {[toKey(component.getKey(), formatter)]: toPlain(component.getValue(), formatter, debug)};
+    }
+    if (component.isType('/bali/abstractions/Collection') && !component.isType('/bali/collections/Tree')) {
+        return component.toArray().map(function(item) {
+            return toPlain(item, formatter, debug);
+        });
+    }
+    return formatLiteral(component, formatter);
+};
+
+
+/*
+ * This function maps a catalog key to the string used as the key in a plain object.
+ */
+const toKey = function(key, formatter) {
+    return key.isType('/bali/elements/Text') ? key.getValue() : formatLiteral(key, formatter);
+};
@@ -0,0 +1,558 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a fast, hand written, recursive descent parser for documents
+ * that contain only data (i.e. elements, catalogs and lists). Most documents contain no
+ * procedures so they do not need the full parser that was generated using ANTLR v4.
+ *
+ * The scanner emulates the generated lexer exactly (the longest matching token wins, with
+ * ties going to the token that was declared first) and the parser produces a raw parse
+ * tree with the same structure as the generated parser for the 'document' and 'component'
+ * grammar rules. This means that the same visitor can be used to convert either parse
+ * tree into components. This parser does not report syntax errors. If it encounters
+ * anything that it does not handle (e.g. a procedure or an invalid token) it returns
+ * nothing and the source string must be parsed by the generated parser instead, which
+ * then reports the syntax error (if there is one).
+ */
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new data parser.
+ *
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {DataParser} The new data parser.
+ */
+const DataParser = function(debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    this.debug = debug;
+    return this;
+};
+DataParser.prototype.constructor = DataParser;
+exports.DataParser = DataParser;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method parses a string containing a document.
+ *
+ * @param {String} document The string containing the document.
+ * @returns {Object} The raw parse tree for the document, or undefined if the document
+ * must be parsed by the generated parser.
+ */
+DataParser.prototype.parseDocument = function(document) {
+    return parseRule(document, 'document');
+};
+
+
+/**
+ * This method parses a string containing a single component (with any parameters).
+ *
+ * @param {String} component The string containing the component.
+ * @returns {Object} The raw parse tree for the component, or undefined if the component
+ * must be parsed by the generated parser.
+ */
+DataParser.prototype.parseComponent = function(component) {
+    return parseRule(component, 'component');
+};
+
+
+// PRIVATE CONSTANTS
+
+// the literal tokens defined in the grammar rules, ':=' is not part of a data document
+// but must be scanned since it is longer than ':'
+const LITERALS = [
+    '{', ':=', '[', ']', '(', ')', ',', ':', 'undefined', '0', '∞', 'infinity', 'e^', 'i',
+    'none', 'any', 'false', 'true', '..'
+];
+
+// the fragments used to define the token patterns below
+const FLOAT = '-?(?:[1-9][0-9]*(?:\\.[0-9]+)?|0\\.[0-9]+)(?:E-?[1-9][0-9]*)?';
+const REAL = '(?:' + FLOAT + '|e|pi|π|phi|φ|tau|τ)';
+const SPAN = '(?:0|-?[1-9][0-9]*)(?:\\.[0-9]+)?';
+const TEXT = '"(?:\\\\[^\\r\\n]|[^"\\\\\\r\\n])*"';
+const TYPE = '[a-zA-Z0-9+\\-.]+';
+
+// the characters that may start a number
+const NUMERIC = '-0123456789eptπφτ';
+
+// the characters that may start an identifier
+const LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// the token patterns in the order that they are declared in the grammar, along with the
+// characters that may start each token
+const TOKENS = [
+    ['ANGLE', '~', '~(?:' + REAL + '|0)'],
+    ['BINARY', '\'', '\'[0-9A-Za-z+/\\t-\\r ]*(?:==?)?[\\t-\\r ]*\''],
+    ['DURATION', '~', '~-?P(?:' + SPAN + 'W|(?:' + SPAN + 'Y)?(?:' + SPAN + 'M)?(?:' + SPAN + 'D)?' +
+        '(?:T(?:' + SPAN + 'H)?(?:' + SPAN + 'M)?(?:' + SPAN + 'S)?)?)'],
+    ['FRACTION', '.', '\\.[0-9]+'],
+    ['IMAGINARY', NUMERIC, '(?:' + FLOAT + 'i|(?:e|pi|π|phi|φ|tau|τ) i)'],
+    ['MOMENT', '<', '<(?:0|-?[1-9][0-9]*)(?:-(?:0[0-9]|1[0-2])(?:-(?:[0-2][0-9]|3[01])' +
+        '(?:T(?:[01][0-9]|2[0-3])(?::[0-5][0-9](?::(?:[0-5][0-9]|60)(?:\\.[0-9]+)?)?)?)?)?)?>'],
+    ['NAME', '/', '(?:/' + TYPE + ')+'],
+    ['PERCENT', NUMERIC, '(?:' + REAL + '|0)%'],
+    ['RESOURCE', '<', '<' + TYPE + ':[!-=?-~]*>'],
+    ['REAL', NUMERIC, REAL],
+    ['REGEX', '"', TEXT + '\\?'],
+    ['SYMBOL', '$', '\\$[a-zA-Z][a-zA-Z0-9]*(?:-[1-9][0-9]*)?'],
+    ['TAG', '#', '#[0-9A-DF-HJ-NP-TV-Z]*'],
+    ['TEXT_BLOCK', '"', '"\\r?\\n[^]*?\\r?\\n[\\t-\\r ]*"'],
+    ['TEXT', '"', TEXT],
+    ['VERSION', 'v', 'v[1-9][0-9]*(?:\\.[1-9][0-9]*)*'],
+    ['IDENTIFIER', LETTERS, '[a-zA-Z][a-zA-Z0-9]*']
+].map(function(token) {
+    return {type: token[0], first: token[1], pattern: new RegExp(token[2], 'y')};
+});
+
+// the literals and token patterns that may start with each character (filled in lazily)
+const CANDIDATES = new Map();
+
+// the hidden tokens that separate the other tokens
+const EOL = /\r?\n/y;
+const SPACES = /[\t\v\f\r ]+/y;  // a '\r' that is followed by a '\n' is part of an EOL
+const COMMENT = /--[^]*?\n/y;
+
+// the rules for the elements that consist of a single token
+const ELEMENTS = {
+    ANGLE: 'Angle',
+    BINARY: 'Binary',
+    DURATION: 'Duration',
+    MOMENT: 'Moment',
+    NAME: 'Name',
+    PERCENT: 'Percent',
+    RESOURCE: 'Reference',
+    SYMBOL: 'Symbol',
+    TAG: 'Tag',
+    TEXT: 'Text',
+    TEXT_BLOCK: 'Text',
+    VERSION: 'Version',
+    REGEX: 'Pattern',
+    'none': 'Pattern',
+    'any': 'Pattern',
+    FRACTION: 'Probability',
+    'false': 'Probability',
+    'true': 'Probability',
+    IMAGINARY: 'Number',
+    'undefined': 'Number',
+    '∞': 'Number',
+    'infinity': 'Number'
+};
+
+// the value that is thrown when the source string must be parsed by the generated parser
+const UNSUPPORTED = {};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function parses the specified source string using the named grammar rule. It
+ * returns undefined if the source string must be parsed by the generated parser.
+ */
+const parseRule = function(source, rule) {
+    const tokens = scanTokens(source);
+    if (!tokens) return;
+    try {
+        const reader = new TokenReader(tokens);
+        const tree = rule === 'document' ? reader.readDocument() : reader.readComponent();
+        reader.expect('EOF');
+        return tree;
+    } catch (exception) {
+        if (exception === UNSUPPORTED) return;
+        throw exception;
+    }
+};
+
+
+/*
+ * This function scans the tokens in the specified source string. The hidden tokens (i.e.
+ * spaces and comments) are skipped. It returns undefined if any part of the source string
+ * cannot be scanned.
+ */
+const scanTokens = function(source) {
+    const tokens = [];
+    var index = 0;
+    while (index < source.length) {
+        var length = matchPattern(EOL, source, index);
+        if (length) {
+            tokens.push({type: 'EOL', text: source.slice(index, index + length)});
+            index += length;
+            continue;
+        }
+        length = matchPattern(SPACES, source, index) || matchPattern(COMMENT, source, index) || scanCommentBlock(source, index);
+        if (length) {
+            index += length;
+            continue;
+        }
+        var type;
+        length = 0;
+        const candidates = getCandidates(source[index]);
+        candidates.literals.forEach(function(literal) {
+            if (literal.length > length && source.startsWith(literal, index)) {
+                type = literal;
+                length = literal.length;
+            }
+        });
+        candidates.tokens.forEach(function(token) {
+            const match = matchPattern(token.pattern, source, index);
+            if (match > length) {
+                type = token.type;
+                length = match;
+            }
+        });
+        if (!length) return;  // the generated lexer will report the invalid character
+        tokens.push({type: type, text: source.slice(index, index + length)});
+        index += length;
+    }
+    tokens.push({type: 'EOF', text: '<EOF>'});
+    return tokens;
+};
+
+
+/*
+ * This function returns the literals and token patterns that may start with the specified
+ * character. They are cached since only a handful of them apply to any one character.
+ */
+const getCandidates = function(character) {
+    var candidates = CANDIDATES.get(character);
+    if (!candidates) {
+        candidates = {
+            literals: LITERALS.filter(function(literal) {
+                return literal.startsWith(character);
+            }),
+            tokens: TOKENS.filter(function(token) {
+                return token.first.includes(character);
+            })
+        };
+        CANDIDATES.set(character, candidates);
+    }
+    return candidates;
+};
+
+
+/*
+ * This function returns the length of the match for the specified (sticky) pattern at
+ * the specified index in the source string, or zero if it does not match.
+ */
+const matchPattern = function(pattern, source, index) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    return match ? match[0].length : 0;
+};
+
+
+/*
+ * This function returns the length of the (possibly nested) block comment at the
+ * specified index in the source string, or zero if there is no complete block comment.
+ */
+const scanCommentBlock = function(source, index) {
+    if (!source.startsWith('/*', index)) return 0;
+    var depth = 0;
+    var current = index;
+    while (current < source.length) {
+        if (source.startsWith('/*', current)) {
+            depth++;
+            current += 2;
+        } else if (source.startsWith('*/', current)) {
+            depth--;
+            current += 2;
+            if (depth === 0) return current - index;
+        } else {
+            current++;
+        }
+    }
+    return 0;
+};
+
+
+/*
+ * This function returns a terminal node for the specified token.
+ */
+const terminal = function(token) {
+    return {
+        getText: function() {
+            return token.text;
+        }
+    };
+};
+
+
+// PRIVATE CLASSES
+
+/*
+ * This class implements a raw parse tree node with the same interface as the context
+ * objects that are generated by ANTLR, at least the parts of it that are used by the
+ * visitor in the Parser class. The rule is the name of the grammar rule (e.g. 'Catalog')
+ * and the terminals are any named tokens within the rule (e.g. REAL).
+ */
+const Context = function(rule, children, text, terminals) {
+    this.rule = rule;
+    this.children = children;
+    this.text = text;
+    this.terminals = terminals || {};
+    return this;
+};
+Context.prototype.constructor = Context;
+
+Context.prototype.accept = function(visitor) {
+    return visitor['visit' + this.rule](this);
+};
+
+Context.prototype.getText = function() {
+    return this.text;
+};
+
+Context.prototype.getChildren = function(rule) {
+    return this.children.filter(function(child) {
+        return child.rule === rule;
+    });
+};
+
+Context.prototype.getChild = function(rule) {
+    return this.getChildren(rule)[0] || null;
+};
+
+Context.prototype.association = function() {
+    return this.getChildren('Association');
+};
+
+Context.prototype.catalog = function() {
+    return this.getChild('Catalog');
+};
+
+Context.prototype.component = function() {
+    return this.rule === 'List' ? this.getChildren('Component') : this.getChild('Component');
+};
+
+Context.prototype.element = function() {
+    return this.getChild('Element');
+};
+
+Context.prototype.parameters = function() {
+    return this.getChild('Parameters');
+};
+
+Context.prototype.value = function() {
+    return this.getChild('Value');
+};
+
+Context.prototype.ANGLE = function() {
+    return this.terminals.ANGLE || null;
+};
+
+Context.prototype.IMAGINARY = function() {
+    return this.terminals.IMAGINARY || null;
+};
+
+Context.prototype.REAL = function() {
+    return this.terminals.REAL || null;
+};
+
+
+/*
+ * This class reads the grammar rules from a sequence of tokens using recursive descent.
+ * Each method throws UNSUPPORTED if the tokens do not match the rule.
+ */
+const TokenReader = function(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    return this;
+};
+TokenReader.prototype.constructor = TokenReader;
+
+TokenReader.prototype.peek = function(offset) {
+    return this.tokens[Math.min(this.index + (offset || 0), this.tokens.length - 1)].type;
+};
+
+TokenReader.prototype.next = function() {
+    return this.tokens[this.index++];
+};
+
+TokenReader.prototype.expect = function(type) {
+    if (this.peek() !== type) throw UNSUPPORTED;
+    return this.next();
+};
+
+TokenReader.prototype.skipEOLs = function() {
+    while (this.peek() === 'EOL') this.index++;
+};
+
+// document: EOL* component EOL* EOF
+TokenReader.prototype.readDocument = function() {
+    this.skipEOLs();
+    const component = this.readComponent();
+    this.skipEOLs();
+    return new Context('Document', [component]);
+};
+
+// component: value parameters?
+TokenReader.prototype.readComponent = function() {
+    const children = [this.readValue()];
+    if (this.peek() === '(') children.push(this.readParameters());
+    return new Context('Component', children);
+};
+
+// value: element | sequence | procedure
+TokenReader.prototype.readValue = function() {
+    const value = this.peek() === '[' ? this.readSequence() : this.readElement();  // procedures are unsupported
+    return new Context('Value', [value]);
+};
+
+// sequence: '[' collection ']'
+TokenReader.prototype.readSequence = function() {
+    this.expect('[');
+    const collection = this.readCollection();
+    this.expect(']');
+    return new Context('Sequence', [collection]);
+};
+
+// collection: list | catalog
+TokenReader.prototype.readCollection = function() {
+    const collection = this.isCatalog() ? this.readCatalog() : this.readList();
+    return new Context('Collection', [collection]);
+};
+
+/*
+ * This method determines whether or not the current tokens start a catalog rather than
+ * a list, that is whether the first item is an element followed by a ':'.
+ */
+TokenReader.prototype.isCatalog = function() {
+    if (this.peek() === ':') return true;
+    const index = this.index;
+    try {
+        if (this.peek() === 'EOL') this.next();
+        this.readElement();
+        return this.peek() === ':';
+    } catch (exception) {
+        if (exception === UNSUPPORTED) return false;
+        throw exception;
+    } finally {
+        this.index = index;
+    }
+};
+
+// list:
+//     component (',' component)* |
+//     EOL (component EOL)* |
+//     /* no items */
+TokenReader.prototype.readList = function() {
+    const items = this.peek() === ']' ? [] : this.readItems(this.readComponent);
+    return new Context('List', items);
+};
+
+// catalog:
+//     association (',' association)* |
+//     EOL (association EOL)* |
+//     ':' /* no associations */
+TokenReader.prototype.readCatalog = function() {
+    if (this.peek() === ':') {
+        this.next();
+        return new Context('Catalog', []);
+    }
+    return new Context('Catalog', this.readItems(this.readAssociation));
+};
+
+/*
+ * This method reads the items in a list or catalog using the specified method to read
+ * each item. The items are either separated by commas or each followed by an EOL.
+ */
+TokenReader.prototype.readItems = function(readItem) {
+    const items = [];
+    if (this.peek() === 'EOL') {
+        this.next();
+        while (this.peek() !== ']' && this.peek() !== ')') {
+            items.push(readItem.call(this));
+            this.expect('EOL');
+        }
+    } else {
+        items.push(readItem.call(this));
+        while (this.peek() === ',') {
+            this.next();
+            items.push(readItem.call(this));
+        }
+    }
+    return items;
+};
+
+// association: element ':' component
+TokenReader.prototype.readAssociation = function() {
+    const element = this.readElement();
+    this.expect(':');
+    const component = this.readComponent();
+    return new Context('Association', [element, component]);
+};
+
+// parameters: '(' catalog ')'
+TokenReader.prototype.readParameters = function() {
+    this.expect('(');
+    const catalog = this.readCatalog();
+    this.expect(')');
+    return new Context('Parameters', [catalog]);
+};
+
+// element:
+//     angle | binary | duration | moment | name | number | pattern | percent |
+//     probability | range | reference | symbol | tag | text | version
+TokenReader.prototype.readElement = function() {
+    var element;
+    const type = this.peek();
+    if (ELEMENTS[type]) {
+        const token = this.next();
+        const terminals = type === 'IMAGINARY' ? {IMAGINARY: terminal(token)} : undefined;
+        element = new Context(ELEMENTS[type], [], token.text, terminals);
+    } else if (type === '..' || ((type === '0' || type === 'REAL') && this.peek(1) === '..')) {
+        element = this.readRange();
+    } else if (type === '0' || type === 'REAL') {
+        const token = this.next();
+        const terminals = type === 'REAL' ? {REAL: terminal(token)} : undefined;
+        element = new Context('Number', [], token.text, terminals);
+    } else if (type === '(') {
+        element = this.readComplex();
+    } else {
+        throw UNSUPPORTED;
+    }
+    return new Context('Element', [element]);
+};
+
+// range: ('0' | REAL)? '..' ('0' | REAL)?
+TokenReader.prototype.readRange = function() {
+    var text = '';
+    if (this.peek() !== '..') text += this.next().text;
+    text += this.expect('..').text;
+    if (this.peek() === '0' || this.peek() === 'REAL') text += this.next().text;
+    return new Context('Range', [], text);
+};
+
+// number: '(' REAL (',' IMAGINARY | 'e^' ANGLE 'i') ')'
+TokenReader.prototype.readComplex = function() {
+    const terminals = {};
+    var text = this.expect('(').text;
+    const real = this.expect('REAL');
+    terminals.REAL = terminal(real);
+    text += real.text;
+    if (this.peek() === ',') {
+        text += this.next().text;
+        const imaginary = this.expect('IMAGINARY');
+        terminals.IMAGINARY = terminal(imaginary);
+        text += imaginary.text;
+    } else {
+        text += this.expect('e^').text;
+        const angle = this.expect('ANGLE');
+        terminals.ANGLE = terminal(angle);
+        text += angle.text;
+        text += this.expect('i').text;
+    }
+    text += this.expect(')').text;
+    return new Context('Number', [], text, terminals);
+};
@@ -0,0 +1,259 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a dispatcher that delivers messages to components. A message may
+ * be sent synchronously (e.g. list.addItem(5)) in which case the corresponding method is
+ * invoked on the target component right away. Only the methods that are listed for the
+ * type of the target component may be invoked this way. A message may also be posted
+ * asynchronously (e.g. list <- addItem(5)) in which case it is placed on a queue that is
+ * drained by a message handler. The default message handler just sends each message to
+ * its target component.
+ */
+const utilities = require('../utilities/');
+const abstractions = require('../abstractions/');
+const elements = require('../elements');
+const structures = require('../structures');
+const collections = require('../collections');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new message dispatcher.
+ *
+ * @param {Function} handler An optional (possibly async) function that is passed each
+ * posted message. The default handler sends the message to its target.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Dispatcher} The new message dispatcher.
+ */
+const Dispatcher = function(handler, debug) {
+    if (debug > 1) {
+        const validator = new utilities.Validator(debug);
+        validator.validateType('/bali/utilities/Dispatcher', '$Dispatcher', '$handler', handler, [
+            '/javascript/Undefined',
+            '/javascript/Function'
+        ]);
+    }
+
+    // the handler and queue are private attributes so methods that use them are defined in the constructor
+    debug = debug || 0;
+    const scheduler = new utilities.Scheduler(function(message) {
+        return handler(message);
+    }, function(message, cause) {
+        // there is no one waiting on the result so just log the exception
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Dispatcher',
+            $procedure: '$drainQueue',
+            $exception: '$handlerFailed',
+            $message: message,
+            $text: 'The message handler was unable to handle a posted message.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+    }, debug);
+
+    /**
+     * This method sends a message to the target component by invoking the corresponding
+     * method on it.
+     *
+     * @param {Component} target The component that is the target of the message.
+     * @param {String} message The name of the message.
+     * @param {Array} args An optional array containing the arguments for the message.
+     * @returns {Component} The result of the message.
+     */
+    this.sendMessage = function(target, message, args) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Dispatcher', '$sendMessage', '$target', target, [
+                '/bali/abstractions/Component'
+            ]);
+            validator.validateType('/bali/utilities/Dispatcher', '$sendMessage', '$message', message, [
+                '/javascript/String'
+            ]);
+            validator.validateType('/bali/utilities/Dispatcher', '$sendMessage', '$args', args, [
+                '/javascript/Undefined',
+                '/javascript/Array'
+            ]);
+        }
+        args = (args || []).slice();  // copy the array since the index may be replaced
+        if (!supportsMessage(target, message)) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Dispatcher',
+                $procedure: '$sendMessage',
+                $exception: '$invalidMessage',
+                $type: target.getType(),
+                $message: message,
+                $text: 'The message is not supported by the target component.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        if (isIndexed(target, message) && args[0] && args[0].isType('/bali/elements/Number')) {
+            args[0] = args[0].toInteger();  // the methods expect a JavaScript index
+        }
+        const result = target[message].apply(target, args);
+        return toComponent(result, debug);
+    };
+
+    /**
+     * This method posts a message for the target component on the message queue. The
+     * message is passed to the message handler after the current processing completes.
+     *
+     * @param {Component} target The component that is the target of the message.
+     * @param {String} message The name of the message.
+     * @param {Array} args An optional array containing the arguments for the message.
+     * @returns {Catalog} The message that was posted.
+     */
+    this.postMessage = function(target, message, args) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Dispatcher', '$postMessage', '$target', target, [
+                '/bali/abstractions/Component'
+            ]);
+            validator.validateType('/bali/utilities/Dispatcher', '$postMessage', '$message', message, [
+                '/javascript/String'
+            ]);
+            validator.validateType('/bali/utilities/Dispatcher', '$postMessage', '$args', args, [
+                '/javascript/Undefined',
+                '/javascript/Array'
+            ]);
+        }
+        const catalog = new collections.Catalog(undefined, debug);
+        catalog.setAttribute('$target', target);
+        catalog.setAttribute('$message', new elements.Symbol(message, undefined, debug));
+        const list = new collections.List(undefined, debug);
+        list.addItems(args || []);
+        catalog.setAttribute('$arguments', list);
+        scheduler.scheduleItem(catalog);
+        return catalog;
+    };
+
+    /**
+     * This method passes each message that is currently on the message queue to the
+     * message handler, in the order that they were posted. A message that the handler
+     * fails to handle is logged and the rest of the messages are still handled.
+     *
+     * @returns {Promise} A promise that is resolved when the message queue is empty.
+     */
+    this.drainQueue = function() {
+        return scheduler.drainQueue();
+    };
+
+    /**
+     * This method returns the number of messages that are waiting on the message queue.
+     *
+     * @returns {Number} The number of messages that are waiting on the message queue.
+     */
+    this.getSize = function() {
+        return scheduler.getSize();
+    };
+
+    handler = handler || function(message) {
+        const target = message.getAttribute('$target');
+        const name = message.getAttribute('$message').getValue();
+        const args = message.getAttribute('$arguments').toArray();
+        this.sendMessage(target, name, args);
+    }.bind(this);
+
+    return this;
+};
+Dispatcher.prototype.constructor = Dispatcher;
+exports.Dispatcher = Dispatcher;
+
+
+// PRIVATE CONSTANTS
+
+/*
+ * This table defines the messages that may be sent to each type of component. A component
+ * supports the messages listed for each of the types in its ancestry.
+ */
+const MESSAGES = {
+    '/bali/abstractions/Component': [
+        'comparedTo', 'duplicate', 'getHash', 'getParameter', 'getType', 'isEqualTo', 'isMatchedBy',
+        'isParameterized', 'toBoolean', 'toString'
+    ],
+    '/bali/abstractions/Sequence': [
+        'getIndex', 'getItem', 'getItems', 'getSize', 'isEmpty'
+    ],
+    '/bali/abstractions/Collection': [
+        'addItem', 'addItems', 'containsAll', 'containsAny', 'containsItem', 'getIndex', 'getItem',
+        'getItems', 'getSize', 'isEmpty', 'removeAll'
+    ],
+    '/bali/collections/Catalog': [
+        'getAttribute', 'getAttributes', 'getKeys', 'removeAttribute', 'removeAttributes',
+        'reverseItems', 'setAttribute'
+    ],
+    '/bali/collections/List': [
+        'getAttribute', 'insertItem', 'insertItems', 'removeItem', 'removeItems', 'reverseItems',
+        'setAttribute', 'setItem', 'shuffleItems'
+    ],
+    '/bali/collections/Queue': [
+        'headItem', 'removeItem'
+    ],
+    '/bali/collections/Set': [
+        'removeItem', 'removeItems'
+    ],
+    '/bali/collections/Stack': [
+        'removeItem', 'topItem'
+    ],
+    '/bali/structures/Exception': [
+        'getAttribute'
+    ]
+};
+
+/*
+ * This table defines the messages whose first argument is a numeric index for each type
+ * of component.
+ */
+const INDEXED = {
+    '/bali/abstractions/Sequence': [
+        'getItem'
+    ],
+    '/bali/abstractions/Collection': [
+        'getItem'
+    ],
+    '/bali/collections/List': [
+        'insertItem', 'insertItems', 'removeItem', 'setItem'
+    ]
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function determines whether or not the specified table lists the message for any
+ * of the types in the ancestry of the target component.
+ */
+const isListed = function(table, target, message) {
+    return target.getAncestry().some(function(type) {
+        const messages = table[type];
+        return messages !== undefined && messages.indexOf(message) > -1;
+    });
+};
+
+const supportsMessage = function(target, message) {
+    return isListed(MESSAGES, target, message);
+};
+
+const isIndexed = function(target, message) {
+    return isListed(INDEXED, target, message);
+};
+
+/*
+ * This function converts the JavaScript value returned by a method into its corresponding
+ * component. Strings are not parsed since they are not necessarily Bali Document Notation™.
+ */
+const toComponent = function(value, debug) {
+    if (value && value.isComponent) return value;
+    if (typeof value === 'boolean') return new elements.Probability(value, undefined, debug);
+    if (typeof value === 'string') return new elements.Text(value, undefined, debug);
+    return abstractions.Component.prototype.componentize(value, debug);
+};
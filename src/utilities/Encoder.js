@@ -0,0 +1,663 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements an encoder that converts components to and from a compact binary
+ * format. The binary format is much smaller than Bali Document Notation™ and can be
+ * decoded without invoking the parser, so it is well suited for high volume messaging.
+ *
+ * Each component is encoded as a single byte containing its type code, optionally
+ * followed by its parameters (encoded as a catalog) and then its value:
+ * <pre>
+ *   component: CODE [parameters] value
+ * </pre>
+ * The high bit (0x80) of the type code is set when the component has parameters. Like
+ * CBOR, all sizes (lengths, counts and version levels) are encoded in a single byte when
+ * they are less than 0xFE, otherwise as 0xFE followed by a 16 bit short or 0xFF followed
+ * by a 32 bit integer. The values are encoded as follows (all numbers are 'big endian'):
+ * <pre>
+ *   Angle, Percent, Probability: a 64 bit floating point number
+ *   Number: a form byte followed by a 32 bit integer, a 64 bit floating point number, or
+ *       the real and imaginary parts as 64 bit floating point numbers
+ *   Range: the first and last values as 64 bit floating point numbers
+ *   Binary, Tag: the size followed by the bytes
+ *   Duration, Moment, Pattern, Reference, Text: the size followed by the UTF-8 bytes
+ *   Symbol: the interned string (see below)
+ *   Name: the number of parts followed by each part (as a size and the UTF-8 bytes)
+ *   Version: the number of levels followed by the size of each level
+ *   Catalog: the number of associations followed by each key and value component
+ *   List, Queue, Set, Stack: the number of items followed by each item component
+ *   Tree: a header byte containing the index of its node type and flags marking whether
+ *       an operator (0x40) and identifier (0x80) follow as interned strings, then the
+ *       number of children followed by each child component
+ *   Association: the key and value components
+ *   Procedure: the statements tree
+ *   Exception, Citation: the catalog containing the attributes
+ * </pre>
+ * The symbols, operators and identifiers are repeated throughout most documents, so each
+ * one is interned. The first occurrence of a string is encoded as the next unused index
+ * into the table of interned strings followed by the string itself (as a size and the
+ * UTF-8 bytes), and each later occurrence as just its index. Even so, a procedure is made
+ * up of many small tree nodes and its encoded form is not much smaller than its source.
+ */
+const utilities = require('../utilities/');
+const elements = require('../elements');
+const structures = require('../structures');
+const collections = require('../collections');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new binary encoder.
+ *
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Encoder} The new binary encoder.
+ */
+const Encoder = function(debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    this.debug = debug;
+    this.decoder = new utilities.Decoder(0, debug);
+    return this;
+};
+Encoder.prototype.constructor = Encoder;
+exports.Encoder = Encoder;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method encodes the specified component into its binary format.
+ *
+ * @param {Component} component The component to be encoded.
+ * @returns {Buffer} A data buffer containing the encoded component.
+ */
+Encoder.prototype.encodeComponent = function(component) {
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/Encoder', '$encodeComponent', '$component', component, [
+            '/bali/abstractions/Component'
+        ]);
+    }
+    const output = {chunks: [], strings: new Map()};
+    encodeComponent(this, output, component);
+    return Buffer.concat(output.chunks);
+};
+
+
+/**
+ * This method decodes the component that was encoded into the specified data buffer.
+ *
+ * @param {Buffer} buffer A data buffer containing the encoded component.
+ * @returns {Component} The decoded component.
+ */
+Encoder.prototype.decodeComponent = function(buffer) {
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/Encoder', '$decodeComponent', '$buffer', buffer, [
+            '/nodejs/Buffer'
+        ]);
+    }
+    try {
+        const cursor = {buffer: buffer, offset: 0, strings: []};
+        const component = decodeComponent(this, cursor);
+        if (cursor.offset !== buffer.length) throw invalidEncoding('Extra bytes follow the encoded component.');
+        return component;
+    } catch (cause) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Encoder',
+            $procedure: '$decodeComponent',
+            $exception: '$invalidBuffer',
+            $text: 'The buffer does not contain a valid encoded component.'
+        }, cause);
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+// PRIVATE CONSTANTS
+
+// the type codes for each class of component
+const CODES = {
+    '/bali/elements/Angle': 0x01,
+    '/bali/elements/Binary': 0x02,
+    '/bali/elements/Duration': 0x03,
+    '/bali/elements/Moment': 0x04,
+    '/bali/elements/Name': 0x05,
+    '/bali/elements/Number': 0x06,
+    '/bali/elements/Pattern': 0x07,
+    '/bali/elements/Percent': 0x08,
+    '/bali/elements/Probability': 0x09,
+    '/bali/elements/Range': 0x0A,
+    '/bali/elements/Reference': 0x0B,
+    '/bali/elements/Symbol': 0x0C,
+    '/bali/elements/Tag': 0x0D,
+    '/bali/elements/Text': 0x0E,
+    '/bali/elements/Version': 0x0F,
+    '/bali/collections/Catalog': 0x10,
+    '/bali/collections/List': 0x11,
+    '/bali/collections/Queue': 0x12,
+    '/bali/collections/Set': 0x13,
+    '/bali/collections/Stack': 0x14,
+    '/bali/collections/Tree': 0x15,
+    '/bali/structures/Association': 0x20,
+    '/bali/structures/Citation': 0x21,
+    '/bali/structures/Exception': 0x22,
+    '/bali/structures/Procedure': 0x23
+};
+
+// the classes for each type code
+const CLASSES = Object.keys(CODES).reduce(function(classes, type) {
+    classes[CODES[type]] = type;
+    return classes;
+}, {});
+
+// the flag that is set in the type code when the component is parameterized
+const PARAMETERIZED = 0x80;
+
+// the types of the nodes in a procedure tree (within the /bali/structures/ namespace)
+const NODES = [
+    'AcceptClause', 'Arguments', 'ArithmeticExpression', 'Attribute', 'AttributeExpression',
+    'Block', 'BreakClause', 'CheckoutClause', 'CommitClause', 'ComparisonExpression',
+    'ComplementExpression', 'ConcatenationExpression', 'ContinueClause',
+    'DefaultExpression', 'DereferenceExpression', 'DiscardClause', 'EvaluateClause',
+    'ExponentialExpression', 'FactorialExpression', 'Function', 'FunctionExpression',
+    'HandleClause', 'IfClause', 'Indices', 'InversionExpression', 'LogicalExpression',
+    'MagnitudeExpression', 'Message', 'MessageExpression', 'PostClause',
+    'PrecedenceExpression', 'PublishClause', 'RejectClause', 'RetrieveClause',
+    'ReturnClause', 'SaveClause', 'SelectClause', 'Statement', 'Statements', 'ThrowClause',
+    'Variable', 'WhileClause', 'WithClause'
+];
+
+// the flags that are set in the header of a procedure tree node when it has an operator
+// or identifier (the remaining bits contain the index of its node type)
+const OPERATOR = 0x40;
+const IDENTIFIER = 0x80;
+
+// the markers for sizes that do not fit in a single byte
+const SHORT = 0xFE;
+const INTEGER = 0xFF;
+
+// the forms of an encoded number
+const INTEGER_NUMBER = 0x00;
+const REAL_NUMBER = 0x01;
+const COMPLEX_NUMBER = 0x02;
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function returns the class of the specified component. This differs from its type
+ * for tree nodes and for catalogs that have been parameterized with a custom type.
+ */
+const getClass = function(component) {
+    if (component.isType('/bali/collections/Tree')) return '/bali/collections/Tree';
+    return component.getAncestry().find(function(type) {
+        return CODES[type] !== undefined;
+    });
+};
+
+
+/*
+ * This function encodes the specified component, appending its chunks to the output.
+ */
+const encodeComponent = function(encoder, output, component) {
+    const type = getClass(component);
+    const code = CODES[type];
+    if (code === undefined) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Encoder',
+            $procedure: '$encodeComponent',
+            $exception: '$invalidType',
+            $type: component.getType(),
+            $text: 'The component type cannot be encoded.'
+        });
+        if (encoder.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    var parameters;
+    if (component.getParameters && type !== '/bali/structures/Citation') parameters = component.getParameters();
+    if (parameters && parameters.getSize() > 0) {
+        output.chunks.push(Buffer.from([code | PARAMETERIZED]));
+        encodeComponent(encoder, output, parameters);
+    } else {
+        output.chunks.push(Buffer.from([code]));
+    }
+    switch (type) {
+        case '/bali/elements/Angle':
+        case '/bali/elements/Percent':
+        case '/bali/elements/Probability':
+            encodeDouble(output, component.getValue());
+            break;
+        case '/bali/elements/Number':
+            encodeNumber(encoder, output, component.getReal(), component.getImaginary());
+            break;
+        case '/bali/elements/Range':
+            encodeDouble(output, component.getFirst());
+            encodeDouble(output, component.getLast());
+            break;
+        case '/bali/elements/Binary':
+            encodeBytes(encoder, output, component.getValue());
+            break;
+        case '/bali/elements/Tag':
+            encodeBytes(encoder, output, component.getBytes());
+            break;
+        case '/bali/elements/Duration':
+            encodeString(encoder, output, component.getTime().toISOString());
+            break;
+        case '/bali/elements/Moment':
+            encodeString(encoder, output, component.getTimestamp().format(component.getFormat()));
+            break;
+        case '/bali/elements/Pattern':
+            encodeString(encoder, output, component.getValue().source);
+            break;
+        case '/bali/elements/Reference':
+            encodeString(encoder, output, component.getValue().toString());
+            break;
+        case '/bali/elements/Symbol':
+            encodeInterned(encoder, output, component.getValue());
+            break;
+        case '/bali/elements/Text':
+            encodeString(encoder, output, component.getValue());
+            break;
+        case '/bali/elements/Name':
+            const parts = component.getValue();
+            encodeSize(encoder, output, parts.length);
+            parts.forEach(function(part) {
+                encodeString(encoder, output, part);
+            });
+            break;
+        case '/bali/elements/Version':
+            const levels = component.getValue();
+            encodeSize(encoder, output, levels.length);
+            levels.forEach(function(level) {
+                encodeSize(encoder, output, level);
+            });
+            break;
+        case '/bali/collections/Tree':
+            var header = encodeNode(encoder, component.getType());
+            if (component.operator) header |= OPERATOR;
+            if (component.identifier) header |= IDENTIFIER;
+            output.chunks.push(Buffer.from([header]));
+            if (component.operator) encodeInterned(encoder, output, component.operator);
+            if (component.identifier) encodeInterned(encoder, output, component.identifier);
+            encodeItems(encoder, output, component.toArray());
+            break;
+        case '/bali/collections/Catalog':
+            const associations = component.toArray();
+            encodeSize(encoder, output, associations.length);
+            associations.forEach(function(association) {
+                encodeComponent(encoder, output, association.getKey());
+                encodeComponent(encoder, output, association.getValue());
+            });
+            break;
+        case '/bali/collections/List':
+        case '/bali/collections/Queue':
+        case '/bali/collections/Set':
+        case '/bali/collections/Stack':
+            encodeItems(encoder, output, component.toArray());
+            break;
+        case '/bali/structures/Association':
+            encodeComponent(encoder, output, component.getKey());
+            encodeComponent(encoder, output, component.getValue());
+            break;
+        case '/bali/structures/Procedure':
+            encodeComponent(encoder, output, component.getStatements());
+            break;
+        case '/bali/structures/Citation':
+        case '/bali/structures/Exception':
+            encodeComponent(encoder, output, component.getAttributes());
+            break;
+    }
+};
+
+
+/*
+ * This function returns the index of the specified procedure tree node type.
+ */
+const encodeNode = function(encoder, type) {
+    const index = NODES.indexOf(type.slice('/bali/structures/'.length));
+    if (!type.startsWith('/bali/structures/') || index < 0) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Encoder',
+            $procedure: '$encodeComponent',
+            $exception: '$invalidType',
+            $type: type,
+            $text: 'The procedure tree node type cannot be encoded.'
+        });
+        if (encoder.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return index;
+};
+
+
+/*
+ * This function decodes the next component from the buffer.
+ */
+const decodeComponent = function(encoder, cursor) {
+    const code = readBytes(cursor, 1)[0];
+    const type = CLASSES[code & ~PARAMETERIZED];
+    if (type === undefined) throw invalidEncoding('An invalid type code was found: ' + code);
+    var parameters;
+    if (code & PARAMETERIZED) {
+        parameters = decodeComponent(encoder, cursor);
+        if (!parameters.isType('/bali/collections/Catalog')) throw invalidEncoding('The parameters must be a catalog.');
+    }
+    const debug = encoder.debug;
+    var component;
+    switch (type) {
+        case '/bali/elements/Angle':
+            component = new elements.Angle(decodeDouble(cursor), undefined, debug);
+            break;
+        case '/bali/elements/Percent':
+            component = new elements.Percent(decodeDouble(cursor), undefined, debug);
+            break;
+        case '/bali/elements/Probability':
+            component = new elements.Probability(decodeDouble(cursor), undefined, debug);
+            break;
+        case '/bali/elements/Number':
+            component = new elements.Number(decodeNumber(encoder, cursor), undefined, debug);
+            break;
+        case '/bali/elements/Range':
+            component = new elements.Range([decodeDouble(cursor), decodeDouble(cursor)], undefined, debug);
+            break;
+        case '/bali/elements/Binary':
+            component = new elements.Binary(decodeBytes(encoder, cursor), undefined, debug);
+            break;
+        case '/bali/elements/Tag':
+            const tag = encoder.decoder.base32Encode(decodeBytes(encoder, cursor));
+            component = new elements.Tag(tag, undefined, debug);
+            break;
+        case '/bali/elements/Duration':
+            component = new elements.Duration(decodeString(encoder, cursor), undefined, debug);
+            break;
+        case '/bali/elements/Moment':
+            component = new elements.Moment(decodeString(encoder, cursor), undefined, debug);
+            break;
+        case '/bali/elements/Pattern':
+            component = new elements.Pattern(decodeString(encoder, cursor), undefined, debug);
+            break;
+        case '/bali/elements/Reference':
+            component = new elements.Reference(decodeString(encoder, cursor), undefined, debug);
+            break;
+        case '/bali/elements/Symbol':
+            component = new elements.Symbol(decodeInterned(encoder, cursor), undefined, debug);
+            break;
+        case '/bali/elements/Text':
+            component = new elements.Text(decodeString(encoder, cursor), undefined, debug);
+            break;
+        case '/bali/elements/Name':
+            const parts = [];
+            var partCount = decodeSize(encoder, cursor);
+            while (partCount-- > 0) parts.push(decodeString(encoder, cursor));
+            component = new elements.Name(parts, undefined, debug);
+            break;
+        case '/bali/elements/Version':
+            const levels = [];
+            var levelCount = decodeSize(encoder, cursor);
+            while (levelCount-- > 0) levels.push(decodeSize(encoder, cursor));
+            component = new elements.Version(levels, undefined, debug);
+            break;
+        case '/bali/collections/Tree':
+            const flags = readBytes(cursor, 1)[0];
+            const node = NODES[flags & ~(OPERATOR | IDENTIFIER)];
+            if (node === undefined) throw invalidEncoding('An invalid procedure tree node was found.');
+            component = new collections.Tree('/bali/structures/' + node, debug);
+            if (flags & OPERATOR) component.operator = decodeInterned(encoder, cursor);
+            if (flags & IDENTIFIER) component.identifier = decodeInterned(encoder, cursor);
+            decodeItems(encoder, cursor, component);
+            break;
+        case '/bali/collections/Catalog':
+            // the parameters are needed by the constructor since they may define a custom type
+            component = new collections.Catalog(parameters, debug);
+            var associationCount = decodeSize(encoder, cursor);
+            while (associationCount-- > 0) {
+                const key = decodeComponent(encoder, cursor);
+                const value = decodeComponent(encoder, cursor);
+                component.setAttribute(key, value);
+            }
+            return component;
+        case '/bali/collections/List':
+        case '/bali/collections/Queue':
+        case '/bali/collections/Set':
+        case '/bali/collections/Stack':
+            component = new collections[type.split('/')[3]](parameters, debug);
+            decodeItems(encoder, cursor, component);
+            return component;
+        case '/bali/structures/Association':
+            const key = decodeComponent(encoder, cursor);
+            const value = decodeComponent(encoder, cursor);
+            component = new structures.Association(key, value, debug);
+            break;
+        case '/bali/structures/Procedure':
+            return new structures.Procedure(decodeComponent(encoder, cursor), parameters, debug);
+        case '/bali/structures/Citation':
+            return structures.Citation.fromCatalog(decodeComponent(encoder, cursor), debug);
+        case '/bali/structures/Exception':
+            return new structures.Exception(decodeComponent(encoder, cursor).toObject());
+    }
+    // the parameters of an element must be set after it has been constructed since some of
+    // them (e.g. $units) would otherwise be applied to the encoded value
+    if (parameters) component.setParameters(parameters);
+    return component;
+};
+
+
+/*
+ * This function encodes a 64 bit floating point number.
+ */
+const encodeDouble = function(output, value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(value);
+    output.chunks.push(buffer);
+};
+
+
+/*
+ * This function decodes a 64 bit floating point number.
+ */
+const decodeDouble = function(cursor) {
+    return readBytes(cursor, 8).readDoubleBE();
+};
+
+
+/*
+ * This function encodes a size (a non-negative integer) using as few bytes as possible.
+ */
+const encodeSize = function(encoder, output, size) {
+    if (!Number.isInteger(size) || size < 0 || size > 0x7FFFFFFF) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Encoder',
+            $procedure: '$encodeComponent',
+            $exception: '$invalidSize',
+            $size: size,
+            $text: 'The size cannot be encoded.'
+        });
+        if (encoder.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    if (size < SHORT) {
+        output.chunks.push(Buffer.from([size]));
+    } else if (size <= 0xFFFF) {
+        output.chunks.push(Buffer.from([SHORT]), encoder.decoder.shortToBytes(size));
+    } else {
+        output.chunks.push(Buffer.from([INTEGER]), encoder.decoder.integerToBytes(size));
+    }
+};
+
+
+/*
+ * This function decodes a size that was encoded using as few bytes as possible.
+ */
+const decodeSize = function(encoder, cursor) {
+    const size = readBytes(cursor, 1)[0];
+    switch (size) {
+        case SHORT:
+            return encoder.decoder.bytesToShort(readBytes(cursor, 2));
+        case INTEGER:
+            const integer = encoder.decoder.bytesToInteger(readBytes(cursor, 4));
+            if (integer < 0) throw invalidEncoding('An invalid size was found: ' + integer);
+            return integer;
+        default:
+            return size;
+    }
+};
+
+
+/*
+ * This function encodes a number using its most compact form.
+ */
+const encodeNumber = function(encoder, output, real, imaginary) {
+    if (imaginary === 0 && Number.isInteger(real) && Math.abs(real) <= 0x7FFFFFFF) {
+        output.chunks.push(Buffer.from([INTEGER_NUMBER]), encoder.decoder.integerToBytes(real));
+    } else if (imaginary === 0) {
+        output.chunks.push(Buffer.from([REAL_NUMBER]));
+        encodeDouble(output, real);
+    } else {
+        output.chunks.push(Buffer.from([COMPLEX_NUMBER]));
+        encodeDouble(output, real);
+        encodeDouble(output, imaginary);
+    }
+};
+
+
+/*
+ * This function decodes the real and imaginary parts of a number.
+ */
+const decodeNumber = function(encoder, cursor) {
+    const form = readBytes(cursor, 1)[0];
+    switch (form) {
+        case INTEGER_NUMBER:
+            return [encoder.decoder.bytesToInteger(readBytes(cursor, 4)), 0];
+        case REAL_NUMBER:
+            return [decodeDouble(cursor), 0];
+        case COMPLEX_NUMBER:
+            return [decodeDouble(cursor), decodeDouble(cursor)];
+        default:
+            throw invalidEncoding('An invalid number form was found: ' + form);
+    }
+};
+
+
+/*
+ * This function encodes a sequence of bytes preceded by its size.
+ */
+const encodeBytes = function(encoder, output, bytes) {
+    encodeSize(encoder, output, bytes.length);
+    output.chunks.push(bytes);
+};
+
+
+/*
+ * This function decodes a sequence of bytes preceded by its size.
+ */
+const decodeBytes = function(encoder, cursor) {
+    const size = decodeSize(encoder, cursor);
+    return Buffer.from(readBytes(cursor, size));  // a copy so the buffer can be released
+};
+
+
+/*
+ * This function encodes a string as its UTF-8 bytes preceded by their size.
+ */
+const encodeString = function(encoder, output, string) {
+    encodeBytes(encoder, output, Buffer.from(string, 'utf8'));
+};
+
+
+/*
+ * This function decodes a string from its UTF-8 bytes preceded by their size.
+ */
+const decodeString = function(encoder, cursor) {
+    const size = decodeSize(encoder, cursor);
+    return readBytes(cursor, size).toString('utf8');
+};
+
+
+/*
+ * This function encodes a string that is likely to be repeated as its index in the table
+ * of interned strings. The first time a string is encoded it is added to the table and
+ * followed by its UTF-8 bytes.
+ */
+const encodeInterned = function(encoder, output, string) {
+    const index = output.strings.get(string);
+    if (index !== undefined) {
+        encodeSize(encoder, output, index);
+    } else {
+        encodeSize(encoder, output, output.strings.size);
+        output.strings.set(string, output.strings.size);
+        encodeString(encoder, output, string);
+    }
+};
+
+
+/*
+ * This function decodes a string from its index in the table of interned strings, adding
+ * it to the table if it is the next unused index.
+ */
+const decodeInterned = function(encoder, cursor) {
+    const index = decodeSize(encoder, cursor);
+    if (index < cursor.strings.length) return cursor.strings[index];
+    if (index > cursor.strings.length) throw invalidEncoding('An invalid string index was found: ' + index);
+    const string = decodeString(encoder, cursor);
+    cursor.strings.push(string);
+    return string;
+};
+
+
+/*
+ * This function encodes the items in a collection preceded by their count.
+ */
+const encodeItems = function(encoder, output, items) {
+    encodeSize(encoder, output, items.length);
+    items.forEach(function(item) {
+        encodeComponent(encoder, output, item);
+    });
+};
+
+
+/*
+ * This function decodes the items in a collection preceded by their count.
+ */
+const decodeItems = function(encoder, cursor, collection) {
+    var count = decodeSize(encoder, cursor);
+    while (count-- > 0) collection.addItem(decodeComponent(encoder, cursor));
+};
+
+
+/*
+ * This function returns the next bytes from the buffer and advances the cursor past them.
+ */
+const readBytes = function(cursor, length) {
+    if (length < 0 || cursor.offset + length > cursor.buffer.length) {
+        throw invalidEncoding('The buffer ended before the encoded component was complete.');
+    }
+    const bytes = cursor.buffer.subarray(cursor.offset, cursor.offset + length);
+    cursor.offset += length;
+    return bytes;
+};
+
+
+/*
+ * This function returns an exception describing why the buffer does not contain a valid
+ * encoded component. It is not logged since it becomes the cause of the exception that is
+ * thrown by the decodeComponent method.
+ */
+const invalidEncoding = function(text) {
+    return new structures.Exception({
+        $module: '/bali/utilities/Encoder',
+        $procedure: '$decodeComponent',
+        $exception: '$invalidEncoding',
+        $text: text
+    });
+};
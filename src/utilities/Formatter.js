@@ -34,24 +34,46 @@ const MAXIMUM_LENGTH = 25;
 
 /**
  * This function creates a new formatter object that can be used to format components.
+ * An optional object may be passed in after the debug level containing the options that
+ * control the layout of the formatted components:
+ * <pre>
+ *   width:    the maximum line width, each list, catalog and set of parameters that fits
+ *             within the remainder of its line is formatted inline and each one that does
+ *             not is broken across multiple lines (default: the canonical layout)
+ *   compact:  format each component on a single line (default: false), this is useful
+ *             for logging and transport, only text blocks and line comments still span
+ *             multiple lines since they cannot be represented otherwise
+ *   canonical: format each component in its strictly canonical form (default: false), this
+ *             is the compact form with the associations in each catalog and set of parameters
+ *             ordered by their keys and with any comments removed, so that equal components
+ *             always have the same form, even if their associations were added in a different
+ *             order (see Component.getDigest)
+ * </pre>
  *
  * @param {Number} indentation The number of levels of indentation that should be inserted
  * to each formatted line at the top level. The default is zero.
  * @param {Number} debug A number in the range [0..3].
+ * @param {Object} options An optional object containing the formatting options.
  * @returns {Formatter} The new component formatter.
  */
-const Formatter = function(indentation, debug) {
+const Formatter = function(indentation, debug, options) {
     debug = debug || 0;
     if (debug > 1) {
         const validator = new Validator(debug);
-        validator.validateType('/bali/utilities/Formatter', '$formatComponent', '$indentation', indentation, [
+        validator.validateType('/bali/utilities/Formatter', '$Formatter', '$indentation', indentation, [
             '/javascript/Undefined',
             '/javascript/Number'
         ]);
+        validator.validateType('/bali/utilities/Formatter', '$Formatter', '$options', options, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
     }
 
-    // the indentation is a private attribute so methods that use it are defined in the constructor
+    // the indentation and options are private attributes so methods that use them are
+    // defined in the constructor
     indentation = indentation || 0;
+    options = Object.assign({}, options);
 
     this.formatComponent = function(component) {
         if (debug > 1) {
@@ -60,7 +82,7 @@ const Formatter = function(indentation, debug) {
                 '/bali/abstractions/Component'
             ]);
         }
-        const visitor = new FormattingVisitor(indentation, debug);
+        const visitor = new FormattingVisitor(indentation, options, debug);
         component.acceptVisitor(visitor);
         return visitor.result;
     };
@@ -73,12 +95,15 @@ exports.Formatter = Formatter;
 
 // PRIVATE CLASSES
 
-const FormattingVisitor = function(indentation, debug) {
+const FormattingVisitor = function(indentation, options, debug) {
     Visitor.call(this, debug);
     this.indentation = indentation || 0;
+    this.width = options.width;
+    this.canonical = options.canonical;
+    this.compact = options.compact || options.canonical;  // the canonical form is compact
     this.debug = debug || 0;
     this.depth = 0;
-    this.inline = 0;
+    this.inline = this.compact ? 1 : 0;  // everything is inline in compact mode
     this.result = '';
 
     this.getNewline = function() {
@@ -100,6 +125,27 @@ const FormattingVisitor = function(indentation, debug) {
         return format;
     };
 
+    /*
+     * This function formats the specified component using the specified format function.
+     * If there is a maximum line width and the component would otherwise be broken across
+     * multiple lines, it is first formatted inline. If the result does not fit within the
+     * rest of the current line it is discarded and the component is formatted normally.
+     */
+    this.formatWithin = function(format, component) {
+        if (this.width && !this.inline) {
+            const start = this.result.length;
+            const newline = this.result.lastIndexOf(EOL);
+            const column = newline < 0 ? start + indentation * 4 : start - newline - 1;
+            this.inline++;
+            format.call(this, component);
+            this.inline--;
+            const formatted = this.result.slice(start);
+            if (!formatted.includes(EOL) && column + formatted.length <= this.width) return;
+            this.result = this.result.slice(0, start);  // it doesn't fit
+        }
+        format.call(this, component);
+    };
+
     return this;
 };
 FormattingVisitor.prototype = Object.create(Visitor.prototype);
@@ -218,13 +264,17 @@ FormattingVisitor.prototype.visitBinary = function(binary) {
             });
             throw exception;
     }
-    this.depth++;
-    const separator = this.getNewline();
-    const regex = new RegExp('\\n', 'g');
-    value = value.replace(regex, separator);  // indent each line
-    value = "'" + value + "'";
-    value = value.replace(/    '/, "'");  // unindent last line
-    this.depth--;
+    if (this.compact) {
+        value = "'" + value.replace(/\s/g, '') + "'";  // join the lines
+    } else {
+        this.depth++;
+        const separator = this.getNewline();
+        const regex = new RegExp('\\n', 'g');
+        value = value.replace(regex, separator);  // indent each line
+        value = "'" + value + "'";
+        value = value.replace(/    '/, "'");  // unindent last line
+        this.depth--;
+    }
     this.result += value;
     const parameters = binary.getParameters();
     this.visitParameters(parameters);  // format any parameterization
@@ -266,28 +316,7 @@ FormattingVisitor.prototype.visitCheckoutClause = function(tree) {
 
 // collection: list | catalog
 FormattingVisitor.prototype.visitCollection = function(collection) {
-    this.result += '[';
-    if (collection.isEmpty()) {
-        this.result += collection.isType('/bali/collections/Catalog') ? ':' : ' ';
-    } else {
-        this.depth++;
-        var count = 0;
-        const iterator = collection.getIterator();
-        while (iterator.hasNext()) {
-            if (this.inline) {
-                if (count++) this.result += ', ';  // only after the first item has been formatted
-            } else {
-                this.result += this.getNewline();
-            }
-            const item = iterator.getNext();
-            item.acceptVisitor(this);
-        }
-        this.depth--;
-        if (!this.inline) this.result += this.getNewline();
-    }
-    this.result += ']';
-    const parameters = collection.getParameters();
-    this.visitParameters(parameters);  // then format any parameterization
+    this.formatWithin(formatCollection, collection);
 };
 
 
@@ -625,30 +654,7 @@ FormattingVisitor.prototype.visitNumber = function(number) {
 
 // parameters: '(' catalog ')'
 FormattingVisitor.prototype.visitParameters = function(parameters) {
-    if (parameters) {
-        const keys = parameters.getKeys();
-        // inline if only one parameter
-        if (keys.getSize() < 2) this.inline++;
-        this.result += '(';
-        this.depth++;
-        var count = 0;
-        const iterator = keys.getIterator();
-        while (iterator.hasNext()) {
-            const key = iterator.getNext();
-            if (this.inline) {
-                if (count++) this.result += ', ';  // only after the first item has been formatted
-            } else {
-                this.result += this.getNewline();
-            }
-            this.result += key + ': ';
-            const value = parameters.getAttribute(key);
-            value.acceptVisitor(this);
-        }
-        this.depth--;
-        if (!this.inline) this.result += this.getNewline();
-        this.result += ')';
-        if (keys.getSize() < 2) this.inline--;
-    }
+    if (parameters) this.formatWithin(formatParameters, parameters);
 };
 
 
@@ -840,8 +846,17 @@ FormattingVisitor.prototype.visitSelectClause = function(tree) {
 //     EOL (statement EOL)* |
 //     {empty procedure}
 FormattingVisitor.prototype.visitStatements = function(tree) {
-    this.depth++;
     const iterator = tree.getIterator();
+    if (this.compact) {
+        var count = 0;
+        while (iterator.hasNext()) {
+            if (count++) this.result += '; ';  // only after the first statement has been formatted
+            const statement = iterator.getNext();
+            statement.acceptVisitor(this);
+        }
+        return;
+    }
+    this.depth++;
     while (iterator.hasNext()) {
         this.result += this.getNewline();
         const statement = iterator.getNext();
@@ -962,6 +977,113 @@ FormattingVisitor.prototype.visitWithClause = function(tree) {
 };
 
 
+/*
+ * Each visit method is wrapped such that any comments that were attached to a component
+ * by the parser are re-emitted around it. Since a line comment ends with the next end of
+ * line, leading line comments are placed on their own line before the component, and
+ * trailing line comments on their own line after it. Block comments are kept inline.
+ */
+for (const name in FormattingVisitor.prototype) {  // includes the inherited methods
+    if (!name.startsWith('visit')) continue;
+    const visit = FormattingVisitor.prototype[name];
+    FormattingVisitor.prototype[name] = function(component) {
+        const comments = !this.canonical && component && component.comments;
+        if (comments) comments.leading.forEach(function(comment) {
+            this.result += comment;
+            this.result += comment.startsWith('--') ? this.getNewline() : ' ';
+        }, this);
+        visit.call(this, component);
+        if (comments) comments.trailing.forEach(function(comment) {
+            if (comment.startsWith('--')) {
+                this.result += this.getNewline() + comment;
+                if (this.depth === 0) this.result += EOL;  // nothing else follows to end the comment
+            } else {
+                this.result += ' ' + comment;
+            }
+        }, this);
+    };
+}
+
+
+/*
+ * These functions format a collection and a set of parameters either inline or across
+ * multiple lines, depending on whether or not the visitor is currently inline.
+ */
+const formatCollection = function(collection) {
+    this.result += '[';
+    if (collection.isEmpty()) {
+        this.result += collection.isType('/bali/collections/Catalog') ? ':' : ' ';
+    } else {
+        this.depth++;
+        var count = 0;
+        var items = collection.toArray();
+        if (this.canonical && collection.isType('/bali/collections/Catalog')) {
+            items = sortByKey(items, function(association) {
+                return association.getKey();
+            }, this.debug);
+        }
+        items.forEach(function(item) {
+            if (this.inline) {
+                if (count++) this.result += ', ';  // only after the first item has been formatted
+            } else {
+                this.result += this.getNewline();
+            }
+            item.acceptVisitor(this);
+        }, this);
+        this.depth--;
+        if (!this.inline) this.result += this.getNewline();
+    }
+    this.result += ']';
+    const parameters = collection.getParameters();
+    this.visitParameters(parameters);  // then format any parameterization
+};
+
+
+const formatParameters = function(parameters) {
+    var keys = parameters.getKeys().toArray();
+    if (this.canonical) keys = sortByKey(keys, function(key) { return key; }, this.debug);
+    // inline if only one parameter
+    if (keys.length < 2) this.inline++;
+    this.result += '(';
+    this.depth++;
+    var count = 0;
+    keys.forEach(function(key) {
+        if (this.inline) {
+            if (count++) this.result += ', ';  // only after the first item has been formatted
+        } else {
+            this.result += this.getNewline();
+        }
+        this.result += key + ': ';
+        const value = parameters.getAttribute(key);
+        value.acceptVisitor(this);
+    }, this);
+    this.depth--;
+    if (!this.inline) this.result += this.getNewline();
+    this.result += ')';
+    if (keys.length < 2) this.inline--;
+};
+
+
+/*
+ * This function returns a copy of the specified array of items ordered by the canonical
+ * form of the key for each item. The keys are compared character by character rather
+ * than using a locale so that the order is the same everywhere.
+ */
+const sortByKey = function(items, getKey, debug) {
+    const keyed = items.map(function(item) {
+        const visitor = new FormattingVisitor(0, {canonical: true}, debug);
+        getKey(item).acceptVisitor(visitor);
+        return {key: visitor.result, item: item};
+    });
+    keyed.sort(function(first, second) {
+        return first.key < second.key ? -1 : first.key > second.key ? 1 : 0;
+    });
+    return keyed.map(function(entry) {
+        return entry.item;
+    });
+};
+
+
 const formatReal = function(value) {
     var string = Number(value.toPrecision(14)).toString();
     switch (string) {
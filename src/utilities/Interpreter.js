@@ -0,0 +1,841 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements an interpreter that executes the statements in a procedure
+ * against a catalog of variables. The parse tree for the procedure is walked using a
+ * private visitor that evaluates each expression and carries out each clause in turn.
+ * Since some of the services used by the interpreter (e.g. the document repository) are
+ * asynchronous, procedures and expressions are executed asynchronously.
+ *
+ * NOTE: The variables in the scope are keyed by symbols (e.g. $x) which is how they are
+ * assigned to (e.g. $x := 5). Within an expression they are referenced using their
+ * identifier (e.g. x + 1).
+ */
+const utilities = require('../utilities/');
+const abstractions = require('../abstractions/');
+const elements = require('../elements');
+const structures = require('../structures');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new interpreter object. An optional object may be passed in
+ * containing the services used by the interpreter:
+ * <pre>
+ *   library: the function library used to invoke functions (default: built-in functions only)
+ *   dispatcher: the message dispatcher used to send and post messages to components
+ *   publisher: the event publisher used to post published events to their subscribers
+ *   messenger: the messenger used to post, retrieve, accept and reject messages in bags
+ *   repository: the document repository used to check out, save, discard, commit and
+ *     dereference documents (default: none, those clauses and expressions are unsupported)
+ * </pre>
+ *
+ * @param {Object} services An optional object containing the services used by the interpreter.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Interpreter} The new procedure interpreter.
+ */
+const Interpreter = function(services, debug) {
+    if (debug > 1) {
+        const validator = new utilities.Validator(debug);
+        validator.validateType('/bali/utilities/Interpreter', '$Interpreter', '$services', services, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
+
+    // the services are private attributes so methods that use them are defined in the constructor
+    debug = debug || 0;
+    services = Object.assign({}, services);
+    services.library = services.library || new utilities.Library(debug);
+    services.dispatcher = services.dispatcher || new utilities.Dispatcher(undefined, debug);
+    services.publisher = services.publisher || new utilities.Publisher(debug);
+    services.messenger = services.messenger || new utilities.Messenger(undefined, debug);
+
+    /**
+     * This method executes the statements in the specified procedure using the specified
+     * variables. Any variables that are assigned to by the procedure are updated in place.
+     *
+     * @param {Procedure} procedure The procedure to be executed.
+     * @param {Object|Catalog} variables An optional catalog (or JavaScript object) containing
+     * the variables that are in scope for the procedure.
+     * @returns {Component} The result of the return clause executed by the procedure, or
+     * <code>undefined</code> if the procedure did not return a result.
+     */
+    this.executeProcedure = async function(procedure, variables) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Interpreter', '$executeProcedure', '$procedure', procedure, [
+                '/bali/structures/Procedure'
+            ]);
+            validator.validateType('/bali/utilities/Interpreter', '$executeProcedure', '$variables', variables, [
+                '/javascript/Undefined',
+                '/javascript/Object',
+                '/bali/collections/Catalog'
+            ]);
+        }
+        variables = procedure.componentize(variables || {}, debug);
+        const visitor = new InterpretingVisitor(variables, services, debug);
+        try {
+            await visitor.executeStatements(procedure.getStatements());
+        } catch (cause) {
+            throw toException(cause);
+        }
+        return visitor.status === '$return' ? visitor.result : undefined;
+    };
+
+    /**
+     * This method evaluates the specified (parsed) expression using the specified variables.
+     *
+     * @param {Component} expression The expression to be evaluated.
+     * @param {Object|Catalog} variables An optional catalog (or JavaScript object) containing
+     * the variables that are referenced by the expression.
+     * @returns {Component} The resulting value of the expression.
+     */
+    this.evaluateExpression = async function(expression, variables) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Interpreter', '$evaluateExpression', '$expression', expression, [
+                '/bali/abstractions/Component'
+            ]);
+            validator.validateType('/bali/utilities/Interpreter', '$evaluateExpression', '$variables', variables, [
+                '/javascript/Undefined',
+                '/javascript/Object',
+                '/bali/collections/Catalog'
+            ]);
+        }
+        variables = expression.componentize(variables || {}, debug);
+        const visitor = new InterpretingVisitor(variables, services, debug);
+        try {
+            return await visitor.evaluateExpression(expression);
+        } catch (cause) {
+            throw toException(cause);
+        }
+    };
+
+    return this;
+};
+Interpreter.prototype.constructor = Interpreter;
+exports.Interpreter = Interpreter;
+
+
+// PRIVATE CONSTANTS
+
+// the binary arithmetic operators and their corresponding functions
+const ARITHMETIC = {
+    '+': 'sum',
+    '-': 'difference',
+    '*': 'product',
+    '/': 'quotient',
+    '//': 'remainder'
+};
+
+// the unary inversion operators and their corresponding functions
+const INVERSION = {
+    '-': 'inverse',
+    '/': 'reciprocal',
+    '*': 'conjugate'
+};
+
+// the length of the lease on a message that is retrieved from a bag
+const LEASE = new elements.Duration('PT1M');
+
+// the logical operators and their corresponding functions
+const LOGICAL = {
+    'AND': 'and',
+    'SANS': 'sans',
+    'XOR': 'xor',
+    'OR': 'or'
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function converts a raw JavaScript value (e.g. an item from a text or range
+ * iterator) into its corresponding component. Strings are not parsed since they are
+ * fragments of a sequence rather than Bali Document Notation™.
+ */
+const toComponent = function(value, debug) {
+    if (value && value.isComponent) return value;
+    if (typeof value === 'string') return new elements.Text(value, undefined, debug);
+    return abstractions.Component.prototype.componentize(value, debug);
+};
+
+/*
+ * This function converts a value that was thrown by a procedure but never handled into
+ * an exception. A thrown catalog becomes the attributes of the exception and any
+ * JavaScript error is wrapped in an exception.
+ */
+const toException = function(value) {
+    if (value instanceof structures.Exception) return value;
+    if (!value || !value.isComponent) return toThrownValue(value);
+    if (value.isType('/bali/collections/Catalog')) return new structures.Exception(value);
+    return new structures.Exception({
+        $module: '/bali/utilities/Interpreter',
+        $procedure: '$executeProcedure',
+        $exception: '$unhandledValue',
+        $value: value,
+        $text: 'A value was thrown by the procedure that was not handled.'
+    });
+};
+
+/*
+ * This function returns the component corresponding to a value that was thrown while
+ * executing a statement. Any JavaScript errors are wrapped in an exception.
+ */
+const toThrownValue = function(cause) {
+    if (cause && cause.isComponent) return cause;
+    return new structures.Exception({
+        $module: '/bali/utilities/Interpreter',
+        $procedure: '$executeProcedure',
+        $exception: '$unexpected',
+        $text: 'An unexpected error occurred while executing a statement.'
+    }, cause);
+};
+
+/*
+ * This function compares two operands for their natural order. The natural order of
+ * complex numbers is by magnitude so real numbers are compared by value instead.
+ */
+const compareOperands = function(first, second) {
+    if (first.isType('/bali/elements/Number') && second.isType('/bali/elements/Number') &&
+            first.getImaginary() === 0 && second.getImaginary() === 0) {
+        return Math.sign(first.getReal() - second.getReal());
+    }
+    return first.comparedTo(second);
+};
+
+/*
+ * This function retrieves the value of the attribute with the specified index from the
+ * specified composite component.
+ */
+const getAttribute = function(composite, index, debug) {
+    var value;
+    if (typeof composite.getAttribute === 'function') {
+        // catalogs, lists and exceptions
+        value = composite.getAttribute(index);
+    } else if (typeof composite.getItem === 'function' && index.isType('/bali/elements/Number')) {
+        // other sequential components
+        value = composite.getItem(index.toInteger());
+    } else {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Interpreter',
+            $procedure: '$getAttribute',
+            $exception: '$invalidIndex',
+            $type: composite.getType(),
+            $index: index,
+            $text: 'The component cannot be indexed using the specified index.'
+        });
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return toComponent(value, debug);
+};
+
+/*
+ * This function sets the value of the attribute with the specified index in the
+ * specified composite component.
+ */
+const setAttribute = function(composite, index, value, debug) {
+    if (typeof composite.setAttribute !== 'function') {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Interpreter',
+            $procedure: '$setAttribute',
+            $exception: '$invalidIndex',
+            $type: composite.getType(),
+            $index: index,
+            $text: 'The attributes of the component cannot be assigned.'
+        });
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    composite.setAttribute(index, value);
+};
+
+/*
+ * This function returns the name and version of the document that is identified by the
+ * specified value. The value may be a versioned name (e.g. /acme/reports/Q3/v1.4), a
+ * citation, or a draft document that was checked out from the repository.
+ */
+const getIdentity = function(value, debug) {
+    if (value.isType('/bali/elements/Name')) {
+        const parts = value.getValue();
+        const matches = /^v([1-9][0-9]*(\.[1-9][0-9]*)*)$/.exec(parts[parts.length - 1]);
+        if (matches && parts.length > 1) {
+            return {
+                name: new elements.Name(parts.slice(0, -1), undefined, debug),
+                version: new elements.Version(matches[1].split('.').map(Number), undefined, debug)
+            };
+        }
+    } else if (value.isType('/bali/structures/Citation')) {
+        return {
+            name: value.getAttribute('$name'),
+            version: value.getAttribute('$version')
+        };
+    } else if (value.getParameter('$name') && value.getParameter('$version')) {
+        return {
+            name: value.getParameter('$name'),
+            version: value.getParameter('$version')
+        };
+    }
+    const exception = new structures.Exception({
+        $module: '/bali/utilities/Interpreter',
+        $procedure: '$getIdentity',
+        $exception: '$invalidIdentity',
+        $value: value,
+        $text: 'The value does not identify a version of a document.'
+    });
+    if (debug > 0) console.error(exception.toString());
+    throw exception;
+};
+
+
+// PRIVATE CLASSES
+
+const InterpretingVisitor = function(variables, services, debug) {
+    abstractions.Visitor.call(this, debug);
+    this.variables = variables;
+    this.services = services;
+    this.result = undefined;  // the value of the most recently evaluated expression
+    this.status = undefined;  // one of $break, $continue or $return when set
+    this.cause = undefined;  // the value that was most recently thrown by a statement
+    return this;
+};
+InterpretingVisitor.prototype = Object.create(abstractions.Visitor.prototype);
+InterpretingVisitor.prototype.constructor = InterpretingVisitor;
+
+
+InterpretingVisitor.prototype.evaluateExpression = async function(expression) {
+    await expression.acceptVisitor(this);
+    return this.result;
+};
+
+
+InterpretingVisitor.prototype.evaluateArguments = async function(args) {
+    const values = [];
+    const iterator = args.getIterator();
+    while (iterator.hasNext()) {
+        values.push(await this.evaluateExpression(iterator.getNext()));
+    }
+    return values;
+};
+
+
+InterpretingVisitor.prototype.evaluateIndices = async function(indices) {
+    const values = [];
+    const iterator = indices.getIterator();
+    while (iterator.hasNext()) {
+        values.push(await this.evaluateExpression(iterator.getNext()));
+    }
+    return values;
+};
+
+
+InterpretingVisitor.prototype.invokeFunction = function(name, args) {
+    return this.services.library.invokeFunction(name, args);
+};
+
+
+InterpretingVisitor.prototype.executeStatements = async function(statements) {
+    await statements.acceptVisitor(this);
+    if (this.status === '$break' || this.status === '$continue') {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Interpreter',
+            $procedure: '$executeProcedure',
+            $exception: '$invalidLoop',
+            $clause: this.status,
+            $text: 'A loop clause was executed outside of a loop.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+InterpretingVisitor.prototype.executeIteration = async function(block) {
+    await block.acceptVisitor(this);
+    const status = this.status;
+    if (status === '$break' || status === '$continue') this.status = undefined;
+    return status === undefined || status === '$continue';
+};
+
+
+InterpretingVisitor.prototype.assignRecipient = async function(recipient, value) {
+    if (recipient.isType('/bali/elements/Symbol')) {
+        this.variables.setAttribute(recipient, value);
+    } else {
+        // the recipient is an attribute of a variable
+        var composite = await this.evaluateExpression(recipient.getItem(1));
+        const indices = await this.evaluateIndices(recipient.getItem(2));
+        const last = indices.pop();
+        indices.forEach(function(index) {
+            composite = getAttribute(composite, index, this.debug);
+        }, this);
+        setAttribute(composite, last, value, this.debug);
+    }
+};
+
+
+InterpretingVisitor.prototype.getService = function(name, tree) {
+    const service = this.services[name];
+    if (!service) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Interpreter',
+            $procedure: '$executeProcedure',
+            $exception: '$missingService',
+            $service: '$' + name,
+            $clause: tree.getType(),
+            $text: 'The interpreter has no service that supports this type of clause or expression.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return service;
+};
+
+
+// elements are immutable so they evaluate to themselves
+InterpretingVisitor.prototype.visitElement = function(element) {
+    this.result = element;
+};
+InterpretingVisitor.prototype.visitAngle = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitBinary = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitDuration = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitMoment = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitName = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitNumber = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitPattern = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitPercent = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitProbability = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitRange = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitReference = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitSymbol = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitTag = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitText = InterpretingVisitor.prototype.visitElement;
+InterpretingVisitor.prototype.visitVersion = InterpretingVisitor.prototype.visitElement;
+
+
+// acceptClause: 'accept' expression
+InterpretingVisitor.prototype.visitAcceptClause = async function(tree) {
+    const message = await this.evaluateExpression(tree.getItem(1));
+    await this.services.messenger.acceptMessage(message);
+};
+
+
+// arithmeticExpression: expression ('*' | '/' | '//' | '+' | '-') expression
+InterpretingVisitor.prototype.visitArithmeticExpression = async function(tree) {
+    const first = await this.evaluateExpression(tree.getItem(1));
+    const second = await this.evaluateExpression(tree.getItem(2));
+    this.result = this.invokeFunction(ARITHMETIC[tree.operator], [first, second]);
+};
+
+
+// block: '{' statements '}'
+InterpretingVisitor.prototype.visitBlock = async function(tree) {
+    const statements = tree.getItem(1);
+    await statements.acceptVisitor(this);
+};
+
+
+// breakClause: 'break' 'loop'
+InterpretingVisitor.prototype.visitBreakClause = function(tree) {
+    this.status = '$break';
+};
+
+
+// checkoutClause: 'checkout' ('level' expression 'of')? recipient 'from' expression
+InterpretingVisitor.prototype.visitCheckoutClause = async function(tree) {
+    const size = tree.getSize();
+    const level = size > 2 ? (await this.evaluateExpression(tree.getItem(1))).toInteger() : undefined;
+    const identity = getIdentity(await this.evaluateExpression(tree.getItem(size)), this.debug);
+    const repository = this.getService('repository', tree);
+    const checkout = await repository.checkoutDocument(identity.name, identity.version, level);
+    // the draft remembers its identity so that it can be saved and discarded later
+    const draft = checkout.draft;
+    draft.setParameter('$name', identity.name);
+    draft.setParameter('$version', checkout.version);
+    await this.assignRecipient(tree.getItem(size - 1), draft);
+};
+
+
+// collection: list | catalog
+InterpretingVisitor.prototype.visitCollection = function(collection) {
+    // a copy is used so that the literal in the procedure is never modified
+    this.result = collection.duplicate();
+};
+
+
+// commitClause: 'commit' expression 'to' expression
+InterpretingVisitor.prototype.visitCommitClause = async function(tree) {
+    const document = await this.evaluateExpression(tree.getItem(1));
+    const identity = getIdentity(await this.evaluateExpression(tree.getItem(2)), this.debug);
+    const repository = this.getService('repository', tree);
+    await repository.commitDocument(identity.name, identity.version, document);
+};
+
+
+// comparisonExpression: expression ('<' | '=' | '>' | 'IS' | 'MATCHES') expression
+InterpretingVisitor.prototype.visitComparisonExpression = async function(tree) {
+    const first = await this.evaluateExpression(tree.getItem(1));
+    const second = await this.evaluateExpression(tree.getItem(2));
+    var result;
+    switch (tree.operator) {
+        case '<':
+            result = compareOperands(first, second) < 0;
+            break;
+        case '=':
+            result = first.isEqualTo(second);
+            break;
+        case '>':
+            result = compareOperands(first, second) > 0;
+            break;
+        case 'IS':
+            result = first === second;
+            break;
+        case 'MATCHES':
+            result = first.isMatchedBy(second);
+            break;
+    }
+    this.result = new elements.Probability(result, undefined, this.debug);
+};
+
+
+// complementExpression: 'NOT' expression
+InterpretingVisitor.prototype.visitComplementExpression = async function(tree) {
+    const operand = await this.evaluateExpression(tree.getItem(1));
+    this.result = this.invokeFunction('not', [operand]);
+};
+
+
+// concatenationExpression: expression '&' expression
+InterpretingVisitor.prototype.visitConcatenationExpression = async function(tree) {
+    const first = await this.evaluateExpression(tree.getItem(1));
+    const second = await this.evaluateExpression(tree.getItem(2));
+    this.result = this.invokeFunction('concatenation', [first, second]);
+};
+
+
+// continueClause: 'continue' 'loop'
+InterpretingVisitor.prototype.visitContinueClause = function(tree) {
+    this.status = '$continue';
+};
+
+
+// defaultExpression: expression '?' expression
+InterpretingVisitor.prototype.visitDefaultExpression = async function(tree) {
+    const value = await this.evaluateExpression(tree.getItem(1));
+    if (value.isType('/bali/elements/Pattern') && !value.toBoolean()) {
+        // the value is none so use the default value instead
+        await this.evaluateExpression(tree.getItem(2));
+    }
+};
+
+
+// dereferenceExpression: '@' expression
+InterpretingVisitor.prototype.visitDereferenceExpression = async function(tree) {
+    const identity = getIdentity(await this.evaluateExpression(tree.getItem(1)), this.debug);
+    const repository = this.getService('repository', tree);
+    const document = await repository.readDocument(identity.name, identity.version);
+    if (document === undefined) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Interpreter',
+            $procedure: '$executeProcedure',
+            $exception: '$unknownDocument',
+            $name: identity.name,
+            $version: identity.version,
+            $text: 'The referenced version of the document has not been committed.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    this.result = document;
+};
+
+
+// discardClause: 'discard' expression
+InterpretingVisitor.prototype.visitDiscardClause = async function(tree) {
+    const identity = getIdentity(await this.evaluateExpression(tree.getItem(1)), this.debug);
+    const repository = this.getService('repository', tree);
+    await repository.discardDraft(identity.name, identity.version);
+};
+
+
+// evaluateClause: (recipient ':=')? expression
+InterpretingVisitor.prototype.visitEvaluateClause = async function(tree) {
+    const size = tree.getSize();
+    const value = await this.evaluateExpression(tree.getItem(size));
+    if (size > 1) await this.assignRecipient(tree.getItem(1), value);
+};
+
+
+// exponentialExpression: <assoc=right> expression '^' expression
+InterpretingVisitor.prototype.visitExponentialExpression = async function(tree) {
+    const base = await this.evaluateExpression(tree.getItem(1));
+    const exponent = await this.evaluateExpression(tree.getItem(2));
+    this.result = this.invokeFunction('exponential', [base, exponent]);
+};
+
+
+// factorialExpression: expression '!'
+InterpretingVisitor.prototype.visitFactorialExpression = async function(tree) {
+    const operand = await this.evaluateExpression(tree.getItem(1));
+    this.result = this.invokeFunction('factorial', [operand]);
+};
+
+
+// functionExpression: function '(' arguments ')'
+InterpretingVisitor.prototype.visitFunctionExpression = async function(tree) {
+    const name = tree.getItem(1).identifier;
+    const args = await this.evaluateArguments(tree.getItem(2));
+    this.result = this.invokeFunction(name, args);
+};
+
+
+// handleClause: 'handle' symbol ('matching' expression 'with' block)+
+InterpretingVisitor.prototype.visitHandleClause = async function(tree) {
+    const cause = this.cause;
+    const exception = toThrownValue(cause);
+    const iterator = tree.getIterator();
+    const symbol = iterator.getNext();
+    this.variables.setAttribute(symbol, exception);
+    while (iterator.hasNext()) {
+        const pattern = await this.evaluateExpression(iterator.getNext());
+        const block = iterator.getNext();
+        if (exception.isMatchedBy(pattern)) {
+            // the first matching block handles the exception
+            await block.acceptVisitor(this);
+            return;
+        }
+    }
+    throw cause;  // no block matched so pass it on
+};
+
+
+// ifClause: 'if' expression 'then' block ('else' 'if' expression 'then' block)* ('else' block)?
+InterpretingVisitor.prototype.visitIfClause = async function(tree) {
+    const size = tree.getSize();
+    for (var i = 1; i <= size; i += 2) {
+        if (i === size) {
+            // none of the conditions were true so execute the 'else' block
+            await tree.getItem(i).acceptVisitor(this);
+            return;
+        }
+        const condition = await this.evaluateExpression(tree.getItem(i));
+        if (condition.toBoolean()) {
+            await tree.getItem(i + 1).acceptVisitor(this);
+            return;
+        }
+    }
+};
+
+
+// inversionExpression: ('-' | '/' | '*') expression
+InterpretingVisitor.prototype.visitInversionExpression = async function(tree) {
+    const operand = await this.evaluateExpression(tree.getItem(1));
+    this.result = this.invokeFunction(INVERSION[tree.operator], [operand]);
+};
+
+
+// logicalExpression: expression ('AND' | 'SANS' | 'XOR' | 'OR') expression
+InterpretingVisitor.prototype.visitLogicalExpression = async function(tree) {
+    const first = await this.evaluateExpression(tree.getItem(1));
+    const second = await this.evaluateExpression(tree.getItem(2));
+    this.result = this.invokeFunction(LOGICAL[tree.operator], [first, second]);
+};
+
+
+// magnitudeExpression: '|' expression '|'
+InterpretingVisitor.prototype.visitMagnitudeExpression = async function(tree) {
+    const operand = await this.evaluateExpression(tree.getItem(1));
+    this.result = this.invokeFunction('magnitude', [operand]);
+};
+
+
+// messageExpression: expression ('.' | '<-') message '(' arguments ')'
+InterpretingVisitor.prototype.visitMessageExpression = async function(tree) {
+    const target = await this.evaluateExpression(tree.getItem(1));
+    const message = tree.getItem(2).identifier;
+    const args = await this.evaluateArguments(tree.getItem(3));
+    const dispatcher = this.services.dispatcher;
+    if (tree.operator === '.') {
+        this.result = await dispatcher.sendMessage(target, message, args);
+    } else {
+        this.result = await dispatcher.postMessage(target, message, args);
+    }
+};
+
+
+// precedenceExpression: '(' expression ')'
+InterpretingVisitor.prototype.visitPrecedenceExpression = async function(tree) {
+    await this.evaluateExpression(tree.getItem(1));
+};
+
+
+// procedure: '{' statements '}'
+InterpretingVisitor.prototype.visitProcedure = function(procedure) {
+    // a procedure literal is a value, it is not executed
+    this.result = procedure;
+};
+
+
+// publishClause: 'publish' expression
+InterpretingVisitor.prototype.visitPublishClause = async function(tree) {
+    const event = await this.evaluateExpression(tree.getItem(1));
+    await this.services.publisher.postEvent(event);
+};
+
+
+// postClause: 'post' expression 'to' expression
+InterpretingVisitor.prototype.visitPostClause = async function(tree) {
+    const message = await this.evaluateExpression(tree.getItem(1));
+    const bag = await this.evaluateExpression(tree.getItem(2));
+    await this.services.messenger.postMessage(bag, message);
+};
+
+
+// retrieveClause: 'retrieve' recipient 'from' expression
+InterpretingVisitor.prototype.visitRetrieveClause = async function(tree) {
+    const bag = await this.evaluateExpression(tree.getItem(2));
+    const message = await this.services.messenger.retrieveMessage(bag, LEASE);
+    // none is retrieved if the bag does not contain any available messages
+    await this.assignRecipient(tree.getItem(1), message || new elements.Pattern(undefined, undefined, this.debug));
+};
+
+
+// rejectClause: 'reject' expression
+InterpretingVisitor.prototype.visitRejectClause = async function(tree) {
+    const message = await this.evaluateExpression(tree.getItem(1));
+    await this.services.messenger.rejectMessage(message);
+};
+
+
+// returnClause: 'return' expression?
+InterpretingVisitor.prototype.visitReturnClause = async function(tree) {
+    this.result = undefined;
+    if (tree.getSize() > 0) await this.evaluateExpression(tree.getItem(1));
+    this.status = '$return';
+};
+
+
+// saveClause: 'save' expression ('as' recipient)?
+InterpretingVisitor.prototype.visitSaveClause = async function(tree) {
+    const draft = await this.evaluateExpression(tree.getItem(1));
+    const identity = getIdentity(draft, this.debug);
+    const repository = this.getService('repository', tree);
+    const citation = await repository.saveDraft(identity.name, identity.version, draft);
+    if (tree.getSize() > 1) await this.assignRecipient(tree.getItem(2), citation);
+};
+
+
+// selectClause: 'select' expression 'from' (expression 'do' block)+ ('else' block)?
+InterpretingVisitor.prototype.visitSelectClause = async function(tree) {
+    const value = await this.evaluateExpression(tree.getItem(1));
+    const size = tree.getSize();
+    for (var i = 2; i <= size; i += 2) {
+        if (i === size) {
+            // none of the options matched so execute the 'else' block
+            await tree.getItem(i).acceptVisitor(this);
+            return;
+        }
+        const option = await this.evaluateExpression(tree.getItem(i));
+        if (value.isMatchedBy(option)) {
+            await tree.getItem(i + 1).acceptVisitor(this);
+            return;
+        }
+    }
+};
+
+
+// statement: mainClause handleClause?
+InterpretingVisitor.prototype.visitStatement = async function(tree) {
+    const mainClause = tree.getItem(1);
+    if (tree.getSize() === 1) {
+        await mainClause.acceptVisitor(this);
+        return;
+    }
+    try {
+        await mainClause.acceptVisitor(this);
+    } catch (cause) {
+        this.cause = cause;  // save the thrown value for the handle clause
+        const handleClause = tree.getItem(2);
+        await handleClause.acceptVisitor(this);
+    }
+};
+
+
+// statements:
+//     statement (';' statement)* |
+//     EOL (statement EOL)* |
+//     {empty procedure}
+InterpretingVisitor.prototype.visitStatements = async function(tree) {
+    this.depth++;
+    const iterator = tree.getIterator();
+    while (iterator.hasNext() && this.status === undefined) {
+        const statement = iterator.getNext();
+        await statement.acceptVisitor(this);
+    }
+    this.depth--;
+};
+
+
+// attributeExpression: expression '[' indices ']'
+InterpretingVisitor.prototype.visitAttributeExpression = async function(tree) {
+    var composite = await this.evaluateExpression(tree.getItem(1));
+    const indices = await this.evaluateIndices(tree.getItem(2));
+    indices.forEach(function(index) {
+        composite = getAttribute(composite, index, this.debug);
+    }, this);
+    this.result = composite;
+};
+
+
+// throwClause: 'throw' expression
+InterpretingVisitor.prototype.visitThrowClause = async function(tree) {
+    const exception = await this.evaluateExpression(tree.getItem(1));
+    if (this.debug > 0) console.error(exception.toString());
+    throw exception;
+};
+
+
+// variable: IDENTIFIER
+InterpretingVisitor.prototype.visitVariable = function(tree) {
+    const symbol = new elements.Symbol(tree.identifier, undefined, this.debug);
+    const value = this.variables.getAttribute(symbol);
+    this.result = value || new elements.Pattern(undefined, undefined, this.debug);  // none
+};
+
+
+// whileClause: 'while' expression 'do' block
+InterpretingVisitor.prototype.visitWhileClause = async function(tree) {
+    const condition = tree.getItem(1);
+    const block = tree.getItem(2);
+    while ((await this.evaluateExpression(condition)).toBoolean()) {
+        if (!await this.executeIteration(block)) break;
+    }
+};
+
+
+// withClause: 'with' ('each' symbol 'in')? expression 'do' block
+InterpretingVisitor.prototype.visitWithClause = async function(tree) {
+    const size = tree.getSize();
+    const symbol = size > 2 ? tree.getItem(1) : undefined;
+    const sequence = await this.evaluateExpression(tree.getItem(size - 1));
+    const block = tree.getItem(size);
+    const iterator = sequence.getIterator();
+    while (iterator.hasNext()) {
+        const item = toComponent(iterator.getNext(), this.debug);
+        if (symbol) this.variables.setAttribute(symbol, item);
+        if (!await this.executeIteration(block)) break;
+    }
+};
+
@@ -0,0 +1,402 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a language server for Bali Document Notation™ documents that
+ * speaks the Language Server Protocol (https://microsoft.github.io/language-server-protocol/).
+ * It supports the following features:
+ * <pre>
+ *   * diagnostics for the syntax errors in each open document
+ *   * formatting of a document using its canonical format
+ *   * hovering over a component to see its type
+ *   * folding of the catalogs, lists, procedures and blocks that span multiple lines
+ *   * going to the definition of a variable (or symbol) within a procedure
+ * </pre>
+ *
+ * The messages are JSON-RPC 2.0 messages. They may be passed directly to the server using
+ * the handleMessage() method, or read from and written to streams (e.g. stdin and stdout)
+ * using the listen() method.
+ */
+const utilities = require('../utilities/');
+const abstractions = require('../abstractions/');
+
+// This private constant sets the POSIX end of line character
+const EOL = '\n';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new language server.
+ *
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {LanguageServer} The new language server.
+ */
+const LanguageServer = function(debug) {
+
+    // the open documents are private attributes so methods that use them are defined in
+    // the constructor
+    debug = debug || 0;
+    const documents = {};  // maps the URI of each open document to its text
+    var shutdown = false;
+
+    /**
+     * This method handles a JSON-RPC message that was sent by the client and returns
+     * any messages that should be sent back to the client in response.
+     *
+     * @param {Object} message The JSON-RPC request or notification from the client.
+     * @returns {Array} An array containing the JSON-RPC responses and notifications that
+     * should be sent to the client.
+     */
+    this.handleMessage = function(message) {
+        const messages = [];
+        const handler = HANDLERS[message.method];
+        try {
+            if (!handler) {
+                if (message.id !== undefined) {
+                    messages.push(errorResponse(message.id, METHOD_NOT_FOUND, 'The method is not supported: ' + message.method));
+                }
+                return messages;  // unsupported notifications are ignored
+            }
+            const result = handler(message.params || {}, messages);
+            if (message.id !== undefined) {
+                messages.unshift({jsonrpc: '2.0', id: message.id, result: result === undefined ? null : result});
+            }
+        } catch (cause) {
+            if (debug > 0) console.error(cause.toString());
+            if (message.id !== undefined) messages.push(errorResponse(message.id, INTERNAL_ERROR, cause.message || cause.toString()));
+        }
+        return messages;
+    };
+
+    /**
+     * This method reads the messages from the client on the input stream and writes the
+     * responses to the output stream. Each message is preceded by a 'Content-Length' header.
+     *
+     * @param {Stream} input The input stream (e.g. process.stdin).
+     * @param {Stream} output The output stream (e.g. process.stdout).
+     * @returns {Promise} A promise that is resolved with the exit code once the client sends
+     * an 'exit' notification or closes the input stream.
+     */
+    this.listen = function(input, output) {
+        const server = this;
+        return new Promise(function(resolve) {
+            var buffer = Buffer.alloc(0);
+            const finish = function(code) {
+                input.removeListener('data', receive);
+                input.removeListener('end', end);
+                resolve(code);
+            };
+            const end = function() {
+                finish(1);
+            };
+            const send = function(response) {
+                const json = JSON.stringify(response);
+                output.write('Content-Length: ' + Buffer.byteLength(json, 'utf8') + '\r\n\r\n' + json);
+            };
+            const receive = function(chunk) {
+                buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+                while (true) {
+                    const separator = buffer.indexOf('\r\n\r\n');
+                    if (separator < 0) return;  // the headers are incomplete
+                    const headers = buffer.slice(0, separator).toString('ascii');
+                    const match = /Content-Length: *(\d+)/i.exec(headers);
+                    const length = match ? Number(match[1]) : 0;
+                    if (buffer.length < separator + 4 + length) return;  // the content is incomplete
+                    const content = buffer.slice(separator + 4, separator + 4 + length).toString('utf8');
+                    buffer = buffer.slice(separator + 4 + length);
+                    var message;
+                    try {
+                        message = JSON.parse(content);
+                    } catch (cause) {
+                        // the id of the request is unknown so the response has a null id
+                        if (debug > 0) console.error(cause.toString());
+                        send(errorResponse(null, PARSE_ERROR, 'The message is not valid JSON: ' + cause.message));
+                        continue;
+                    }
+                    if (message === null || typeof message !== 'object') {
+                        send(errorResponse(null, INVALID_REQUEST, 'The message is not a JSON-RPC request or notification.'));
+                        continue;
+                    }
+                    server.handleMessage(message).forEach(send);
+                    if (message.method === 'exit') return finish(shutdown ? 0 : 1);
+                }
+            };
+            input.on('data', receive);
+            input.on('end', end);
+        });
+    };
+
+    const publishDiagnostics = function(uri, messages) {
+        const parser = new utilities.Parser(debug, {recover: true});
+        parser.parseDocument(documents[uri]);
+        const diagnostics = parser.getDiagnostics().toArray().map(function(diagnostic) {
+            const line = diagnostic.getAttribute('$line').toInteger() - 1;
+            const character = diagnostic.getAttribute('$column').toInteger();
+            const token = diagnostic.getAttribute('$token');
+            const text = token ? token.getValue() : '';
+            const length = text === '<EOF>' ? 0 : Math.max(text.length, 1);
+            return {
+                range: {
+                    start: {line: line, character: character},
+                    end: {line: line, character: character + length}
+                },
+                severity: 1,  // error
+                source: 'bali',
+                message: diagnostic.getAttribute('$message').getValue()
+            };
+        });
+        messages.push({
+            jsonrpc: '2.0',
+            method: 'textDocument/publishDiagnostics',
+            params: {uri: uri, diagnostics: diagnostics}
+        });
+    };
+
+    const locateComponents = function(uri) {
+        const parser = new utilities.Parser(debug, {ranges: true});
+        const component = parser.parseDocument(documents[uri]);
+        const visitor = new LocatingVisitor(debug);
+        component.acceptVisitor(visitor);
+        return visitor.locations;
+    };
+
+    const locateComponent = function(uri, locations, position) {
+        const offset = toOffset(documents[uri], position);
+        var innermost;
+        locations.forEach(function(location) {
+            const range = location.component.sourceRange;
+            if (range.start.offset <= offset && offset < range.end.offset) {
+                // the components are visited from the outside in
+                if (!innermost || range.end.offset - range.start.offset <= size(innermost)) innermost = location;
+            }
+        });
+        return innermost;
+    };
+
+    const HANDLERS = {
+        'initialize': function(params) {
+            return {
+                capabilities: {
+                    textDocumentSync: 1,  // the full text is sent for each change
+                    documentFormattingProvider: true,
+                    hoverProvider: true,
+                    foldingRangeProvider: true,
+                    definitionProvider: true
+                },
+                serverInfo: {name: 'bali-language-server'}
+            };
+        },
+        'initialized': function(params) {
+        },
+        'shutdown': function(params) {
+            shutdown = true;
+            return null;
+        },
+        'exit': function(params) {
+        },
+        'textDocument/didOpen': function(params, messages) {
+            const uri = params.textDocument.uri;
+            documents[uri] = params.textDocument.text;
+            publishDiagnostics(uri, messages);
+        },
+        'textDocument/didChange': function(params, messages) {
+            const uri = params.textDocument.uri;
+            const changes = params.contentChanges;
+            documents[uri] = changes[changes.length - 1].text;
+            publishDiagnostics(uri, messages);
+        },
+        'textDocument/didClose': function(params, messages) {
+            const uri = params.textDocument.uri;
+            delete documents[uri];
+            messages.push({
+                jsonrpc: '2.0',
+                method: 'textDocument/publishDiagnostics',
+                params: {uri: uri, diagnostics: []}
+            });
+        },
+        'textDocument/formatting': function(params) {
+            const text = documents[params.textDocument.uri];
+            var formatted;
+            try {
+                const parser = new utilities.Parser(0, {comments: true});  // errors are reported as diagnostics
+                formatted = parser.parseDocument(text).toBDN();
+                if (!formatted.endsWith(EOL)) formatted += EOL;  // a trailing line comment ends with one
+            } catch (cause) {
+                return null;  // a document containing syntax errors cannot be formatted
+            }
+            if (formatted === text) return [];
+            return [{range: {start: {line: 0, character: 0}, end: toPosition(text, text.length)}, newText: formatted}];
+        },
+        'textDocument/hover': function(params) {
+            const uri = params.textDocument.uri;
+            const locations = tryLocating(function() {
+                return locateComponents(uri);
+            });
+            if (!locations) return null;
+            const location = locateComponent(uri, locations, params.position);
+            if (!location) return null;
+            const validator = new utilities.Validator(debug);
+            return {
+                contents: {kind: 'plaintext', value: validator.getType(location.component)},
+                range: toRange(location.component.sourceRange)
+            };
+        },
+        'textDocument/foldingRange': function(params) {
+            const locations = tryLocating(function() {
+                return locateComponents(params.textDocument.uri);
+            }) || [];
+            const ranges = [];
+            const lines = {};
+            locations.forEach(function(location) {
+                const component = location.component;
+                const range = component.sourceRange;
+                if (range.end.line > range.start.line && !lines[range.start.line] && FOLDABLE.some(function(type) {
+                    return component.isType(type);
+                })) {
+                    lines[range.start.line] = true;  // only one folding range may start on each line
+                    ranges.push({startLine: range.start.line - 1, endLine: range.end.line - 1});
+                }
+            });
+            return ranges;
+        },
+        'textDocument/definition': function(params) {
+            const uri = params.textDocument.uri;
+            const locations = tryLocating(function() {
+                return locateComponents(uri);
+            });
+            if (!locations) return null;
+            const target = locateComponent(uri, locations, params.position);
+            if (!target || !target.procedure) return null;
+            const name = identifierOf(target.component);
+            if (!name) return null;
+            var definition;
+            locations.forEach(function(location) {
+                if (location.procedure !== target.procedure) return;
+                const component = location.component;
+                if (!component.isType('/bali/elements/Symbol') || component.getValue() !== name) return;
+                if (!definition || component.sourceRange.start.offset < definition.sourceRange.start.offset) {
+                    definition = component;
+                }
+            });
+            if (!definition) return null;
+            return {uri: uri, range: toRange(definition.sourceRange)};
+        }
+    };
+
+    return this;
+};
+LanguageServer.prototype.constructor = LanguageServer;
+exports.LanguageServer = LanguageServer;
+
+
+// PRIVATE CONSTANTS
+
+// the JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+// the types of components that can be folded
+const FOLDABLE = [
+    '/bali/abstractions/Collection',
+    '/bali/structures/Procedure',
+    '/bali/structures/Block'
+];
+
+
+// PRIVATE FUNCTIONS
+
+const errorResponse = function(id, code, message) {
+    return {jsonrpc: '2.0', id: id, error: {code: code, message: message}};
+};
+
+/*
+ * This function returns the result of the specified locating function, or undefined if
+ * the document could not be parsed. The syntax errors are reported as diagnostics instead.
+ */
+const tryLocating = function(locate) {
+    try {
+        return locate();
+    } catch (cause) {
+        if (!cause.isComponent) throw cause;
+    }
+};
+
+const size = function(location) {
+    const range = location.component.sourceRange;
+    return range.end.offset - range.start.offset;
+};
+
+/*
+ * This function returns the identifier that a variable (e.g. x) or symbol (e.g. $x)
+ * refers to, or undefined if the component is neither.
+ */
+const identifierOf = function(component) {
+    if (component.isType('/bali/structures/Variable')) return component.identifier;
+    if (component.isType('/bali/elements/Symbol')) return component.getValue();
+};
+
+/*
+ * These functions convert between the zero based line and character positions used by
+ * the protocol and offsets into the text of a document.
+ */
+const toOffset = function(text, position) {
+    const lines = text.split(EOL);
+    var offset = 0;
+    for (var i = 0; i < position.line && i < lines.length; i++) {
+        offset += lines[i].length + 1;
+    }
+    return offset + position.character;
+};
+
+const toPosition = function(text, offset) {
+    const lines = text.slice(0, offset).split(EOL);
+    return {line: lines.length - 1, character: lines[lines.length - 1].length};
+};
+
+const toRange = function(sourceRange) {
+    return {
+        start: {line: sourceRange.start.line - 1, character: sourceRange.start.column},
+        end: {line: sourceRange.end.line - 1, character: sourceRange.end.column}
+    };
+};
+
+
+// PRIVATE CLASSES
+
+/*
+ * This visitor walks a component and records each component that has a source range,
+ * along with the innermost procedure that contains it.
+ */
+const LocatingVisitor = function(debug) {
+    abstractions.Visitor.call(this, debug);
+    this.locations = [];
+    this.procedures = [];
+    return this;
+};
+LocatingVisitor.prototype = Object.create(abstractions.Visitor.prototype);
+LocatingVisitor.prototype.constructor = LocatingVisitor;
+
+for (const name in LocatingVisitor.prototype) {  // includes the inherited methods
+    if (!name.startsWith('visit')) continue;
+    const visit = LocatingVisitor.prototype[name];
+    LocatingVisitor.prototype[name] = function(component) {
+        if (component && component.sourceRange) {
+            this.locations.push({component: component, procedure: this.procedures[this.procedures.length - 1]});
+        }
+        const isProcedure = component && component.isComponent && component.isType('/bali/structures/Procedure');
+        if (isProcedure) this.procedures.push(component);
+        visit.call(this, component);
+        if (isProcedure) this.procedures.pop();
+    };
+}
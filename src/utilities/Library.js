@@ -0,0 +1,434 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a library of named functions that may be invoked from within
+ * expressions (e.g. sine(angle)). The library contains built-in functions that map to the
+ * static functions defined on the element and collection classes. Additional functions
+ * may be registered by a host application. The types of the arguments passed to each
+ * function are validated against the types declared for its parameters.
+ */
+const utilities = require('../utilities/');
+const abstractions = require('../abstractions/');
+const elements = require('../elements');
+const structures = require('../structures');
+const collections = require('../collections');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new function library containing the built-in functions.
+ *
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Library} The new function library.
+ */
+const Library = function(debug) {
+
+    // the debug flag is a private attribute so methods that use it are defined in the constructor
+    debug = debug || 0;
+    const functions = Object.assign({}, BUILT_INS);
+
+    /**
+     * This method returns a sorted array containing the names of the functions that are
+     * defined in this library.
+     *
+     * @returns {Array} An array containing the names of the functions in this library.
+     */
+    this.getNames = function() {
+        return Object.keys(functions).sort();
+    };
+
+    /**
+     * This method registers a new function with this library. The parameters of the function
+     * are declared as a JavaScript object whose keys are the parameter names (e.g. '$angle')
+     * and whose values are arrays of the types allowed for each parameter. The implementation
+     * is passed each argument followed by the debug level.
+     *
+     * @param {String} name The name of the function.
+     * @param {Object} parameters An object mapping each parameter name to its allowed types.
+     * @param {Function} implementation The JavaScript function that implements the function.
+     */
+    this.registerFunction = function(name, parameters, implementation) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Library', '$registerFunction', '$name', name, [
+                '/javascript/String'
+            ]);
+            validator.validateType('/bali/utilities/Library', '$registerFunction', '$parameters', parameters, [
+                '/javascript/Object'
+            ]);
+            validator.validateType('/bali/utilities/Library', '$registerFunction', '$implementation', implementation, [
+                '/javascript/Function'
+            ]);
+        }
+        if (functions[name]) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Library',
+                $procedure: '$registerFunction',
+                $exception: '$functionExists',
+                $function: name,
+                $text: 'A function with the specified name already exists in the library.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        functions[name] = {
+            parameters: parameters,
+            implementation: implementation
+        };
+    };
+
+    /**
+     * This method invokes the named function on the specified arguments after validating
+     * the number and types of the arguments.
+     *
+     * @param {String} name The name of the function.
+     * @param {Array} args An array containing the arguments to be passed to the function.
+     * @returns {Component} The result of the function.
+     */
+    this.invokeFunction = function(name, args) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Library', '$invokeFunction', '$name', name, [
+                '/javascript/String'
+            ]);
+            validator.validateType('/bali/utilities/Library', '$invokeFunction', '$args', args, [
+                '/javascript/Undefined',
+                '/javascript/Array'
+            ]);
+        }
+        args = args || [];
+        const funcxion = functions[name];
+        if (!funcxion) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Library',
+                $procedure: '$invokeFunction',
+                $exception: '$unknownFunction',
+                $function: name,
+                $text: 'The library does not contain a function with the specified name.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        const names = Object.keys(funcxion.parameters);
+        if (args.length > names.length) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Library',
+                $procedure: '$invokeFunction',
+                $exception: '$argumentCount',
+                $function: name,
+                $expected: names.length,
+                $actual: args.length,
+                $text: 'Too many arguments were passed to the function.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        const validator = new utilities.Validator(debug);
+        names.forEach(function(parameter, index) {
+            validator.validateType('/bali/utilities/Library', '$' + name, parameter, args[index], funcxion.parameters[parameter]);
+        });
+        args = args.concat(new Array(names.length - args.length));  // pad any missing optional arguments
+        const result = funcxion.implementation.apply(undefined, args.concat(debug));
+        return toComponent(result, debug);
+    };
+
+    return this;
+};
+Library.prototype.constructor = Library;
+exports.Library = Library;
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function converts the JavaScript value returned by a function into its
+ * corresponding component.
+ */
+const toComponent = function(value, debug) {
+    if (value && value.isComponent) return value;
+    if (typeof value === 'boolean') return new elements.Probability(value, undefined, debug);
+    return abstractions.Component.prototype.componentize(value, debug);
+};
+
+/*
+ * This function returns an implementation that selects from the specified implementations
+ * based on the type of its first argument. Any other operands of the wrong type cause the
+ * selected implementation to fail, which is also reported as an invalid operand.
+ */
+const byType = function(name, implementations) {
+    return function() {
+        const debug = arguments[arguments.length - 1];
+        const type = arguments[0].getType();
+        const invalidOperand = function(cause) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Library',
+                $procedure: '$' + name,
+                $exception: '$invalidOperand',
+                $type: type,
+                $text: 'The operation is not supported for the type of operand.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        };
+        const implementation = implementations[type];
+        if (!implementation) invalidOperand();
+        try {
+            return implementation.apply(undefined, arguments);
+        } catch (cause) {
+            if (cause && cause.isComponent) throw cause;
+            invalidOperand(cause);
+        }
+    };
+};
+
+
+/*
+ * This function returns an implementation that scales an element (e.g. an angle) by a
+ * number, or by the reciprocal of the number if the operation is a division.
+ */
+const scaledBy = function(scaled, reciprocal) {
+    return function(element, factor, debug) {
+        factor = factor.toNumber();
+        if (reciprocal) factor = 1 / factor;
+        return scaled(element, factor, debug);
+    };
+};
+
+
+// PRIVATE CONSTANTS
+
+// common parameter types
+const ANGLE = ['/bali/elements/Angle'];
+const ANY = ['/bali/abstractions/Component'];
+const CATALOG = ['/bali/collections/Catalog'];
+const DURATION = ['/bali/elements/Duration'];
+const MOMENT = ['/bali/elements/Moment'];
+const NUMBER = ['/bali/elements/Number'];
+const SEQUENCE = ['/bali/interfaces/Sequential'];
+const VERSION = ['/bali/elements/Version'];
+
+/*
+ * This table defines the built-in functions. Many of them are also used to implement the
+ * operators in expressions.
+ */
+const BUILT_INS = {
+    and: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('and', {
+            '/bali/elements/Binary': elements.Binary.and,
+            '/bali/elements/Probability': elements.Probability.and,
+            '/bali/collections/Set': collections.Set.and
+        })
+    },
+    arccosine: {
+        parameters: {$ratio: NUMBER},
+        implementation: function(ratio, debug) {
+            return elements.Angle.arccosine(ratio.toNumber(), debug);
+        }
+    },
+    arcsine: {
+        parameters: {$ratio: NUMBER},
+        implementation: function(ratio, debug) {
+            return elements.Angle.arcsine(ratio.toNumber(), debug);
+        }
+    },
+    arctangent: {
+        parameters: {$opposite: NUMBER, $adjacent: NUMBER},
+        implementation: function(opposite, adjacent, debug) {
+            return elements.Angle.arctangent(opposite.toNumber(), adjacent.toNumber(), debug);
+        }
+    },
+    complement: {
+        parameters: {$angle: ANGLE},
+        implementation: elements.Angle.complement
+    },
+    concatenation: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('concatenation', {
+            '/bali/elements/Binary': elements.Binary.concatenation,
+            '/bali/elements/Name': elements.Name.concatenation,
+            '/bali/elements/Text': elements.Text.concatenation,
+            '/bali/collections/Catalog': collections.Catalog.concatenation,
+            '/bali/collections/List': collections.List.concatenation
+        })
+    },
+    conjugate: {
+        parameters: {$value: ANY},
+        implementation: byType('conjugate', {
+            '/bali/elements/Angle': elements.Angle.conjugate,
+            '/bali/elements/Number': elements.Number.conjugate
+        })
+    },
+    cosine: {
+        parameters: {$angle: ANGLE},
+        implementation: elements.Angle.cosine
+    },
+    difference: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('difference', {
+            '/bali/elements/Angle': elements.Angle.difference,
+            '/bali/elements/Duration': elements.Duration.difference,
+            '/bali/elements/Moment': function(moment, operand, debug) {
+                if (operand.isType('/bali/elements/Moment')) return elements.Moment.duration(operand, moment, debug);
+                return elements.Moment.earlier(moment, operand, debug);
+            },
+            '/bali/elements/Number': elements.Number.difference,
+            '/bali/elements/Percent': elements.Percent.difference
+        })
+    },
+    duration: {
+        parameters: {$first: MOMENT, $second: MOMENT},
+        implementation: elements.Moment.duration
+    },
+    earlier: {
+        parameters: {$moment: MOMENT, $duration: DURATION},
+        implementation: elements.Moment.earlier
+    },
+    exponential: {
+        parameters: {$base: NUMBER, $exponent: NUMBER},
+        implementation: elements.Number.exponential
+    },
+    extraction: {
+        parameters: {$catalog: CATALOG, $keys: SEQUENCE},
+        implementation: collections.Catalog.extraction
+    },
+    factorial: {
+        parameters: {$number: NUMBER},
+        implementation: elements.Number.factorial
+    },
+    inverse: {
+        parameters: {$value: ANY},
+        implementation: byType('inverse', {
+            '/bali/elements/Angle': elements.Angle.inverse,
+            '/bali/elements/Duration': elements.Duration.inverse,
+            '/bali/elements/Number': elements.Number.inverse,
+            '/bali/elements/Percent': elements.Percent.inverse
+        })
+    },
+    later: {
+        parameters: {$moment: MOMENT, $duration: DURATION},
+        implementation: elements.Moment.later
+    },
+    logarithm: {
+        parameters: {$base: NUMBER, $value: NUMBER},
+        implementation: elements.Number.logarithm
+    },
+    magnitude: {
+        parameters: {$number: NUMBER},
+        implementation: function(number, debug) {
+            return new elements.Number([number.getMagnitude(), undefined], number.getParameters(), debug);
+        }
+    },
+    nextVersion: {
+        parameters: {$version: VERSION, $level: ['/javascript/Undefined', '/bali/elements/Number']},
+        implementation: function(version, level, debug) {
+            return elements.Version.nextVersion(version, level ? level.toInteger() : undefined, debug);
+        }
+    },
+    not: {
+        parameters: {$value: ANY},
+        implementation: byType('not', {
+            '/bali/elements/Binary': elements.Binary.not,
+            '/bali/elements/Probability': elements.Probability.not
+        })
+    },
+    or: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('or', {
+            '/bali/elements/Binary': elements.Binary.or,
+            '/bali/elements/Probability': elements.Probability.or,
+            '/bali/collections/Set': collections.Set.or
+        })
+    },
+    product: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('product', {
+            '/bali/elements/Angle': scaledBy(elements.Angle.scaled),
+            '/bali/elements/Duration': scaledBy(elements.Duration.scaled),
+            '/bali/elements/Number': elements.Number.product,
+            '/bali/elements/Percent': scaledBy(elements.Percent.scaled)
+        })
+    },
+    quotient: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('quotient', {
+            '/bali/elements/Angle': scaledBy(elements.Angle.scaled, true),
+            '/bali/elements/Duration': scaledBy(elements.Duration.scaled, true),
+            '/bali/elements/Number': elements.Number.quotient,
+            '/bali/elements/Percent': scaledBy(elements.Percent.scaled, true)
+        })
+    },
+    random: {
+        parameters: {},
+        implementation: elements.Probability.random
+    },
+    reciprocal: {
+        parameters: {$number: NUMBER},
+        implementation: elements.Number.reciprocal
+    },
+    remainder: {
+        parameters: {$first: NUMBER, $second: NUMBER},
+        implementation: elements.Number.remainder
+    },
+    sans: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('sans', {
+            '/bali/elements/Binary': elements.Binary.sans,
+            '/bali/elements/Probability': elements.Probability.sans,
+            '/bali/collections/Set': collections.Set.sans
+        })
+    },
+    scaled: {
+        parameters: {$value: ANY, $factor: NUMBER},
+        implementation: byType('scaled', {
+            '/bali/elements/Angle': scaledBy(elements.Angle.scaled),
+            '/bali/elements/Duration': scaledBy(elements.Duration.scaled),
+            '/bali/elements/Number': scaledBy(elements.Number.scaled),
+            '/bali/elements/Percent': scaledBy(elements.Percent.scaled)
+        })
+    },
+    sine: {
+        parameters: {$angle: ANGLE},
+        implementation: elements.Angle.sine
+    },
+    sum: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('sum', {
+            '/bali/elements/Angle': elements.Angle.sum,
+            '/bali/elements/Duration': elements.Duration.sum,
+            '/bali/elements/Moment': elements.Moment.later,
+            '/bali/elements/Number': elements.Number.sum,
+            '/bali/elements/Percent': elements.Percent.sum
+        })
+    },
+    supplement: {
+        parameters: {$angle: ANGLE},
+        implementation: elements.Angle.supplement
+    },
+    tangent: {
+        parameters: {$angle: ANGLE},
+        implementation: elements.Angle.tangent
+    },
+    validNextVersion: {
+        parameters: {$currentVersion: VERSION, $nextVersion: VERSION},
+        implementation: elements.Version.validNextVersion
+    },
+    xor: {
+        parameters: {$first: ANY, $second: ANY},
+        implementation: byType('xor', {
+            '/bali/elements/Binary': elements.Binary.xor,
+            '/bali/elements/Probability': elements.Probability.xor,
+            '/bali/collections/Set': collections.Set.xor
+        })
+    }
+};
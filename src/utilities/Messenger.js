@@ -0,0 +1,340 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a messenger that manages named bags of messages. A message is
+ * posted to a bag and later retrieved from it by a worker. A retrieved message is leased
+ * to the worker for a period of time. If the worker accepts the message before its lease
+ * expires the message is removed from the bag. If the worker rejects the message, or its
+ * lease expires, the message is returned to the bag so that another worker can retrieve it.
+ *
+ * If a directory is specified, each posted message is also stored in a file until it is
+ * accepted so that the messages survive a restart. The leases are not stored, so any
+ * messages that were leased at the time of a restart are returned to their bags.
+ */
+const pfs = require('fs').promises;
+const EOL = '\n'; // The POSIX end of line character
+const utilities = require('../utilities/');
+const elements = require('../elements');
+const structures = require('../structures');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new messenger.
+ *
+ * @param {String} directory An optional directory in which to store the posted messages.
+ * If no directory is specified the messages are only kept in memory.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Messenger} The new messenger.
+ */
+const Messenger = function(directory, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = new utilities.Validator(debug);
+        validator.validateType('/bali/utilities/Messenger', '$Messenger', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+    }
+
+    // the bags are private attributes so methods that use them are defined in the constructor
+    if (directory && !directory.endsWith('/')) directory += '/';
+    const bags = {};  // maps each bag name to an array of its messages
+    var stamp = 0;  // the time stamp of the most recently stored message
+
+    /**
+     * This method posts a message to the specified bag. The message is tagged with the
+     * name of the bag (as its '$bag' attribute) and a new unique tag (as its '$tag'
+     * attribute) before it is posted.
+     *
+     * @param {Name} bag The name of the bag.
+     * @param {Catalog} message The message to be posted.
+     * @returns {Tag} The unique tag for the posted message.
+     */
+    this.postMessage = async function(bag, message) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Messenger', '$postMessage', '$bag', bag, [
+                '/bali/elements/Name'
+            ]);
+            validator.validateType('/bali/utilities/Messenger', '$postMessage', '$message', message, [
+                '/bali/collections/Catalog'
+            ]);
+        }
+        const messages = await loadBag(bag);
+        const tag = new elements.Tag(undefined, undefined, debug);
+        message = message.duplicate();
+        message.setAttribute('$bag', bag);
+        message.setAttribute('$tag', tag);
+        const entry = {tag: tag.toString(), message: message};
+        if (directory) entry.file = await writeMessage(bag, tag, message);
+        messages.push(entry);
+        return tag;
+    };
+
+    /**
+     * This method retrieves the next available message from the specified bag and leases
+     * it for the specified period of time. The retrieved copy is tagged with a new unique
+     * tag for the lease (as its '$lease' attribute) so that only the current lease holder
+     * can accept or reject the message.
+     *
+     * @param {Name} bag The name of the bag.
+     * @param {Duration} lease The length of the lease on the retrieved message.
+     * @returns {Catalog} A copy of the retrieved message, or undefined if no message is
+     * currently available.
+     */
+    this.retrieveMessage = async function(bag, lease) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Messenger', '$retrieveMessage', '$bag', bag, [
+                '/bali/elements/Name'
+            ]);
+            validator.validateType('/bali/utilities/Messenger', '$retrieveMessage', '$lease', lease, [
+                '/bali/elements/Duration'
+            ]);
+        }
+        const messages = await loadBag(bag);
+        const now = Date.now();
+        const entry = messages.find(function(entry) {
+            return !entry.expires || entry.expires <= now;  // not leased or lease expired
+        });
+        if (entry) {
+            entry.expires = now + lease.getValue();
+            const tag = new elements.Tag(undefined, undefined, debug);
+            entry.lease = tag.toString();
+            const message = entry.message.duplicate();
+            message.setAttribute('$lease', tag);
+            return message;
+        }
+    };
+
+    /**
+     * This method accepts a retrieved message and removes it from its bag. The lease on
+     * the message must not have expired or been given to another worker.
+     *
+     * @param {Catalog} message The retrieved message.
+     */
+    this.acceptMessage = async function(message) {
+        const bag = getBag(message, '$acceptMessage');
+        const messages = await loadBag(bag);
+        const index = findLeased(messages, message, '$acceptMessage');
+        const entry = messages.splice(index, 1)[0];
+        if (directory) await deleteMessage(bag, entry.file);
+    };
+
+    /**
+     * This method rejects a retrieved message and returns it to its bag so that it can
+     * be retrieved again. The lease on the message must not have expired or been given to
+     * another worker.
+     *
+     * @param {Catalog} message The retrieved message.
+     */
+    this.rejectMessage = async function(message) {
+        const bag = getBag(message, '$rejectMessage');
+        const messages = await loadBag(bag);
+        const index = findLeased(messages, message, '$rejectMessage');
+        messages[index].expires = undefined;
+        messages[index].lease = undefined;
+    };
+
+    /**
+     * This method returns the number of messages (leased or not) in the specified bag.
+     *
+     * @param {Name} bag The name of the bag.
+     * @returns {Number} The number of messages in the bag.
+     */
+    this.getSize = async function(bag) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Messenger', '$getSize', '$bag', bag, [
+                '/bali/elements/Name'
+            ]);
+        }
+        const messages = await loadBag(bag);
+        return messages.length;
+    };
+
+    /*
+     * This function returns the array of messages for the specified bag, loading any
+     * stored messages into it the first time the bag is accessed.
+     */
+    const loadBag = async function(bag) {
+        const key = bag.toString();
+        if (bags[key] === undefined) {
+            const messages = [];
+            if (directory) {
+                const folder = bagDirectory(bag, '$loadBag');
+                var files = [];
+                try {
+                    files = await pfs.readdir(folder);
+                } catch (cause) {
+                    if (cause.code !== 'ENOENT') {
+                        const exception = new structures.Exception({
+                            $module: '/bali/utilities/Messenger',
+                            $procedure: '$loadBag',
+                            $directory: folder,
+                            $exception: '$unexpected',
+                            $text: 'An unexpected error occurred while attempting to load the message bag.'
+                        }, cause);
+                        if (debug > 0) console.error(exception.toString());
+                        throw exception;
+                    }
+                }
+                const parser = new utilities.Parser(debug);
+                // the file names begin with the time the message was posted so they sort in order
+                for (const file of files.filter(function(file) { return file.endsWith(EXTENSION); }).sort()) {
+                    const source = await pfs.readFile(folder + file, 'utf8');
+                    const document = source.endsWith(EOL) ? source.slice(0, -EOL.length) : source;  // remove any trailing EOL
+                    const message = parser.parseDocument(document);
+                    messages.push({tag: message.getAttribute('$tag').toString(), message: message, file: file});
+                    stamp = Math.max(stamp, Number(file.slice(0, file.indexOf('-'))) || 0);
+                }
+            }
+            if (bags[key] === undefined) bags[key] = messages;  // another call may have loaded it
+        }
+        return bags[key];
+    };
+
+    /*
+     * This function returns the index of the specified message within its bag. The
+     * message must currently be leased, and the lease must be the one that was given
+     * out with the message.
+     */
+    const findLeased = function(messages, message, procedure) {
+        const tag = message.getAttribute('$tag');
+        const lease = message.getAttribute('$lease');
+        const index = messages.findIndex(function(entry) {
+            return tag && entry.tag === tag.toString();
+        });
+        const entry = messages[index];
+        if (!entry || !entry.expires || entry.expires <= Date.now() || !lease || entry.lease !== lease.toString()) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Messenger',
+                $procedure: procedure,
+                $exception: '$leaseExpired',
+                $bag: message.getAttribute('$bag'),
+                $tag: tag,
+                $text: 'The message is not currently leased.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        return index;
+    };
+
+    /*
+     * This function returns the name of the bag that the specified message was retrieved
+     * from.
+     */
+    const getBag = function(message, procedure) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Messenger', procedure, '$message', message, [
+                '/bali/collections/Catalog'
+            ]);
+        }
+        const bag = message && typeof message.getAttribute === 'function' && message.getAttribute('$bag');
+        if (!bag || !bag.isComponent || !bag.isType('/bali/elements/Name')) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Messenger',
+                $procedure: procedure,
+                $exception: '$invalidMessage',
+                $text: 'The message was not retrieved from a bag.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        return bag;
+    };
+
+    /*
+     * This function returns the directory in which the messages for the specified bag are
+     * stored. Each part of the name of the bag must be a plain directory name so that the
+     * directory cannot lie outside of the messenger directory.
+     */
+    const bagDirectory = function(bag, procedure) {
+        const parts = bag.getValue();
+        parts.forEach(function(part) {
+            if (part === '' || part === '.' || part === '..' || /[/\\]/.test(part)) {
+                const exception = new structures.Exception({
+                    $module: '/bali/utilities/Messenger',
+                    $procedure: procedure,
+                    $exception: '$invalidBag',
+                    $bag: bag,
+                    $text: 'The name of the bag contains an invalid part.'
+                });
+                if (debug > 0) console.error(exception.toString());
+                throw exception;
+            }
+        });
+        return directory + parts.join('/') + '/';
+    };
+
+    /*
+     * This function stores the specified message and returns the name of its file. The
+     * name begins with a time stamp that increases with each message so that the messages
+     * can be loaded in the order that they were posted.
+     */
+    const writeMessage = async function(bag, tag, message) {
+        const folder = bagDirectory(bag, '$postMessage');
+        stamp = Math.max(stamp + 1, Date.now());
+        const file = String(stamp).padStart(STAMP_DIGITS, '0') + '-' + tag.toString().slice(1) + EXTENSION;  // strip the '#'
+        try {
+            await pfs.mkdir(folder, {recursive: true, mode: 0o700});
+            await pfs.writeFile(folder + file, message.toString() + EOL, {encoding: 'utf8', mode: 0o600});
+        } catch (cause) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Messenger',
+                $procedure: '$postMessage',
+                $file: folder + file,
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to store the message.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        return file;
+    };
+
+    const deleteMessage = async function(bag, file) {
+        file = bagDirectory(bag, '$acceptMessage') + file;
+        try {
+            await pfs.unlink(file);
+        } catch (cause) {
+            if (cause.code !== 'ENOENT') {
+                const exception = new structures.Exception({
+                    $module: '/bali/utilities/Messenger',
+                    $procedure: '$acceptMessage',
+                    $file: file,
+                    $exception: '$unexpected',
+                    $text: 'An unexpected error occurred while attempting to delete the message.'
+                }, cause);
+                if (debug > 0) console.error(exception.toString());
+                throw exception;
+            }
+        }
+    };
+
+    return this;
+};
+Messenger.prototype.constructor = Messenger;
+exports.Messenger = Messenger;
+
+
+// PRIVATE CONSTANTS
+
+// the file extension for Bali Document Notation™ documents
+const EXTENSION = '.bali';
+
+// the number of digits in the time stamp at the beginning of each message file name
+const STAMP_DIGITS = 15;
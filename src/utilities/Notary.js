@@ -0,0 +1,363 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a digital notary that signs documents using an Ed25519 private
+ * key that is generated and kept locally. A notarized document is a catalog of the
+ * following form:
+ * <pre>
+ *   [
+ *       $protocol: v2
+ *       $timestamp: <2021-06-01T12:00:00.000>
+ *       $content: [...]($type: ..., $tag: ..., $version: ..., $previous: ...)
+ *       $certificate: [...]($type: /bali/notary/Citation/v1)
+ *       $signature: '...'
+ *   ]($type: /bali/notary/Document/v1)
+ * </pre>
+ *
+ * The signature is calculated over the canonical form of the notarized document without
+ * its signature attribute (see Component.getDigest). The certificate attribute is a
+ * citation to the notarized certificate containing the public key of the notary. The
+ * certificate itself is signed using its own private key so its certificate attribute
+ * is 'none'.
+ *
+ * Each new version of a document should cite its previous version (see the Citation
+ * class) as its '$previous' parameter so that the versions of the document form a tamper
+ * evident chain.
+ *
+ * If a directory is specified, the private key is stored in a file in that directory so
+ * that it survives a restart, otherwise it is only kept in memory.
+ */
+const crypto = require('crypto');
+const pfs = require('fs').promises;
+const EOL = '\n'; // The POSIX end of line character
+const utilities = require('../utilities/');
+const elements = require('../elements');
+const structures = require('../structures');
+const collections = require('../collections');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new digital notary.
+ *
+ * @param {String} directory An optional directory in which to store the private key.
+ * If no directory is specified the private key is only kept in memory.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Notary} The new digital notary.
+ */
+const Notary = function(directory, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = new utilities.Validator(debug);
+        validator.validateType('/bali/utilities/Notary', '$Notary', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+    }
+
+    // the private key is a private attribute so methods that use it are defined in the constructor
+    if (directory && !directory.endsWith('/')) directory += '/';
+    var key;  // the private key and the citation to its certificate, once they are loaded
+
+    /**
+     * This method generates a new Ed25519 key pair, replacing any existing key pair, and
+     * returns a new notarized certificate containing the public key. The certificate is
+     * signed using the new private key.
+     *
+     * @returns {Catalog} The new notarized certificate.
+     */
+    this.generateKey = async function() {
+        const pair = crypto.generateKeyPairSync('ed25519');
+        const publicKey = pair.publicKey.export({format: 'der', type: 'spki'}).slice(-KEY_SIZE);
+        const content = new collections.Catalog({
+            $type: '/bali/notary/Certificate/v1',
+            $tag: new elements.Tag(undefined, undefined, debug),
+            $version: 'v1',
+            $permissions: '/bali/permissions/public/v1',
+            $previous: 'none'
+        }, debug);
+        content.setAttribute('$publicKey', new elements.Binary(publicKey, undefined, debug));
+        content.setAttribute('$algorithms', new collections.Catalog(undefined, debug));
+        content.getAttribute('$algorithms').setAttribute('$digest', '"SHA512"');
+        content.getAttribute('$algorithms').setAttribute('$signature', '"ED25519"');
+        const certificate = signDocument(content, undefined, pair.privateKey, debug);
+        key = {privateKey: pair.privateKey, citation: await this.citeDocument(certificate)};
+        if (directory) await storeKey(key);
+        return certificate;
+    };
+
+    /**
+     * This method returns a citation to the certificate for the current key pair.
+     *
+     * @returns {Citation} A citation to the certificate for the current key pair.
+     */
+    this.getCitation = async function() {
+        await loadKey('$getCitation');
+        return key.citation;
+    };
+
+    /**
+     * This method notarizes the specified document by signing it using the current
+     * private key.
+     *
+     * @param {Component} document The document to be notarized.
+     * @returns {Catalog} The notarized document.
+     */
+    this.notarizeDocument = async function(document) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Notary', '$notarizeDocument', '$document', document, [
+                '/bali/abstractions/Component'
+            ]);
+        }
+        await loadKey('$notarizeDocument');
+        return signDocument(document, key.citation, key.privateKey, debug);
+    };
+
+    /**
+     * This method returns a citation to the specified document. The tag and version of
+     * the citation are taken from the parameters of the (content of the) document.
+     *
+     * @param {Component} document The (possibly notarized) document to be cited.
+     * @returns {Citation} A citation to the document.
+     */
+    this.citeDocument = async function(document) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Notary', '$citeDocument', '$document', document, [
+                '/bali/abstractions/Component'
+            ]);
+        }
+        return structures.Citation.fromDocument(document, debug);
+    };
+
+    /**
+     * This method determines whether or not the specified notarized document is valid.
+     * The signature on the document must have been created by the private key for the
+     * specified certificate. If the document cites a certificate, the citation must match
+     * the certificate. If a previous version of the document is specified, the '$previous'
+     * parameter of the content of the document must be a citation that matches it.
+     *
+     * @param {Catalog} document The notarized document to be validated.
+     * @param {Catalog} certificate The notarized certificate that was used to sign it.
+     * @param {Catalog} previous An optional notarized previous version of the document.
+     * @returns {Boolean} Whether or not the document is valid.
+     */
+    this.validDocument = async function(document, certificate, previous) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Notary', '$validDocument', '$document', document, [
+                '/bali/collections/Catalog'
+            ]);
+            validator.validateType('/bali/utilities/Notary', '$validDocument', '$certificate', certificate, [
+                '/bali/collections/Catalog'
+            ]);
+            validator.validateType('/bali/utilities/Notary', '$validDocument', '$previous', previous, [
+                '/javascript/Undefined',
+                '/bali/collections/Catalog'
+            ]);
+        }
+        // a malformed document or certificate is not valid
+        if (!isCatalog(document) || !isCatalog(certificate)) return false;
+        const citation = document.getAttribute('$certificate');
+        const selfSigned = !citation || citation.isType('/bali/elements/Pattern');  // cites 'none'
+        if (!selfSigned && !citationMatches(citation, certificate, debug)) return false;
+        const content = certificate.getAttribute('$content');
+        const publicKey = isCatalog(content) && content.getAttribute('$publicKey');
+        if (!publicKey || !publicKey.isType('/bali/elements/Binary')) return false;
+        if (!verifySignature(document, publicKey.getValue())) return false;
+        if (previous) {
+            const content = document.getAttribute('$content');
+            const cited = content && content.getParameter('$previous');
+            if (!cited || !citationMatches(cited, previous, debug)) return false;
+        }
+        return true;
+    };
+
+    /**
+     * This method deletes the current key pair from the notary (and its directory).
+     */
+    this.forgetKey = async function() {
+        key = undefined;
+        if (directory) {
+            try {
+                await pfs.unlink(directory + KEY_FILE);
+            } catch (cause) {
+                if (cause.code !== 'ENOENT') {
+                    const exception = new structures.Exception({
+                        $module: '/bali/utilities/Notary',
+                        $procedure: '$forgetKey',
+                        $directory: directory,
+                        $exception: '$unexpected',
+                        $text: 'An unexpected error occurred while attempting to delete the key.'
+                    }, cause);
+                    if (debug > 0) console.error(exception.toString());
+                    throw exception;
+                }
+            }
+        }
+    };
+
+    /*
+     * This function loads the stored key pair the first time it is needed. It throws an
+     * exception if a key pair has not been generated.
+     */
+    const loadKey = async function(procedure) {
+        if (!key && directory) {
+            var source;
+            try {
+                source = await pfs.readFile(directory + KEY_FILE, 'utf8');
+            } catch (cause) {
+                if (cause.code !== 'ENOENT') {
+                    const exception = new structures.Exception({
+                        $module: '/bali/utilities/Notary',
+                        $procedure: procedure,
+                        $directory: directory,
+                        $exception: '$unexpected',
+                        $text: 'An unexpected error occurred while attempting to load the key.'
+                    }, cause);
+                    if (debug > 0) console.error(exception.toString());
+                    throw exception;
+                }
+            }
+            if (source && !key) {
+                const parser = new utilities.Parser(debug);
+                const document = source.endsWith(EOL) ? source.slice(0, -EOL.length) : source;  // remove any trailing EOL
+                const stored = parser.parseDocument(document);
+                const seed = stored.getAttribute('$privateKey').getValue();
+                key = {
+                    privateKey: crypto.createPrivateKey({
+                        key: Buffer.concat([PKCS8_PREFIX, seed]),
+                        format: 'der',
+                        type: 'pkcs8'
+                    }),
+                    citation: structures.Citation.fromCatalog(stored.getAttribute('$citation'), debug)
+                };
+            }
+        }
+        if (!key) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Notary',
+                $procedure: procedure,
+                $exception: '$missingKey',
+                $text: 'The notary does not have a key, one must be generated first.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    const storeKey = async function(key) {
+        const seed = key.privateKey.export({format: 'der', type: 'pkcs8'}).slice(-KEY_SIZE);
+        const stored = new collections.Catalog(undefined, debug);
+        stored.setAttribute('$protocol', PROTOCOL);
+        stored.setAttribute('$privateKey', new elements.Binary(seed, undefined, debug));
+        stored.setAttribute('$citation', key.citation);
+        try {
+            await pfs.mkdir(directory, {recursive: true, mode: 0o700});
+            await pfs.writeFile(directory + KEY_FILE, stored.toString() + EOL, {encoding: 'utf8', mode: 0o600});
+        } catch (cause) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Notary',
+                $procedure: '$generateKey',
+                $directory: directory,
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to store the key.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    return this;
+};
+Notary.prototype.constructor = Notary;
+exports.Notary = Notary;
+
+
+// PRIVATE CONSTANTS
+
+// the version of the notary protocol
+const PROTOCOL = new elements.Version([2]);
+
+// the name of the file containing the private key
+const KEY_FILE = 'notary.bali';
+
+// the number of bytes in an Ed25519 key
+const KEY_SIZE = 32;
+
+// the DER encoded prefixes for raw Ed25519 keys
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function creates a notarized document for the specified content and signs it
+ * using the specified private key.
+ */
+const signDocument = function(content, certificate, privateKey, debug) {
+    const document = new collections.Catalog({$type: '/bali/notary/Document/v1'}, debug);
+    document.setAttribute('$protocol', PROTOCOL);
+    document.setAttribute('$timestamp', new elements.Moment(undefined, undefined, debug));
+    document.setAttribute('$content', content);
+    document.setAttribute('$certificate', certificate || new elements.Pattern(undefined, undefined, debug));  // none
+    const bytes = Buffer.from(document.toBDN(0, {canonical: true}), 'utf8');
+    const signature = crypto.sign(null, bytes, privateKey);
+    document.setAttribute('$signature', new elements.Binary(signature, undefined, debug));
+    return document;
+};
+
+/*
+ * This function determines whether or not the signature on a notarized document was
+ * created using the private key that corresponds to the specified public key.
+ */
+const verifySignature = function(document, publicKey) {
+    const signature = document.getAttribute('$signature');
+    if (!signature || !signature.isType('/bali/elements/Binary')) return false;
+    const signed = document.duplicate();
+    signed.removeAttribute('$signature');
+    const bytes = Buffer.from(signed.toBDN(0, {canonical: true}), 'utf8');
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.concat([SPKI_PREFIX, publicKey]),
+            format: 'der',
+            type: 'spki'
+        });
+        return crypto.verify(null, bytes, key, signature.getValue());
+    } catch (cause) {
+        return false;  // the public key is malformed
+    }
+};
+
+/*
+ * This function determines whether or not the specified value is a catalog.
+ */
+const isCatalog = function(value) {
+    return !!value && value.isComponent === true && value.isType('/bali/collections/Catalog');
+};
+
+/*
+ * This function determines whether or not a citation (possibly parsed as a catalog)
+ * refers to the specified document.
+ */
+const citationMatches = function(citation, document, debug) {
+    if (!citation.isType('/bali/collections/Catalog') && !citation.isType('/bali/structures/Citation')) return false;
+    try {
+        return structures.Citation.fromCatalog(citation, debug).matches(document);
+    } catch (cause) {
+        if (!cause.isComponent) throw cause;
+        return false;  // it is not a valid citation
+    }
+};
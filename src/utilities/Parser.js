@@ -37,19 +37,116 @@ const collections = require('../collections');
 // This private constant sets the POSIX end of line character
 const EOL = '\n';
 
+// These private constants map the tokens that are scanned by the lexer to their categories
+const TOKEN_TYPES = {
+    ANGLE: 'angle',
+    BINARY: 'binary',
+    DURATION: 'duration',
+    FRACTION: 'probability',
+    IMAGINARY: 'number',
+    MOMENT: 'moment',
+    NAME: 'name',
+    PERCENT: 'percent',
+    RESOURCE: 'reference',
+    REAL: 'number',
+    REGEX: 'pattern',
+    SYMBOL: 'symbol',
+    TAG: 'tag',
+    TEXT_BLOCK: 'text',
+    TEXT: 'text',
+    VERSION: 'version',
+    IDENTIFIER: 'identifier',
+    EOL: 'newline',
+    SPACE: 'whitespace',
+    COMMENT_BLOCK: 'comment',
+    COMMENT: 'comment'
+};
+const LITERAL_TYPES = {
+    'undefined': 'number',
+    '0': 'number',
+    '∞': 'number',
+    'infinity': 'number',
+    'e^': 'number',
+    'i': 'number',
+    'none': 'pattern',
+    'any': 'pattern',
+    'false': 'probability',
+    'true': 'probability'
+};
+
 
 // PUBLIC FUNCTIONS
 
 /**
- * This function creates a new parser object.
+ * This function creates a new parser object. An optional object may be passed in after
+ * the debug level containing the options that control how the parser behaves:
+ * <pre>
+ *   recover:  keep parsing after a syntax error is encountered instead of throwing an
+ *             exception (default: false), the diagnostics for each syntax error can be
+ *             retrieved afterwards using the getDiagnostics() method
+ *   ranges:   attach the range of source text that each parsed component came from to
+ *             the component as its 'sourceRange' attribute (default: false), see below
+ *   comments: attach the comments in the source text to the nearest component as its
+ *             'comments' attribute (default: false), see below
+ *   fast:     parse documents that contain only data (i.e. no procedures) using a hand
+ *             written parser that is much faster than the generated one (default: false),
+ *             this option is ignored if any of the other options are specified
+ *   limits:   the limits on the size of the documents that will be parsed (default: none),
+ *             see below
+ * </pre>
+ *
+ * Each source range is a JavaScript object of the form:
+ * <pre>
+ *   {
+ *       start: {line: 1, column: 0, offset: 0},  // the first character of the component
+ *       end: {line: 1, column: 6, offset: 6}  // the character following the component
+ *   }
+ * </pre>
+ *
+ * The comments attached to a component are a JavaScript object of the following form,
+ * they are re-emitted when the component is formatted:
+ * <pre>
+ *   {
+ *       leading: ['-- a comment on the line before the component'],
+ *       trailing: ['-- a comment on the line after the component']
+ *   }
+ * </pre>
+ *
+ * The limits protect a service from pathological documents that are received from outside
+ * parties. Each limit is optional and a document that crosses any of them results in a
+ * '$limitExceeded' exception that names the limit and its line and column numbers:
+ * <pre>
+ *   {
+ *       size: 1000000,  // the maximum number of characters in the document
+ *       depth: 100,  // the maximum nesting of brackets, parentheses and curly braces
+ *       text: 10000,  // the maximum number of characters in a text element (or block)
+ *       items: 10000  // the maximum number of items in a catalog or list
+ *   }
+ * </pre>
  *
  * @param {Number} debug A number in the range [0..3].
+ * @param {Object} options An optional object containing the parser options.
  * @returns {Parser} The new string parser.
  */
-const Parser = function(debug) {
+const Parser = function(debug, options) {
+    if (debug > 1) {
+        const validator = new utilities.Validator(debug);
+        validator.validateType('/bali/utilities/Parser', '$Parser', '$options', options, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
 
-    // the debug flag is a private attribute so methods that use it are defined in the constructor
+    // the options and debug flag are private attributes so methods that use them are
+    // defined in the constructor
+    options = Object.assign({}, options);
     debug = debug || 0;
+    var diagnostics;  // the diagnostics from the most recent parse
+
+    // the data parser produces the same raw parse trees but cannot recover from syntax
+    // errors or track the source ranges and comments
+    const dataParser = (options.fast && !options.recover && !options.ranges && !options.comments) ?
+        new utilities.DataParser(debug) : undefined;
 
     this.parseDocument = function(document) {
         if (debug > 1) {
@@ -58,12 +155,147 @@ const Parser = function(debug) {
                 '/javascript/String'
             ]);
         }
-        const parser = initializeParser(document, debug);
+        diagnostics = new collections.List(undefined, debug);
+        if (options.limits) checkLimits(document, options.limits, '$parseDocument', debug);
+        const dataTree = dataParser && dataParser.parseDocument(document);
+        if (dataTree) return convertParseTree(undefined, dataTree, options, debug);
+        const parser = initializeParser(document, options, diagnostics, debug);
         const antlrTree = parser.document();
-        const component = convertParseTree(antlrTree, debug);
+        const component = convertParseTree(parser, antlrTree, options, debug);
         return component;
     };
 
+    /**
+     * This method parses a string containing a single component (with any parameters).
+     *
+     * @param {String} component The string containing the component.
+     * @returns {Component} The corresponding component.
+     */
+    this.parseComponent = function(component) {
+        return parseRule(component, 'component', '$parseComponent', '$component');
+    };
+
+    /**
+     * This method parses a string containing a single element (e.g. 5, $foo, or "text").
+     *
+     * @param {String} element The string containing the element.
+     * @returns {Element} The corresponding element.
+     */
+    this.parseElement = function(element) {
+        return parseRule(element, 'element', '$parseElement', '$element');
+    };
+
+    /**
+     * This method parses a string containing a single expression (e.g. x + 1).
+     *
+     * @param {String} expression The string containing the expression.
+     * @returns {Tree} The parse tree for the expression.
+     */
+    this.parseExpression = function(expression) {
+        return parseRule(expression, 'expression', '$parseExpression', '$expression');
+    };
+
+    /**
+     * This method parses a string containing a single statement (e.g. $x := 5).
+     *
+     * @param {String} statement The string containing the statement.
+     * @returns {Tree} The parse tree for the statement.
+     */
+    this.parseStatement = function(statement) {
+        return parseRule(statement, 'statement', '$parseStatement', '$statement');
+    };
+
+    /**
+     * This method parses a string containing a sequence of statements that are either
+     * separated by semicolons (e.g. $x := 5; return x) or are each followed by an end of
+     * line, in which case the string must also start with an end of line.
+     *
+     * @param {String} statements The string containing the statements.
+     * @returns {Tree} The parse tree for the statements.
+     */
+    this.parseStatements = function(statements) {
+        if (statements === '') {
+            // the generated parser only predicts no statements when followed by a '}'
+            diagnostics = new collections.List(undefined, debug);
+            return new collections.Tree('/bali/structures/Statements', debug);
+        }
+        return parseRule(statements, 'statements', '$parseStatements', '$statements');
+    };
+
+    /*
+     * This function parses the specified string using the named grammar rule. The entire
+     * string must be consumed by the rule.
+     */
+    const parseRule = function(source, rule, procedure, argument) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Parser', procedure, argument, source, [
+                '/javascript/String'
+            ]);
+        }
+        diagnostics = new collections.List(undefined, debug);
+        if (options.limits) checkLimits(source, options.limits, procedure, debug);
+        const dataTree = dataParser && rule === 'component' && dataParser.parseComponent(source);
+        if (dataTree) return convertParseTree(undefined, dataTree, options, debug);
+        const parser = initializeParser(source, options, diagnostics, debug);
+        const antlrTree = parser[rule]();
+        const token = parser.getCurrentToken();
+        if (token.type !== antlr.Token.EOF) {
+            // the entire string must be consumed by the rule
+            parser.notifyErrorListeners('extraneous input', token);  // throws a syntax error exception
+        }
+        return convertParseTree(parser, antlrTree, options, debug);
+    };
+
+    /**
+     * This method scans a string containing Bali Document Notation™ and returns the
+     * tokens that it contains, including the whitespace and comments that the parser
+     * ignores. The tokens cover the entire string, in order, so that concatenating
+     * their text reproduces the string. Each token is a JavaScript object of the form:
+     * <pre>
+     *   {
+     *       type: 'keyword',  // the category of the token (see below)
+     *       text: 'return',  // the source text for the token
+     *       line: 1,  // the line number of the first character of the token
+     *       column: 0,  // the column number of the first character of the token
+     *       start: 0,  // the offset of the first character of the token
+     *       end: 6  // the offset of the character following the token
+     *   }
+     * </pre>
+     *
+     * The type of each token is one of the following: 'angle', 'binary', 'comment',
+     * 'duration', 'error', 'identifier', 'keyword', 'moment', 'name', 'newline', 'number',
+     * 'pattern', 'percent', 'probability', 'punctuation', 'reference', 'symbol', 'tag',
+     * 'text', 'version' or 'whitespace'. Any characters that cannot be scanned are
+     * returned as 'error' tokens.
+     *
+     * @param {String} source The string to be scanned.
+     * @returns {Array} An array containing the tokens.
+     */
+    this.tokenize = function(source) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Parser', '$tokenize', '$source', source, [
+                '/javascript/String'
+            ]);
+        }
+        return scanTokens(source);
+    };
+
+    /**
+     * This method returns the diagnostics for the syntax errors that were encountered
+     * during the most recent parse. Each diagnostic is a catalog containing the line and
+     * column numbers of the syntax error, the offending token (if any), a message, and
+     * the context of the error within the source string. The list is always empty unless
+     * the 'recover' option was specified since otherwise the first syntax error results
+     * in an exception being thrown.
+     *
+     * @returns {List} A list of the diagnostics for the most recent parse.
+     */
+    this.getDiagnostics = function() {
+        return diagnostics || new collections.List(undefined, debug);
+    };
+
     return this;
 };
 Parser.prototype.constructor = Parser;
@@ -72,10 +304,10 @@ exports.Parser = Parser;
 
 // PRIVATE FUNCTIONS
 
-const initializeParser = function(document, debug) {
+const initializeParser = function(document, options, diagnostics, debug) {
     const chars = new antlr.InputStream(document);
     const lexer = new grammar.DocumentLexer(chars);
-    const listener = new CustomErrorListener(debug);
+    const listener = new CustomErrorListener(options.recover ? diagnostics : undefined, debug);
     lexer.removeErrorListeners();
     lexer.addErrorListener(listener);
     const tokens = new antlr.CommonTokenStream(lexer);
@@ -83,17 +315,217 @@ const initializeParser = function(document, debug) {
     parser.buildParseTrees = true;
     parser.removeErrorListeners();
     parser.addErrorListener(listener);
-    parser._errHandler = new CustomErrorStrategy(debug);
+    if (options.recover) {
+        // use the standard ANTLR error recovery mechanisms
+        lexer.recover = antlr.Lexer.prototype.recover;
+    } else {
+        parser._errHandler = new CustomErrorStrategy(debug);
+    }
     return parser;
 };
 
-const convertParseTree = function(antlrTree, debug) {
-    const visitor = new ParsingVisitor(debug);
+/*
+ * This function scans all of the tokens in the specified source string, including the
+ * whitespace and comments (see the tokenize() method above).
+ */
+const scanTokens = function(source) {
+    const chars = new antlr.InputStream(source);
+    const lexer = new grammar.DocumentLexer(chars);
+    lexer.removeErrorListeners();  // invalid characters are returned as error tokens
+    lexer.recover = antlr.Lexer.prototype.recover;
+    const tokens = [];
+    var line = 1;
+    var column = 0;
+    var offset = 0;
+    const addToken = function(type, text) {
+        const previous = tokens[tokens.length - 1];
+        if (previous && previous.type === type && (type === 'whitespace' || type === 'error')) {
+            // merge adjacent whitespace (or invalid) characters into a single token
+            previous.text += text;
+            previous.end += text.length;
+        } else {
+            tokens.push({type: type, text: text, line: line, column: column, start: offset, end: offset + text.length});
+        }
+        const lines = text.split(EOL);
+        if (lines.length > 1) {
+            line += lines.length - 1;
+            column = lines[lines.length - 1].length;
+        } else {
+            column += text.length;
+        }
+        offset += text.length;
+    };
+    var token = lexer.nextToken();
+    while (token.type !== antlr.Token.EOF) {
+        // the lexer skips any characters that it cannot scan
+        if (token.start > offset) addToken('error', source.slice(offset, token.start));
+        addToken(tokenType(token), token.text);
+        token = lexer.nextToken();
+    }
+    if (source.length > offset) addToken('error', source.slice(offset));
+    return tokens;
+};
+
+
+/*
+ * This function throws a '$limitExceeded' exception if the specified source string crosses
+ * any of the specified limits. The tokens are checked before the source string is parsed
+ * so the parser never sees a pathological document.
+ */
+const checkLimits = function(source, limits, procedure, debug) {
+    if (limits.size !== undefined && source.length > limits.size) {
+        const lines = source.slice(0, limits.size).split(EOL);
+        exceedLimit('$size', limits.size, lines.length, lines[lines.length - 1].length, procedure, debug);
+    }
+    const frames = [];  // the enclosing brackets, parentheses and curly braces
+    var frame;  // the innermost one
+    const countItem = function(token) {
+        if (frame && frame.separated && !frame.statements) {
+            // the token starts the next item in a catalog or list
+            frame.items++;
+            if (limits.items !== undefined && frame.items > limits.items) {
+                exceedLimit('$items', limits.items, token.line, token.column, procedure, debug);
+            }
+        }
+    };
+    scanTokens(source).forEach(function(token) {
+        switch (token.type) {
+            case 'whitespace':
+                return;
+            case 'newline':
+            case 'comment':
+                // a line comment includes its end of line
+                if (frame && token.text.endsWith(EOL)) frame.separated = true;
+                return;
+            case 'text':
+                if (limits.text !== undefined && token.text.length - 2 > limits.text) {
+                    exceedLimit('$text', limits.text, token.line, token.column, procedure, debug);
+                }
+                break;
+        }
+        switch (token.text) {
+            case '[':
+            case '(':
+            case '{':
+                countItem(token);
+                if (limits.depth !== undefined && frames.length === limits.depth) {
+                    exceedLimit('$depth', limits.depth, token.line, token.column, procedure, debug);
+                }
+                frames.push(frame);
+                frame = {statements: token.text === '{', items: 0, separated: true};
+                return;
+            case ']':
+            case ')':
+            case '}':
+                frame = frames.pop();
+                break;
+            case ',':
+                if (frame) frame.separated = true;
+                return;
+            case ':':
+                if (frame && frame.separated) return;  // an empty catalog
+                break;
+            default:
+                countItem(token);
+        }
+        if (frame) frame.separated = false;
+    });
+};
+
+
+/*
+ * This function throws a '$limitExceeded' exception for the named limit at the specified
+ * position.
+ */
+const exceedLimit = function(limit, maximum, line, column, procedure, debug) {
+    const exception = new structures.Exception({
+        $module: '/bali/utilities/Parser',
+        $procedure: procedure,
+        $exception: '$limitExceeded',
+        $limit: limit,
+        $maximum: maximum,
+        $line: line,
+        $column: column,
+        $text: 'The document exceeds the ' + limit.slice(1) + ' limit.'
+    });
+    if (debug > 0) console.error(exception.toString());
+    throw exception;
+};
+
+
+/*
+ * This function returns the category of a token that was scanned by the lexer. The
+ * literal tokens defined in the grammar rules are keywords unless they are part of
+ * an element or are punctuation.
+ */
+const tokenType = function(token) {
+    const symbolicName = grammar.DocumentLexer.prototype.symbolicNames[token.type];
+    if (symbolicName) return TOKEN_TYPES[symbolicName];
+    const literal = token.text;
+    if (LITERAL_TYPES[literal]) return LITERAL_TYPES[literal];
+    return /^[a-zA-Z]+$/.test(literal) ? 'keyword' : 'punctuation';
+};
+
+const convertParseTree = function(parser, antlrTree, options, debug) {
+    const visitor = options.recover ? new RecoveringVisitor(options, debug) : new ParsingVisitor(options, debug);
     antlrTree.accept(visitor);
     const baliTree = visitor.result;
+    if (options.comments) attachComments(parser.getTokenStream(), visitor);
     return baliTree;
 };
 
+/*
+ * This function attaches each comment in the token stream to the nearest component. A
+ * comment that follows a component on the same line is a trailing comment for that
+ * component. Otherwise, it is a leading comment for the next component, or if there is
+ * no next component (e.g. it precedes a closing bracket) a trailing comment for the
+ * previous component. The outermost component that starts (or ends) with a token wins.
+ */
+const attachComments = function(tokens, visitor) {
+    // index the outermost component that starts and stops with each token
+    const starts = {};
+    const stops = {};
+    visitor.tokens.forEach(function(range, component) {
+        starts[range.start] = component;  // the components were visited inside out
+        stops[range.stop] = component;
+    });
+    tokens.fill();
+    const onChannel = function(index, step) {
+        // find the nearest on-channel token in the specified direction
+        index += step;
+        while (index >= 0 && index < tokens.tokens.length) {
+            const token = tokens.tokens[index];
+            if (token.channel === antlr.Token.DEFAULT_CHANNEL) return token;
+            index += step;
+        }
+    };
+    const skipEOLs = function(token, step) {
+        while (token && token.type === grammar.DocumentLexer.EOL) token = onChannel(token.tokenIndex, step);
+        return token;
+    };
+    const attach = function(component, type, comment) {
+        if (!component.comments) component.comments = {leading: [], trailing: []};
+        component.comments[type].push(comment);
+    };
+    tokens.tokens.forEach(function(token) {
+        if (token.type !== grammar.DocumentLexer.COMMENT && token.type !== grammar.DocumentLexer.COMMENT_BLOCK) return;
+        const comment = token.text.replace(/\r?\n$/, '');  // line comments include the EOL
+        const previous = onChannel(token.tokenIndex, -1);
+        if (previous && previous.type !== grammar.DocumentLexer.EOL && previous.line === token.line && stops[previous.tokenIndex]) {
+            return attach(stops[previous.tokenIndex], 'trailing', comment);
+        }
+        const next = skipEOLs(onChannel(token.tokenIndex, 1), 1);
+        if (next && starts[next.tokenIndex]) {
+            return attach(starts[next.tokenIndex], 'leading', comment);
+        }
+        const last = skipEOLs(previous, -1);
+        if (last && stops[last.tokenIndex]) {
+            return attach(stops[last.tokenIndex], 'trailing', comment);
+        }
+        // otherwise there is no component to attach the comment to (e.g. in an empty list)
+    });
+};
+
 Math.PHI = (Math.sqrt(5) + 1) / 2;
 Math.TAU = Math.PI * 2;
 
@@ -135,10 +567,12 @@ const literalToNumber = function(literal) {
  * tree into a clean parse tree.
  */
 
-const ParsingVisitor = function(debug) {
+const ParsingVisitor = function(options, debug) {
     grammar.DocumentVisitor.call(this);
     this.depth = 0;
     this.parameters = undefined;
+    this.ranges = options.ranges;
+    this.tokens = options.comments ? new Map() : undefined;  // maps components to their first and last tokens
     this.debug = debug || 0;
     return this;
 };
@@ -1069,6 +1503,59 @@ ParsingVisitor.prototype.visitWithClause = function(ctx) {
 };
 
 
+/*
+ * Each visit method is wrapped such that, if requested, the range of source text for
+ * the raw parse tree node is attached to the component that was generated from it. The
+ * outermost node wins when several nested nodes generate the same component (e.g. a
+ * component and its parameters). The document node is skipped since its range includes
+ * any blank lines surrounding the component. The first and last tokens for each component
+ * are also recorded, if requested, so that comments can be attached to them afterwards.
+ */
+Object.keys(ParsingVisitor.prototype).forEach(function(name) {
+    if (!name.startsWith('visit') || name === 'visitDocument') return;
+    const visit = ParsingVisitor.prototype[name];
+    ParsingVisitor.prototype[name] = function(ctx) {
+        visit.call(this, ctx);
+        if (this.result && this.result.isComponent) {
+            if (this.ranges) this.result.sourceRange = getRange(ctx);
+            if (this.tokens) {
+                const stop = (ctx.stop && ctx.stop.tokenIndex >= ctx.start.tokenIndex) ? ctx.stop : ctx.start;
+                this.tokens.set(this.result, {start: ctx.start.tokenIndex, stop: stop.tokenIndex});
+            }
+        }
+    };
+});
+
+
+/*
+ * This visitor is used when recovering from syntax errors. The raw parse tree may be
+ * missing nodes wherever the parser recovered from a syntax error so each visit method
+ * is wrapped such that, if a node cannot be converted, it is replaced with the 'none'
+ * pattern and the conversion of the rest of the parse tree continues.
+ */
+const RecoveringVisitor = function(options, debug) {
+    ParsingVisitor.call(this, options, debug);
+    return this;
+};
+RecoveringVisitor.prototype = Object.create(ParsingVisitor.prototype);
+RecoveringVisitor.prototype.constructor = RecoveringVisitor;
+
+Object.keys(ParsingVisitor.prototype).forEach(function(name) {
+    if (!name.startsWith('visit')) return;
+    const visit = ParsingVisitor.prototype[name];
+    RecoveringVisitor.prototype[name] = function(ctx) {
+        const depth = this.depth;
+        try {
+            visit.call(this, ctx);
+        } catch (cause) {
+            this.depth = depth;
+            this.parameters = undefined;
+            this.result = new elements.Pattern(undefined, undefined, this.debug);  // none
+        }
+    };
+});
+
+
 // CUSTOM ERROR HANDLING
 
 // override the recover method in the lexer to fail fast
@@ -1120,8 +1607,9 @@ CustomErrorStrategy.prototype.sync = function(recognizer) {
 };
 
 
-const CustomErrorListener = function(debug) {
+const CustomErrorListener = function(diagnostics, debug) {
     antlr.error.ErrorListener.call(this);
+    this.diagnostics = diagnostics;  // only defined when recovering from syntax errors
     this.debug = debug || 0;
     this.exactOnly = false;  // 'true' results in uninteresting ambiguities so leave 'false'
     return this;
@@ -1141,6 +1629,18 @@ CustomErrorListener.prototype.syntaxError = function(recognizer, offendingToken,
     } else {
         message = 'An invalid token was encountered: ' + token;
     }
+
+    // record the diagnostic and keep going if recovering from syntax errors
+    if (this.diagnostics) {
+        const diagnostic = new collections.Catalog(undefined, this.debug);
+        diagnostic.setAttribute('$line', lineNumber);
+        diagnostic.setAttribute('$column', columnNumber);
+        if (token) diagnostic.setAttribute('$token', new elements.Text(offendingToken.text, undefined, this.debug));
+        diagnostic.setAttribute('$message', new elements.Text(message, undefined, this.debug));
+        diagnostic.setAttribute('$context', new elements.Text(getContext(recognizer), undefined, this.debug));
+        this.diagnostics.addItem(diagnostic);
+        return;
+    }
     message = addContext(recognizer, message);
 
     // capture the exception
@@ -1184,6 +1684,24 @@ CustomErrorListener.prototype.reportContextSensitivity = function(recognizer, df
 
 // PRIVATE FUNCTIONS
 
+const getRange = function(ctx) {
+    const start = ctx.start;
+    var stop = ctx.stop;
+    if (!stop || stop.tokenIndex < start.tokenIndex) stop = start;  // an empty rule
+    const text = stop.type === antlr.Token.EOF ? '' : stop.text;
+    const lines = text.split(EOL);
+    const end = {
+        line: stop.line + lines.length - 1,
+        column: lines.length > 1 ? lines[lines.length - 1].length : stop.column + text.length,
+        offset: stop.start + text.length
+    };
+    return {
+        start: {line: start.line, column: start.column, offset: start.start},
+        end: end
+    };
+};
+
+
 const getRule = function(recognizer, dfa) {
     const description = dfa.decision.toString();
     const ruleIndex = dfa.atnStartState.ruleIndex;
@@ -1201,7 +1719,14 @@ const addContext = function(recognizer, message) {
     // truncate the main message as needed
     message = EOL + '    ' + message.slice(0, 160) + EOL;
 
+    // add the lines before and after the invalid line
+    return message + getContext(recognizer);
+};
+
+
+const getContext = function(recognizer) {
     // add the lines before and after the invalid line and highlight the invalid token
+    var message = '';
     const offendingToken = recognizer._precedenceStack ? recognizer.getCurrentToken() : undefined;
     const token = offendingToken ? recognizer.getTokenErrorDisplay(offendingToken) : '';
     const input = token ? offendingToken.getInputStream() : recognizer._input;
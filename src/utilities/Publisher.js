@@ -0,0 +1,198 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements an event bus that publishes events to subscribers. An event is
+ * a catalog containing a '$type' attribute. Each subscriber registers a pattern catalog
+ * and is notified of each published event that is matched by the pattern (see
+ * Component.isMatchedBy). For example, the pattern [$type: /acme/events/Shipped/v1]
+ * matches every event of that type, whatever other attributes it contains.
+ *
+ * An event may be published synchronously in which case each matching subscriber is
+ * notified right away. An event may also be posted asynchronously in which case it is
+ * placed on a queue and the subscribers are notified once the current processing completes.
+ */
+const utilities = require('../utilities/');
+const elements = require('../elements');
+const structures = require('../structures');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new event publisher.
+ *
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Publisher} The new event publisher.
+ */
+const Publisher = function(debug) {
+    // the subscriptions and queue are private attributes so methods that use them are
+    // defined in the constructor
+    debug = debug || 0;
+    const subscriptions = [];
+    const handlerFailed = function(procedure, event, cause) {
+        // there is no one waiting on the result so just log the exception
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Publisher',
+            $procedure: procedure,
+            $exception: '$handlerFailed',
+            $event: event,
+            $text: 'A subscriber was unable to handle an event.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+    };
+    const scheduler = new utilities.Scheduler(async function(event) {
+        for (const subscription of matchingSubscriptions(event)) {
+            try {
+                await subscription.handler(event);
+            } catch (cause) {
+                // the other subscribers must still be notified of the event
+                handlerFailed('$drainQueue', event, cause);
+            }
+        }
+    }, function(event, cause) {
+        handlerFailed('$drainQueue', event, cause);
+    }, debug);
+
+    /**
+     * This method registers a subscriber that is notified of each published event that
+     * is matched by the specified pattern.
+     *
+     * @param {Catalog} pattern The pattern that the events must match.
+     * @param {Function} handler A (possibly async) function that is passed each matching event.
+     * @returns {Tag} A unique tag identifying the subscription.
+     */
+    this.subscribe = function(pattern, handler) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Publisher', '$subscribe', '$pattern', pattern, [
+                '/bali/collections/Catalog'
+            ]);
+            validator.validateType('/bali/utilities/Publisher', '$subscribe', '$handler', handler, [
+                '/javascript/Function'
+            ]);
+        }
+        const tag = new elements.Tag(undefined, undefined, debug);
+        subscriptions.push({tag: tag, pattern: pattern, handler: handler});
+        return tag;
+    };
+
+    /**
+     * This method removes the specified subscription.
+     *
+     * @param {Tag} tag The unique tag identifying the subscription.
+     * @returns {Boolean} Whether or not the subscription existed.
+     */
+    this.unsubscribe = function(tag) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Publisher', '$unsubscribe', '$tag', tag, [
+                '/bali/elements/Tag'
+            ]);
+        }
+        const index = subscriptions.findIndex(function(subscription) {
+            return subscription.tag.isEqualTo(tag);
+        });
+        if (index < 0) return false;
+        subscriptions.splice(index, 1);
+        return true;
+    };
+
+    /**
+     * This method publishes an event synchronously. Each subscriber whose pattern matches
+     * the event is notified before this method returns, although an async subscriber may
+     * still be handling it. A subscriber that fails to handle the event is logged and the
+     * rest of the subscribers are still notified.
+     *
+     * @param {Catalog} event The event to be published.
+     * @returns {Number} The number of subscribers that were notified.
+     */
+    this.publishEvent = function(event) {
+        validateEvent(event, '$publishEvent');
+        const matching = matchingSubscriptions(event);
+        matching.forEach(function(subscription) {
+            try {
+                const result = subscription.handler(event);
+                if (result && typeof result.then === 'function') {
+                    // nothing waits on an async subscriber so its failure must be caught here
+                    result.then(undefined, function(cause) {
+                        handlerFailed('$publishEvent', event, cause);
+                    });
+                }
+            } catch (cause) {
+                handlerFailed('$publishEvent', event, cause);
+            }
+        });
+        return matching.length;
+    };
+
+    /**
+     * This method posts an event on the event queue. The matching subscribers are notified
+     * of the event after the current processing completes.
+     *
+     * @param {Catalog} event The event to be posted.
+     */
+    this.postEvent = function(event) {
+        validateEvent(event, '$postEvent');
+        scheduler.scheduleItem(event);
+    };
+
+    /**
+     * This method notifies the matching subscribers of each event that is currently on the
+     * event queue, in the order that they were posted. A subscriber that fails to handle
+     * an event is logged and the rest of the subscribers are still notified.
+     *
+     * @returns {Promise} A promise that is resolved when the event queue is empty.
+     */
+    this.drainQueue = function() {
+        return scheduler.drainQueue();
+    };
+
+    /**
+     * This method returns the number of events that are waiting on the event queue.
+     *
+     * @returns {Number} The number of events that are waiting on the event queue.
+     */
+    this.getSize = function() {
+        return scheduler.getSize();
+    };
+
+    const validateEvent = function(event, procedure) {
+        if (debug > 1) {
+            const validator = new utilities.Validator(debug);
+            validator.validateType('/bali/utilities/Publisher', procedure, '$event', event, [
+                '/bali/collections/Catalog'
+            ]);
+        }
+        if (!event.isType('/bali/collections/Catalog') || !event.getAttribute('$type')) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Publisher',
+                $procedure: procedure,
+                $exception: '$invalidEvent',
+                $event: event,
+                $text: 'An event must be a catalog containing a type attribute.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    const matchingSubscriptions = function(event) {
+        // copy the matching subscriptions in case a handler changes the subscriptions
+        return subscriptions.filter(function(subscription) {
+            return event.isMatchedBy(subscription.pattern);
+        });
+    };
+
+    return this;
+};
+Publisher.prototype.constructor = Publisher;
+exports.Publisher = Publisher;
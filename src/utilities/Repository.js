@@ -0,0 +1,444 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a document repository that stores Bali Document Notation™
+ * documents on the local file system. Each document is identified by its name and
+ * version. A draft document may be saved, read and discarded any number of times, but
+ * once a version of a document has been committed it cannot be changed.
+ *
+ * Any object that implements the same asynchronous methods may be used in place of this
+ * class, for example a repository that stores its documents in the cloud.
+ */
+const os = require('os');
+const pfs = require('fs').promises;
+const EOL = '\n'; // The POSIX end of line character
+const utilities = require('../utilities/');
+const elements = require('../elements');
+const structures = require('../structures');
+const collections = require('../collections');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a document repository that is stored on the local file system.
+ *
+ * @param {String} directory The repository directory.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Repository} A new document repository.
+ */
+const Repository = function(directory, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    this.debug = debug;
+
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/Repository', '$Repository', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+    }
+
+    if (directory && !directory.endsWith('/')) directory += '/';
+    this.directory = directory || os.homedir() + '/.bali/repository/';
+
+    return this;
+};
+Repository.prototype.constructor = Repository;
+exports.Repository = Repository;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method determines whether or not the specified version of a document has been
+ * committed to the repository.
+ *
+ * @param {Name} name The name of the document.
+ * @param {Version} version The version of the document.
+ * @returns {Boolean} Whether or not the document exists.
+ */
+Repository.prototype.documentExists = async function(name, version) {
+    validateIdentity(this, '$documentExists', name, version);
+    const file = documentFile(this, '$documentExists', DOCUMENTS, name, version);
+    return await readSource(this, '$documentExists', file) !== undefined;
+};
+
+
+/**
+ * This method reads the specified version of a committed document from the repository.
+ *
+ * @param {Name} name The name of the document.
+ * @param {Version} version The version of the document.
+ * @returns {Component} The committed document, or undefined if it does not exist.
+ */
+Repository.prototype.readDocument = async function(name, version) {
+    validateIdentity(this, '$readDocument', name, version);
+    const file = documentFile(this, '$readDocument', DOCUMENTS, name, version);
+    const source = await readSource(this, '$readDocument', file);
+    if (source === undefined) return;
+    const parser = new utilities.Parser(this.debug);
+    return parser.parseDocument(source);
+};
+
+
+/**
+ * This method checks out a new draft of the specified version of a committed document.
+ * The draft is a copy of the committed document whose version is the next version at
+ * the specified version level (see Version.nextVersion). The draft is not saved in the
+ * repository until it is saved using the saveDraft method.
+ *
+ * @param {Name} name The name of the document.
+ * @param {Version} version The version of the committed document.
+ * @param {Number} level An optional version level to be incremented. If no level is
+ * specified the last level in the version string is incremented.
+ * @returns {Object} An object containing the next version of the document as its
+ * 'version' attribute and the draft document as its 'draft' attribute.
+ */
+Repository.prototype.checkoutDocument = async function(name, version, level) {
+    validateIdentity(this, '$checkoutDocument', name, version);
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/Repository', '$checkoutDocument', '$level', level, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+    }
+    const document = await this.readDocument(name, version);
+    if (document === undefined) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Repository',
+            $procedure: '$checkoutDocument',
+            $exception: '$unknownDocument',
+            $name: name,
+            $version: version,
+            $text: 'The specified version of the document has not been committed.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    const next = elements.Version.nextVersion(version, level, this.debug);
+    if (await this.documentExists(name, next)) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Repository',
+            $procedure: '$checkoutDocument',
+            $exception: '$versionExists',
+            $name: name,
+            $version: next,
+            $text: 'The next version of the document has already been committed.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return {
+        version: next,
+        draft: document  // the parsed document is already a copy
+    };
+};
+
+
+/**
+ * This method saves a draft of the specified version of a document in the repository.
+ * Any existing draft of the same version is replaced.
+ *
+ * @param {Name} name The name of the document.
+ * @param {Version} version The version of the draft document.
+ * @param {Component} draft The draft document.
+ * @returns {Citation} A citation to the saved draft document.
+ */
+Repository.prototype.saveDraft = async function(name, version, draft) {
+    validateIdentity(this, '$saveDraft', name, version, draft);
+    if (await this.documentExists(name, version)) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Repository',
+            $procedure: '$saveDraft',
+            $exception: '$versionExists',
+            $name: name,
+            $version: version,
+            $text: 'The specified version of the document has already been committed.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    const source = draft.toString();
+    const file = documentFile(this, '$saveDraft', DRAFTS, name, version);
+    await writeSource(this, '$saveDraft', file, source);
+    return createCitation(name, version, draft, this.debug);
+};
+
+
+/**
+ * This method reads a draft of the specified version of a document from the repository.
+ *
+ * @param {Name} name The name of the document.
+ * @param {Version} version The version of the draft document.
+ * @returns {Component} The draft document, or undefined if it does not exist.
+ */
+Repository.prototype.readDraft = async function(name, version) {
+    validateIdentity(this, '$readDraft', name, version);
+    const file = documentFile(this, '$readDraft', DRAFTS, name, version);
+    const source = await readSource(this, '$readDraft', file);
+    if (source === undefined) return;
+    const parser = new utilities.Parser(this.debug);
+    return parser.parseDocument(source);
+};
+
+
+/**
+ * This method discards a draft of the specified version of a document from the repository.
+ *
+ * @param {Name} name The name of the document.
+ * @param {Version} version The version of the draft document.
+ * @returns {Boolean} Whether or not a draft document was discarded.
+ */
+Repository.prototype.discardDraft = async function(name, version) {
+    validateIdentity(this, '$discardDraft', name, version);
+    const file = documentFile(this, '$discardDraft', DRAFTS, name, version);
+    return await deleteSource(this, '$discardDraft', file);
+};
+
+
+/**
+ * This method commits the specified version of a document to the repository. Once it
+ * has been committed, that version of the document cannot be changed. Unless it is the
+ * first version of the document to be committed, the version must be a valid next version
+ * (see Version.validNextVersion) of a version that has already been committed. Any draft
+ * of the same version of the document is discarded.
+ *
+ * @param {Name} name The name of the document.
+ * @param {Version} version The version of the document.
+ * @param {Component} document The document.
+ * @returns {Citation} A citation to the committed document.
+ */
+Repository.prototype.commitDocument = async function(name, version, document) {
+    validateIdentity(this, '$commitDocument', name, version, document);
+    const versions = await listVersions(this, '$commitDocument', name);
+    if (versions.some(function(current) { return current.isEqualTo(version); })) {
+        throw versionExists(this, name, version);
+    }
+    if (versions.length > 0 && !versions.some(function(current) {
+        return elements.Version.validNextVersion(current, version, this.debug);
+    }, this)) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Repository',
+            $procedure: '$commitDocument',
+            $exception: '$invalidVersion',
+            $name: name,
+            $version: version,
+            $versions: versions,
+            $text: 'The version is not a valid next version of any committed version of the document.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    const source = document.toString();
+    const file = documentFile(this, '$commitDocument', DOCUMENTS, name, version);
+    if (!await writeSource(this, '$commitDocument', file, source, 'wx')) {
+        // another commit of the same version won the race
+        throw versionExists(this, name, version);
+    }
+    await this.discardDraft(name, version);
+    return createCitation(name, version, document, this.debug);
+};
+
+
+// PRIVATE CONSTANTS
+
+// the subdirectories containing the committed and draft documents
+const DOCUMENTS = 'documents/';
+const DRAFTS = 'drafts/';
+
+// the file extension for Bali Document Notation™ documents
+const EXTENSION = '.bali';
+
+// the pattern for the file name of each committed version of a document, e.g. 'v2.1.bali'
+const VERSION_FILE = /^v[1-9][0-9]*(\.[1-9][0-9]*)*\.bali$/;
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function validates the name and version (and optionally the document) that were
+ * passed to a repository method.
+ */
+const validateIdentity = function(repository, procedure, name, version, document) {
+    if (repository.debug > 1) {
+        const validator = new utilities.Validator(repository.debug);
+        validator.validateType('/bali/utilities/Repository', procedure, '$name', name, [
+            '/bali/elements/Name'
+        ]);
+        validator.validateType('/bali/utilities/Repository', procedure, '$version', version, [
+            '/bali/elements/Version'
+        ]);
+        if (arguments.length > 4) {
+            validator.validateType('/bali/utilities/Repository', procedure, '$document', document, [
+                '/bali/abstractions/Component'
+            ]);
+        }
+    }
+};
+
+/*
+ * This function returns the directory that contains the versions of the named document,
+ * e.g. '/acme/reports/annual' maps to '<directory>documents/acme/reports/annual/'. Each
+ * part of the name must be a plain directory name so that the directory cannot lie
+ * outside of the repository directory.
+ */
+const documentDirectory = function(repository, procedure, subdirectory, name) {
+    const parts = name.getValue();
+    parts.forEach(function(part) {
+        if (part === '' || part === '.' || part === '..' || /[/\\]/.test(part)) {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Repository',
+                $procedure: procedure,
+                $exception: '$invalidName',
+                $name: name,
+                $text: 'The name of the document contains an invalid part.'
+            });
+            if (repository.debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    });
+    return repository.directory + subdirectory + parts.join('/') + '/';
+};
+
+const documentFile = function(repository, procedure, subdirectory, name, version) {
+    return documentDirectory(repository, procedure, subdirectory, name) + version.toString() + EXTENSION;
+};
+
+/*
+ * This function returns an array containing the versions of the named document that
+ * have been committed to the repository. Any other files in the directory are ignored.
+ */
+const listVersions = async function(repository, procedure, name) {
+    const versions = [];
+    const directory = documentDirectory(repository, procedure, DOCUMENTS, name);
+    var files = [];
+    try {
+        files = await pfs.readdir(directory);
+    } catch (cause) {
+        if (cause.code !== 'ENOENT') {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Repository',
+                $procedure: procedure,
+                $directory: directory,
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to list the document versions.'
+            }, cause);
+            if (repository.debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    }
+    const parser = new utilities.Parser(repository.debug);
+    files.forEach(function(file) {
+        if (VERSION_FILE.test(file)) {
+            versions.push(parser.parseDocument(file.slice(0, -EXTENSION.length)));
+        }
+    });
+    return versions;
+};
+
+const readSource = async function(repository, procedure, file) {
+    try {
+        const source = await pfs.readFile(file, 'utf8');
+        return source.endsWith(EOL) ? source.slice(0, -EOL.length) : source;  // remove any trailing EOL
+    } catch (cause) {
+        if (cause.code !== 'ENOENT') {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Repository',
+                $procedure: procedure,
+                $file: file,
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to read the document.'
+            }, cause);
+            if (repository.debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    }
+};
+
+/*
+ * This function writes the source of a document to the specified file. If the 'wx' flag
+ * is specified the file is only written if it does not already exist, in which case
+ * false is returned.
+ */
+const writeSource = async function(repository, procedure, file, source, flag) {
+    try {
+        await pfs.mkdir(file.slice(0, file.lastIndexOf('/')), {recursive: true, mode: 0o700});
+        await pfs.writeFile(file, source + EOL, {encoding: 'utf8', mode: 0o600, flag: flag || 'w'});
+        return true;
+    } catch (cause) {
+        if (cause.code === 'EEXIST' && flag === 'wx') return false;
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/Repository',
+            $procedure: procedure,
+            $file: file,
+            $exception: '$unexpected',
+            $text: 'An unexpected error occurred while attempting to write the document.'
+        }, cause);
+        if (repository.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+const deleteSource = async function(repository, procedure, file) {
+    try {
+        await pfs.unlink(file);
+        return true;
+    } catch (cause) {
+        if (cause.code !== 'ENOENT') {
+            const exception = new structures.Exception({
+                $module: '/bali/utilities/Repository',
+                $procedure: procedure,
+                $file: file,
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to delete the document.'
+            }, cause);
+            if (repository.debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        return false;
+    }
+};
+
+/*
+ * This function creates a citation to a version of a named document. The citation
+ * contains a SHA-512 digest of the document so that the cited document can be checked
+ * for changes.
+ */
+const createCitation = function(name, version, document, debug) {
+    return new structures.Citation(name, version, document.getDigest('$sha512'), debug);
+};
+
+/*
+ * This function creates the exception that is thrown when an attempt is made to commit
+ * a version of a document that has already been committed.
+ */
+const versionExists = function(repository, name, version) {
+    const exception = new structures.Exception({
+        $module: '/bali/utilities/Repository',
+        $procedure: '$commitDocument',
+        $exception: '$versionExists',
+        $name: name,
+        $version: version,
+        $text: 'The specified version of the document has already been committed.'
+    });
+    if (repository.debug > 0) console.error(exception.toString());
+    return exception;
+};
@@ -0,0 +1,95 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a scheduler that processes the items that are placed on its queue,
+ * in order, once the current processing completes. It is used by the dispatcher and the
+ * publisher to deliver the messages and events that are posted to them. An item that
+ * cannot be processed is passed to a failure function and the rest of the items are still
+ * processed.
+ */
+const collections = require('../collections');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new scheduler.
+ *
+ * @param {Function} process A (possibly async) function that is passed each item.
+ * @param {Function} failure A function that is passed each item that could not be
+ * processed along with the cause of the failure.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {Scheduler} The new scheduler.
+ */
+const Scheduler = function(process, failure, debug) {
+    // the queue is a private attribute so methods that use it are defined in the constructor
+    debug = debug || 0;
+    const queue = new collections.Queue(undefined, debug);
+    var draining;  // the promise for the current draining of the queue
+
+    /**
+     * This method places an item on the queue. The queue is drained once the current
+     * processing completes.
+     *
+     * @param {Component} item The item to be processed.
+     */
+    this.scheduleItem = function(item) {
+        queue.addItem(item);
+        if (!draining) {
+            // a resolved promise works in both node and browsers (unlike setImmediate)
+            draining = Promise.resolve().then(processQueue);
+        }
+    };
+
+    /**
+     * This method processes each item that is currently on the queue, in the order that
+     * they were scheduled. If the queue is already being drained, the promise for that
+     * draining is returned rather than processing the items a second time in parallel.
+     *
+     * @returns {Promise} A promise that is resolved when the queue is empty.
+     */
+    this.drainQueue = function() {
+        if (!draining) draining = Promise.resolve().then(processQueue);
+        return draining;
+    };
+
+    /*
+     * This function processes the items on the queue one at a time until it is empty.
+     */
+    const processQueue = async function() {
+        try {
+            while (queue.getSize() > 0) {
+                const item = queue.removeItem();
+                try {
+                    await process(item);
+                } catch (cause) {
+                    failure(item, cause);
+                }
+            }
+        } finally {
+            draining = undefined;
+        }
+    };
+
+    /**
+     * This method returns the number of items that are waiting on the queue.
+     *
+     * @returns {Number} The number of items that are waiting on the queue.
+     */
+    this.getSize = function() {
+        return queue.getSize();
+    };
+
+    return this;
+};
+Scheduler.prototype.constructor = Scheduler;
+exports.Scheduler = Scheduler;
@@ -0,0 +1,450 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a validator that checks the data in a document against a schema
+ * that is itself written in Bali Document Notation™. Unlike the Validator class, which
+ * checks the types of JavaScript arguments, it reports every way in which a document
+ * differs from the shape that its schema describes.
+ *
+ * A schema describes a single component using a catalog containing any of the following
+ * attributes:
+ * <pre>
+ *   $type: /bali/elements/Moment  -- the type (or an ancestor type) of the component, or a
+ *                                 -- list of the types that are allowed
+ *   $optional: true  -- whether or not an attribute may be missing (default: false)
+ *   $range: 0..150  -- the bounds of a numeric element (e.g. a number or percent)
+ *   $pattern: "^[A-Z][a-z]+$"?  -- a pattern that the value of a text element must match
+ *   $values: [$red, $green, $blue]  -- the enumerated values that the component may have
+ *   $attributes: [...]  -- the schemas for each attribute of a catalog, keyed by name
+ *   $items: [...]  -- the schema for each item in a list (or other collection)
+ *   $homogeneous: true  -- whether or not the items in a list must all have the same type
+ * </pre>
+ * A schema that only specifies a type may be written as just the name of the type. For
+ * example:
+ * <pre>
+ * [
+ *     $type: /bali/collections/Catalog
+ *     $attributes: [
+ *         $name: /bali/elements/Text
+ *         $born: [
+ *             $type: /bali/elements/Moment
+ *             $optional: true
+ *         ]
+ *         $tags: [
+ *             $type: /bali/collections/List
+ *             $items: /bali/elements/Symbol
+ *         ]
+ *     ]
+ * ]
+ * </pre>
+ * A catalog that is described by a schema with attributes may not contain any other
+ * attributes.
+ *
+ * A schema can also be inferred from a set of sample documents that share the same shape.
+ */
+const utilities = require('../utilities/');
+const elements = require('../elements');
+const structures = require('../structures');
+const collections = require('../collections');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new schema validator.
+ *
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {SchemaValidator} The new schema validator.
+ */
+const SchemaValidator = function(debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    this.debug = debug;
+    return this;
+};
+SchemaValidator.prototype.constructor = SchemaValidator;
+exports.SchemaValidator = SchemaValidator;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method validates the specified document against the specified schema. It returns
+ * a list containing a catalog for each violation of the schema. Each violation contains
+ * the path to the offending attribute (e.g. "/$address/$city" or "/$tags/2"), a symbol
+ * naming the kind of violation and a description of it. The list is empty if the document
+ * is valid. An exception is thrown if the schema itself is not valid.
+ *
+ * @param {Component} document The document to be validated.
+ * @param {Component} schema The schema that describes the document.
+ * @returns {List} A list of the violations of the schema by the document.
+ */
+SchemaValidator.prototype.validateDocument = function(document, schema) {
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/SchemaValidator', '$validateDocument', '$document', document, [
+            '/bali/abstractions/Component'
+        ]);
+        validator.validateType('/bali/utilities/SchemaValidator', '$validateDocument', '$schema', schema, [
+            '/bali/collections/Catalog',
+            '/bali/elements/Name'
+        ]);
+    }
+    checkSchema(schema, [], this.debug);
+    const violations = new collections.List(undefined, this.debug);
+    validateComponent(document, schema, [], violations, this.debug);
+    return violations;
+};
+
+
+/**
+ * This method infers a schema that describes each of the specified sample documents. It
+ * records the attributes of the catalogs, whether or not each attribute is always present,
+ * the types of each attribute, the range of the values of each numeric attribute, and the
+ * types of the items in each list along with whether or not each list is homogeneous. The
+ * resulting schema validates each of the samples.
+ *
+ * @param {Array} documents An array (or list) of the sample documents.
+ * @returns {Component} The inferred schema.
+ */
+SchemaValidator.prototype.inferSchema = function(documents) {
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/SchemaValidator', '$inferSchema', '$documents', documents, [
+            '/javascript/Array',
+            '/bali/abstractions/Collection'
+        ]);
+    }
+    if (!Array.isArray(documents)) documents = documents.toArray();
+    if (documents.length === 0) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/SchemaValidator',
+            $procedure: '$inferSchema',
+            $exception: '$invalidParameter',
+            $text: 'At least one sample document is required to infer a schema.'
+        });
+        if (this.debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return inferComponent(documents, this.debug);
+};
+
+
+// PRIVATE CONSTANTS
+
+// the attributes that a schema may contain
+const KEYWORDS = ['$type', '$optional', '$range', '$pattern', '$values', '$attributes', '$items', '$homogeneous'];
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function returns the attribute with the specified key from a schema, or undefined
+ * if the schema is just the name of a type.
+ */
+const getKeyword = function(schema, key) {
+    if (schema.isType('/bali/elements/Name')) return key === '$type' ? schema : undefined;
+    return schema.getAttribute(key);
+};
+
+
+/*
+ * This function throws an exception if the specified schema (or any of the schemas that
+ * it contains) is not valid.
+ */
+const checkSchema = function(schema, path, debug) {
+    const invalidSchema = function(text) {
+        const exception = new structures.Exception({
+            $module: '/bali/utilities/SchemaValidator',
+            $procedure: '$validateDocument',
+            $exception: '$invalidParameter',
+            $path: formatPath(path),
+            $text: text
+        });
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    };
+    if (schema.isType('/bali/elements/Name')) return;
+    if (!schema.isType('/bali/collections/Catalog')) invalidSchema('A schema must be a catalog or the name of a type.');
+    const iterator = schema.getIterator();
+    while (iterator.hasNext()) {
+        const key = iterator.getNext().getKey().toString();
+        if (!KEYWORDS.includes(key)) invalidSchema('The schema contains an unknown attribute: ' + key);
+    }
+    const expectations = {
+        $optional: '/bali/elements/Probability',
+        $range: '/bali/elements/Range',
+        $pattern: '/bali/elements/Pattern',
+        $values: '/bali/collections/List',
+        $attributes: '/bali/collections/Catalog',
+        $homogeneous: '/bali/elements/Probability'
+    };
+    const type = getKeyword(schema, '$type');
+    if (type && !getTypes(type).every(function(name) { return name.isType('/bali/elements/Name'); })) {
+        invalidSchema('The value of the $type attribute must be a name or a list of names.');
+    }
+    Object.keys(expectations).forEach(function(key) {
+        const value = getKeyword(schema, key);
+        if (value && !value.isType(expectations[key])) {
+            invalidSchema('The value of the ' + key + ' attribute must be of type: ' + expectations[key]);
+        }
+    });
+    const attributes = getKeyword(schema, '$attributes');
+    if (attributes) {
+        const iterator = attributes.getIterator();
+        while (iterator.hasNext()) {
+            const association = iterator.getNext();
+            checkSchema(association.getValue(), path.concat(association.getKey()), debug);
+        }
+    }
+    const items = getKeyword(schema, '$items');
+    if (items) checkSchema(items, path.concat('$items'), debug);
+};
+
+
+/*
+ * This function adds to the list of violations each way in which the specified component
+ * does not match the specified schema.
+ */
+const validateComponent = function(component, schema, path, violations, debug) {
+    const violation = function(type, text) {
+        addViolation(violations, path, type, text, debug);
+    };
+
+    // the type must match before any of the other constraints make sense
+    const type = getKeyword(schema, '$type');
+    if (type && !getTypes(type).some(function(name) { return component.isType(name.toString()); })) {
+        const expected = getTypes(type).join(', ');
+        return violation('$invalidType', 'Expected a component of type ' + expected + ' but found ' + component.getType() + '.');
+    }
+
+    const values = getKeyword(schema, '$values');
+    if (values && !values.toArray().some(function(value) { return value.isEqualTo(component); })) {
+        violation('$invalidValue', 'The value ' + component + ' is not one of the allowed values: ' + values.toArray().join(', '));
+    }
+
+    const range = getKeyword(schema, '$range');
+    if (range) {
+        if (typeof component.toNumber !== 'function') {
+            violation('$invalidType', 'Expected a numeric element but found ' + component.getType() + '.');
+        } else {
+            const number = component.toNumber();
+            if (!(number >= range.getFirst() && number <= range.getLast())) {
+                violation('$outOfRange', 'The value ' + component + ' is outside of the range: ' + range);
+            }
+        }
+    }
+
+    const pattern = getKeyword(schema, '$pattern');
+    if (pattern) {
+        const matches = component.isType('/bali/elements/Text') ?
+            pattern.getValue().test(component.getValue()) : pattern.matches(component);
+        if (!matches) violation('$patternMismatch', 'The value ' + component + ' does not match the pattern: ' + pattern);
+    }
+
+    const attributes = getKeyword(schema, '$attributes');
+    if (attributes) {
+        if (!component.isType('/bali/collections/Catalog')) {
+            return violation('$invalidType', 'Expected a catalog but found ' + component.getType() + '.');
+        }
+        var iterator = attributes.getIterator();
+        while (iterator.hasNext()) {
+            const association = iterator.getNext();
+            const key = association.getKey();
+            const attribute = component.getAttribute(key);
+            if (attribute === undefined) {
+                const optional = getKeyword(association.getValue(), '$optional');
+                if (!optional || !optional.toBoolean()) {
+                    addViolation(violations, path.concat(key), '$missingAttribute', 'The required attribute is missing: ' + key, debug);
+                }
+            } else {
+                validateComponent(attribute, association.getValue(), path.concat(key), violations, debug);
+            }
+        }
+        iterator = component.getIterator();
+        while (iterator.hasNext()) {
+            const key = iterator.getNext().getKey();
+            if (attributes.getAttribute(key) === undefined) {
+                addViolation(violations, path.concat(key), '$unexpectedAttribute', 'The schema does not allow the attribute: ' + key, debug);
+            }
+        }
+    }
+
+    const items = getKeyword(schema, '$items');
+    if (items) {
+        if (!component.isType('/bali/abstractions/Collection') || component.isType('/bali/collections/Catalog')) {
+            return violation('$invalidType', 'Expected a list but found ' + component.getType() + '.');
+        }
+        var index = 1;
+        iterator = component.getIterator();
+        while (iterator.hasNext()) {
+            validateComponent(iterator.getNext(), items, path.concat(index++), violations, debug);
+        }
+    }
+
+    const homogeneous = getKeyword(schema, '$homogeneous');
+    if (homogeneous && homogeneous.toBoolean()) {
+        if (!component.isType('/bali/abstractions/Collection') || component.isType('/bali/collections/Catalog')) {
+            return violation('$invalidType', 'Expected a list but found ' + component.getType() + '.');
+        }
+        const types = getItemTypes(component.toArray());
+        if (types.length > 1) violation('$heterogeneousItems', 'The items in the list have different types: ' + types.join(', '));
+    }
+};
+
+
+/*
+ * This function returns an array containing the names of the types in the value of a
+ * $type attribute, which is either a single name or a list of names.
+ */
+const getTypes = function(type) {
+    return type.isType('/bali/collections/List') ? type.toArray() : [type];
+};
+
+
+/*
+ * This function returns an array containing the distinct types of the specified components
+ * in the order that they were first encountered.
+ */
+const getItemTypes = function(components) {
+    const types = [];
+    components.forEach(function(component) {
+        const type = component.getType();
+        if (!types.includes(type)) types.push(type);
+    });
+    return types;
+};
+
+
+/*
+ * This function infers the schema that describes each of the specified components. The
+ * schema is just the name of a type unless something more is known about the components.
+ */
+const inferComponent = function(components, debug) {
+    const schema = new collections.Catalog(undefined, debug);
+    const types = getItemTypes(components).map(function(type) {
+        return new elements.Name(type.split('/').slice(1), undefined, debug);
+    });
+    if (types.length > 1) {
+        const list = new collections.List(undefined, debug);
+        list.addItems(types);
+        schema.setAttribute('$type', list);
+    } else {
+        schema.setAttribute('$type', types[0]);
+    }
+
+    if (components.every(isNumeric)) {
+        const numbers = components.map(function(component) {
+            return component.toNumber();
+        }).filter(function(number) {
+            return !isNaN(number);  // ignore any undefined numbers
+        });
+        if (numbers.length > 0) {
+            const first = Math.min.apply(null, numbers);
+            const last = Math.max.apply(null, numbers);
+            const range = [isFinite(first) ? first : undefined, isFinite(last) ? last : undefined];
+            schema.setAttribute('$range', new elements.Range(range, undefined, debug));
+        }
+    }
+
+    if (components.every(isCatalog)) {
+        const keys = [];
+        const values = {};  // the values of each attribute, indexed by key
+        components.forEach(function(catalog) {
+            const iterator = catalog.getIterator();
+            while (iterator.hasNext()) {
+                const association = iterator.getNext();
+                const key = association.getKey().toString();
+                if (!values[key]) {
+                    keys.push(association.getKey());
+                    values[key] = [];
+                }
+                values[key].push(association.getValue());
+            }
+        });
+        const attributes = new collections.Catalog(undefined, debug);
+        keys.forEach(function(key) {
+            var attribute = inferComponent(values[key.toString()], debug);
+            if (values[key.toString()].length < components.length) {
+                attribute = expandSchema(attribute, debug);
+                attribute.setAttribute('$optional', new elements.Probability(true, undefined, debug));
+            }
+            attributes.setAttribute(key, attribute);
+        });
+        schema.setAttribute('$attributes', attributes);
+    }
+
+    if (components.every(isList)) {
+        const items = [];
+        var homogeneous = true;
+        components.forEach(function(list) {
+            const array = list.toArray();
+            if (getItemTypes(array).length > 1) homogeneous = false;
+            items.push.apply(items, array);
+        });
+        if (items.length > 0) schema.setAttribute('$items', inferComponent(items, debug));
+        schema.setAttribute('$homogeneous', new elements.Probability(homogeneous, undefined, debug));
+    }
+
+    // a schema that only specifies a single type is just the name of the type
+    if (schema.getSize() === 1 && types.length === 1) return types[0];
+    return schema;
+};
+
+
+/*
+ * This function returns a catalog containing the specified schema, which may be just the
+ * name of a type, so that other attributes can be added to it.
+ */
+const expandSchema = function(schema, debug) {
+    if (schema.isType('/bali/collections/Catalog')) return schema;
+    const catalog = new collections.Catalog(undefined, debug);
+    catalog.setAttribute('$type', schema);
+    return catalog;
+};
+
+
+/*
+ * These functions determine the kind of a component.
+ */
+const isNumeric = function(component) {
+    return typeof component.toNumber === 'function';
+};
+
+const isCatalog = function(component) {
+    return component.isType('/bali/collections/Catalog');
+};
+
+const isList = function(component) {
+    return component.isType('/bali/abstractions/Collection') && !isCatalog(component);
+};
+
+
+/*
+ * This function adds to the list of violations a catalog describing a violation of the
+ * specified type at the specified path.
+ */
+const addViolation = function(violations, path, type, text, debug) {
+    const violation = new collections.Catalog(undefined, debug);
+    violation.setAttribute('$path', new elements.Text(formatPath(path), undefined, debug));
+    violation.setAttribute('$violation', new elements.Symbol(type.slice(1), undefined, debug));  // remove the leading '$'
+    violation.setAttribute('$text', new elements.Text(text, undefined, debug));
+    violations.addItem(violation);
+};
+
+
+/*
+ * This function formats the specified path (an array of attribute keys and item indices)
+ * as a string like "/$address/$city".
+ */
+const formatPath = function(path) {
+    return '/' + path.join('/');
+};
@@ -0,0 +1,705 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a streaming (SAX style) parser for documents that are too large
+ * to be held in memory as a single string. The document is read incrementally from a
+ * readable stream and the parser notifies a handler of each structural event as it is
+ * encountered. The handler may implement any of the following (possibly async) methods:
+ * <pre>
+ *   beginCatalog(path): a catalog is starting
+ *   key(path, key): the key of the next association in the catalog is known
+ *   endCatalog(path, parameters): the catalog has ended
+ *   beginList(path): a list is starting
+ *   endList(path, parameters): the list has ended
+ *   element(path, element): an element was parsed
+ *   procedure(path, procedure): a procedure was parsed
+ *   select(path): whether or not the component should be materialized as a whole
+ *   component(path, component): a selected component was materialized
+ * </pre>
+ * The path for each event is an array containing the catalog keys (as components) and
+ * list indices (starting with 1) that lead to the corresponding component. The path of
+ * the document itself is empty. When the select() method returns true for a component no
+ * events are generated for anything within it, instead the entire component is parsed
+ * and passed to the component() method. This allows selected subtrees to be materialized
+ * lazily while the rest of the document is skipped over using a bounded amount of memory.
+ *
+ * The parameters of a collection are passed to its end event since they follow the
+ * collection in the document. A list whose parameters contain a $type (e.g. a set) is
+ * still reported using the list events.
+ */
+const StringDecoder = require('string_decoder').StringDecoder;
+const utilities = require('../utilities/');
+const structures = require('../structures');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new streaming parser that notifies the specified handler of
+ * the parsing events.
+ *
+ * @param {Object} handler An object implementing any of the parsing event methods.
+ * @param {Number} debug A number in the range [0..3].
+ * @returns {StreamingParser} The new streaming parser.
+ */
+const StreamingParser = function(handler, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    this.debug = debug;
+
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/StreamingParser', '$StreamingParser', '$handler', handler, [
+            '/javascript/Object'
+        ]);
+    }
+
+    this.handler = handler;
+
+    return this;
+};
+StreamingParser.prototype.constructor = StreamingParser;
+exports.StreamingParser = StreamingParser;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method parses the document that is read from the specified stream, notifying the
+ * handler of each parsing event. The stream may produce strings or buffers containing
+ * UTF-8 encoded characters, and the chunks may be split anywhere (even within a token or
+ * a multi-byte character). Any async handler methods are awaited before the parsing
+ * continues.
+ *
+ * @param {Readable} stream The (async iterable) stream containing the document.
+ * @returns {Promise} A promise that is resolved once the entire document has been parsed.
+ */
+StreamingParser.prototype.parseStream = async function(stream) {
+    if (this.debug > 1) {
+        const validator = new utilities.Validator(this.debug);
+        validator.validateType('/bali/utilities/StreamingParser', '$parseStream', '$stream', stream, [
+            '/javascript/Object'
+        ]);
+    }
+    const scanner = new Scanner(stream, this.debug);
+    const reader = new DocumentReader(scanner, this.handler, this.debug);
+    await reader.readDocument();
+};
+
+
+// PRIVATE CONSTANTS
+
+// the characters that are tokens on their own
+const PUNCTUATION = '[](),:';
+
+// the characters that are skipped between tokens (an EOL is a token)
+const SPACES = ' \t\r\v\f';
+
+// the characters that terminate an unquoted element
+const DELIMITERS = ' \t\r\v\f\n[](){},:"\'';
+
+// the numbers that may be followed by a space and an 'i' to form an imaginary number
+const IMAGINARY = ['e', 'pi', 'π', 'phi', 'φ', 'tau', 'τ'];
+
+// the end of a text block (an EOL followed by optional spaces and a double quote)
+const TEXT_BLOCK_END = /\n[\t-\r ]*"/g;
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * The following scanning functions determine the length of the token that starts at the
+ * specified index in the buffer. Each function returns undefined if the buffer does not
+ * yet contain the entire token and more of the stream remains to be read, or -1 if the
+ * token is invalid.
+ */
+
+/*
+ * This function scans a line comment or (possibly nested) block comment. It returns zero
+ * if the characters do not start a comment.
+ */
+const scanComment = function(buffer, index, ended) {
+    const next = buffer[index + 1];
+    if (next === undefined) return ended ? 0 : undefined;
+    if (buffer[index] === '-' && next === '-') {
+        const end = buffer.indexOf('\n', index + 2);
+        if (end < 0) return ended ? buffer.length - index : undefined;
+        return end + 1 - index;  // a line comment includes its EOL
+    }
+    if (buffer[index] === '/' && next === '*') {
+        var depth = 0;
+        var current = index;
+        while (current < buffer.length - 1) {
+            const pair = buffer.slice(current, current + 2);
+            if (pair === '/*') {
+                depth++;
+                current += 2;
+            } else if (pair === '*/') {
+                depth--;
+                current += 2;
+                if (depth === 0) return current - index;
+            } else {
+                current++;
+            }
+        }
+        return ended ? -1 : undefined;
+    }
+    return 0;
+};
+
+
+/*
+ * This function scans a quoted text element, text block or regular expression.
+ */
+const scanText = function(buffer, index, ended) {
+    var current = index + 1;
+    if (buffer[current] === '\r') current++;
+    if (current >= buffer.length) return ended ? -1 : undefined;
+    if (buffer[current] === '\n') {
+        TEXT_BLOCK_END.lastIndex = current + 1;
+        const match = TEXT_BLOCK_END.exec(buffer);
+        if (!match) return ended ? -1 : undefined;
+        return match.index + match[0].length - index;
+    }
+    current = index + 1;
+    while (current < buffer.length) {
+        switch (buffer[current]) {
+            case '\\':
+                current += 2;
+                break;
+            case '"':
+                if (current + 1 >= buffer.length && !ended) return undefined;
+                if (buffer[current + 1] === '?') current++;  // a regular expression
+                return current + 1 - index;
+            case '\r':
+            case '\n':
+                return -1;
+            default:
+                current++;
+        }
+    }
+    return ended ? -1 : undefined;
+};
+
+
+/*
+ * This function returns a scanning function for a token that is enclosed in the
+ * specified delimiter characters (e.g. '<' and '>').
+ */
+const scanEnclosed = function(close) {
+    return function(buffer, index, ended) {
+        const end = buffer.indexOf(close, index + 1);
+        if (end < 0) return ended ? -1 : undefined;
+        return end + 1 - index;
+    };
+};
+const scanBinary = scanEnclosed('\'');
+const scanAngleBrackets = scanEnclosed('>');
+const scanParentheses = scanEnclosed(')');
+
+
+/*
+ * This function scans an element. It returns zero if the characters do not start an
+ * element.
+ */
+const scanElement = function(buffer, index, ended) {
+    switch (buffer[index]) {
+        case '"':
+            return scanText(buffer, index, ended);
+        case '\'':
+            return scanBinary(buffer, index, ended);
+        case '<':
+            return scanAngleBrackets(buffer, index, ended);
+        case '(':
+            return scanParentheses(buffer, index, ended);  // a complex number
+    }
+    var end = index;
+    while (end < buffer.length && !DELIMITERS.includes(buffer[end])) end++;
+    if (end === buffer.length && !ended) return undefined;
+    if (IMAGINARY.includes(buffer.slice(index, end))) {
+        if (end + 2 > buffer.length && !ended) return undefined;
+        if (buffer.slice(end, end + 2) === ' i') end += 2;  // e.g. 'π i'
+    }
+    return end - index;
+};
+
+
+/*
+ * This function returns a scanning function for a token that starts with the specified
+ * opening character and ends with the matching closing character (e.g. a procedure or
+ * the parameters for a component). Any texts, binaries and comments within the token are
+ * skipped over so that they may contain unbalanced characters.
+ */
+const scanBalanced = function(open, close) {
+    return function(buffer, index, ended) {
+        var depth = 0;
+        var current = index;
+        while (current < buffer.length) {
+            var length = 1;
+            switch (buffer[current]) {
+                case open:
+                    depth++;
+                    break;
+                case close:
+                    depth--;
+                    if (depth === 0) return current + 1 - index;
+                    break;
+                case '"':
+                    length = scanText(buffer, current, ended);
+                    break;
+                case '\'':
+                    length = scanBinary(buffer, current, ended);
+                    break;
+                case '-':
+                case '/':
+                    length = scanComment(buffer, current, ended) || 1;
+                    break;
+            }
+            if (length === undefined || length < 0) return length;
+            current += length;
+        }
+        return ended ? -1 : undefined;
+    };
+};
+const scanProcedure = scanBalanced('{', '}');
+const scanParameters = scanBalanced('(', ')');
+
+
+/*
+ * This function creates a syntax error exception for the specified location in the
+ * document.
+ */
+const syntaxError = function(line, column, message, cause, debug) {
+    const exception = new structures.Exception({
+        $module: '/bali/utilities/StreamingParser',
+        $procedure: '$parseStream',
+        $exception: '$syntaxError',
+        $line: line,
+        $column: column,
+        $text: message
+    }, cause);
+    if (debug > 0) console.error(exception.toString());
+    return exception;
+};
+
+
+/*
+ * This function returns a description of the specified token for use in error messages.
+ */
+const describe = function(token) {
+    switch (token.type) {
+        case 'eof':
+            return 'the end of the document';
+        case 'eol':
+            return 'the end of a line';
+        default:
+            return '"' + token.text + '"';
+    }
+};
+
+
+// PRIVATE CLASSES
+
+/*
+ * This class scans the tokens in a document as it is read from a stream. Only the part
+ * of the stream that has not yet been scanned is buffered. The tokens are:
+ * <pre>
+ *   punctuation: one of '[', ']', '(', ')', ',' or ':'
+ *   eol: an end of line
+ *   element: the literal for an element (without its parameters)
+ *   procedure: a procedure including its curly braces
+ *   parameters: the parameters for a component including their parentheses
+ *   eof: the end of the document
+ * </pre>
+ * Since '(' may start either a complex number or the parameters for a component, and '{'
+ * may start a procedure, the scanner must be told whether or not a component is expected
+ * next. Spaces and comments are skipped.
+ */
+const Scanner = function(stream, debug) {
+    this.debug = debug;
+    this.iterator = stream[Symbol.asyncIterator]();
+    this.decoder = new StringDecoder('utf8');
+    this.buffer = '';
+    this.index = 0;  // the index of the next character to be scanned in the buffer
+    this.offset = 0;  // the offset of the buffer within the document
+    this.ended = false;
+    this.line = 1;
+    this.column = 1;
+    this.recording = undefined;  // any text being recorded for a selected component
+    return this;
+};
+Scanner.prototype.constructor = Scanner;
+
+/*
+ * This method appends the next chunk from the stream to the buffer, discarding the part
+ * of the buffer that has already been scanned. It returns false if the stream had already
+ * ended.
+ */
+Scanner.prototype.readChunk = async function() {
+    if (this.ended) return false;
+    const result = await this.iterator.next();
+    var chunk;
+    if (result.done) {
+        chunk = this.decoder.end();
+        this.ended = true;
+    } else {
+        chunk = typeof result.value === 'string' ? result.value : this.decoder.write(result.value);
+    }
+    this.offset += this.index;
+    this.buffer = this.buffer.slice(this.index) + chunk;
+    this.index = 0;
+    return true;
+};
+
+/*
+ * This method returns the length of the token that starts at the current index using the
+ * specified scanning function, reading more of the stream as needed.
+ */
+Scanner.prototype.scan = async function(scanner) {
+    var length = scanner(this.buffer, this.index, this.ended);
+    while (length === undefined) {
+        await this.readChunk();
+        length = scanner(this.buffer, this.index, this.ended);
+    }
+    return length;
+};
+
+/*
+ * This method consumes the specified number of characters from the buffer, keeping track
+ * of the current line and column.
+ */
+Scanner.prototype.consume = function(length) {
+    const text = this.buffer.slice(this.index, this.index + length);
+    this.index += length;
+    if (this.recording) this.recording.text += text;
+    var end = text.indexOf('\n');
+    if (end < 0) {
+        this.column += length;
+    } else {
+        while (end >= 0) {
+            this.line++;
+            this.column = length - end;
+            end = text.indexOf('\n', end + 1);
+        }
+    }
+    return text;
+};
+
+/*
+ * This method consumes the specified number of characters as a new token.
+ */
+Scanner.prototype.createToken = function(type, length) {
+    const token = {
+        type: type,
+        line: this.line,
+        column: this.column,
+        start: this.offset + this.index
+    };
+    token.text = this.consume(length);
+    token.end = token.start + length;
+    return token;
+};
+
+/*
+ * This method scans the next token in the document. If a component is expected, a '('
+ * starts a complex number rather than parameters.
+ */
+Scanner.prototype.nextToken = async function(component) {
+    while (true) {
+        if (this.index === this.buffer.length) {
+            if (await this.readChunk()) continue;
+            return this.createToken('eof', 0);
+        }
+        const character = this.buffer[this.index];
+        if (SPACES.includes(character)) {
+            this.consume(1);
+            continue;
+        }
+        if (character === '\n') return this.createToken('eol', 1);
+        if (character === '-' || character === '/') {
+            const length = await this.scan(scanComment);
+            if (length < 0) throw this.syntaxError('An unterminated comment was encountered.');
+            if (length > 0) {
+                this.consume(length);
+                continue;
+            }
+        }
+        var type;
+        var scanner;
+        if (character === '(') {
+            type = component ? 'element' : 'parameters';
+            scanner = component ? scanElement : scanParameters;
+        } else if (PUNCTUATION.includes(character)) {
+            return this.createToken('punctuation', 1);
+        } else if (character === '{' && component) {
+            type = 'procedure';
+            scanner = scanProcedure;
+        } else if (component) {
+            type = 'element';
+            scanner = scanElement;
+        } else {
+            throw this.syntaxError('An unexpected character was encountered: "' + character + '"');
+        }
+        const length = await this.scan(scanner);
+        if (length < 0) throw this.syntaxError('An unterminated ' + type + ' was encountered.');
+        if (length === 0) throw this.syntaxError('An unexpected character was encountered: "' + character + '"');
+        return this.createToken(type, length);
+    }
+};
+
+/*
+ * This method starts recording the text of the document beginning with the specified
+ * token which must be the most recently scanned token.
+ */
+Scanner.prototype.startRecording = function(token) {
+    this.recording = {start: token.start, text: token.text};
+};
+
+/*
+ * This method stops recording and returns the text that was recorded up to the end of
+ * the specified token.
+ */
+Scanner.prototype.stopRecording = function(token) {
+    const recording = this.recording;
+    this.recording = undefined;
+    return recording.text.slice(0, token.end - recording.start);
+};
+
+/*
+ * This method creates a syntax error exception for the current location in the document.
+ */
+Scanner.prototype.syntaxError = function(message) {
+    return syntaxError(this.line, this.column, message, undefined, this.debug);
+};
+
+
+/*
+ * This class reads the components in a document from its tokens and notifies the handler
+ * of each parsing event. Only the elements (and parameters) are actually parsed, using
+ * the standard parser. When a component has been selected by the handler it is skipped
+ * over without generating any events and its recorded text is parsed as a whole.
+ */
+const DocumentReader = function(scanner, handler, debug) {
+    this.debug = debug;
+    this.scanner = scanner;
+    this.handler = handler;
+    this.parser = new utilities.Parser(0);  // the exceptions are logged below
+    this.token = undefined;  // the current token
+    this.previous = undefined;  // the token before the current token
+    this.lookahead = undefined;  // the token after the current token if it has been scanned
+    return this;
+};
+DocumentReader.prototype.constructor = DocumentReader;
+
+/*
+ * This method makes the next token in the document the current token.
+ */
+DocumentReader.prototype.advance = async function(component) {
+    this.previous = this.token;
+    if (this.lookahead) {
+        this.token = this.lookahead;
+        this.lookahead = undefined;
+    } else {
+        this.token = await this.scanner.nextToken(component);
+    }
+};
+
+/*
+ * This method scans the token after the current token (which must be an element) without
+ * advancing to it.
+ */
+DocumentReader.prototype.peek = async function() {
+    if (!this.lookahead) this.lookahead = await this.scanner.nextToken(false);
+    return this.lookahead;
+};
+
+/*
+ * This method determines whether or not the specified token is the specified punctuation.
+ */
+DocumentReader.prototype.isPunctuation = function(token, punctuation) {
+    return token.type === 'punctuation' && token.text === punctuation;
+};
+
+/*
+ * This method verifies that the current token is the specified punctuation.
+ */
+DocumentReader.prototype.expect = function(punctuation) {
+    if (!this.isPunctuation(this.token, punctuation)) {
+        throw this.syntaxError(this.token, 'Expected "' + punctuation + '" but found ' + describe(this.token) + '.');
+    }
+};
+
+/*
+ * This method creates a syntax error exception for the location of the specified token.
+ */
+DocumentReader.prototype.syntaxError = function(token, message, cause) {
+    return syntaxError(token.line, token.column, message, cause, this.debug);
+};
+
+/*
+ * This method notifies the handler of the specified event if it implements it.
+ */
+DocumentReader.prototype.notify = async function(event, path, argument) {
+    if (typeof this.handler[event] === 'function') await this.handler[event](path, argument);
+};
+
+/*
+ * This method parses the specified source text for a component that starts with the
+ * specified token. The parser removes the indentation from text blocks based on their
+ * depth within the document, so the source is parsed nested in the same number of lists.
+ */
+DocumentReader.prototype.parseComponent = function(token, source, depth) {
+    try {
+        var component = this.parser.parseComponent('['.repeat(depth) + source + ']'.repeat(depth));
+        for (var level = 0; level < depth; level++) {
+            component = component.getItem(1);
+        }
+        return component;
+    } catch (cause) {
+        throw this.syntaxError(token, 'An invalid component was encountered: ' + source, cause);
+    }
+};
+
+/*
+ * This method reads the entire document.
+ */
+DocumentReader.prototype.readDocument = async function() {
+    await this.advance(true);
+    while (this.token.type === 'eol') await this.advance(true);
+    await this.readComponent([], true);
+    while (this.token.type === 'eol') await this.advance(false);
+    if (this.token.type !== 'eof') {
+        throw this.syntaxError(this.token, 'Expected the end of the document but found ' + describe(this.token) + '.');
+    }
+};
+
+/*
+ * This method reads the component that starts with the current token. Events are only
+ * generated if the emit flag is set. When the method returns, the current token is the
+ * token following the component.
+ */
+DocumentReader.prototype.readComponent = async function(path, emit) {
+    const first = this.token;
+    var selected = false;
+    if (emit && typeof this.handler.select === 'function') selected = await this.handler.select(path);
+    if (first.type === 'element' || first.type === 'procedure') {
+        var source = first.text;
+        await this.advance(false);
+        if (this.token.type === 'parameters') {
+            source += this.token.text;
+            await this.advance(false);
+        }
+        if (selected) {
+            await this.notify('component', path, this.parseComponent(first, source, path.length));
+        } else if (emit) {
+            await this.notify(first.type, path, this.parseComponent(first, source, path.length));
+        }
+    } else if (this.isPunctuation(first, '[')) {
+        if (selected) this.scanner.startRecording(first);
+        await this.readSequence(path, emit && !selected);
+        if (selected) {
+            source = this.scanner.stopRecording(this.previous);
+            await this.notify('component', path, this.parseComponent(first, source, path.length));
+        }
+    } else {
+        throw this.syntaxError(first, 'Expected a component but found ' + describe(first) + '.');
+    }
+};
+
+/*
+ * This method reads the catalog or list that starts with the current '[' token. Whether
+ * it is a catalog or list is determined by its first item.
+ */
+DocumentReader.prototype.readSequence = async function(path, emit) {
+    await this.advance(true);
+    if (this.isPunctuation(this.token, ':')) {
+        // an empty catalog
+        await this.advance(false);
+        this.expect(']');
+        if (emit) await this.notify('beginCatalog', path);
+        return await this.readEnd('endCatalog', path, emit);
+    }
+    while (this.token.type === 'eol') await this.advance(true);
+    if (this.isPunctuation(this.token, ']')) {
+        // an empty list
+        if (emit) await this.notify('beginList', path);
+        return await this.readEnd('endList', path, emit);
+    }
+    if (this.token.type === 'element' && this.isPunctuation(await this.peek(), ':')) {
+        return await this.readCatalog(path, emit);
+    }
+    return await this.readList(path, emit);
+};
+
+/*
+ * This method reads the associations in a catalog starting with the current key token.
+ */
+DocumentReader.prototype.readCatalog = async function(path, emit) {
+    if (emit) await this.notify('beginCatalog', path);
+    do {
+        const token = this.token;
+        if (token.type !== 'element') {
+            throw this.syntaxError(token, 'Expected a key but found ' + describe(token) + '.');
+        }
+        await this.advance(false);
+        this.expect(':');
+        await this.advance(true);
+        var key;
+        if (emit) {
+            key = this.parseComponent(token, token.text, path.length + 1);
+            await this.notify('key', path, key);
+        }
+        await this.readComponent(path.concat([key]), emit);
+    } while (await this.readSeparator());
+    return await this.readEnd('endCatalog', path, emit);
+};
+
+/*
+ * This method reads the items in a list starting with the current token.
+ */
+DocumentReader.prototype.readList = async function(path, emit) {
+    if (emit) await this.notify('beginList', path);
+    var index = 1;
+    do {
+        await this.readComponent(path.concat([index++]), emit);
+    } while (await this.readSeparator());
+    return await this.readEnd('endList', path, emit);
+};
+
+/*
+ * This method reads the separator following an item in a collection. It returns false if
+ * the current token is instead the closing ']' of the collection.
+ */
+DocumentReader.prototype.readSeparator = async function() {
+    if (this.isPunctuation(this.token, ',')) {
+        await this.advance(true);
+        return true;
+    }
+    if (this.token.type === 'eol') {
+        while (this.token.type === 'eol') await this.advance(true);
+        return !this.isPunctuation(this.token, ']');
+    }
+    this.expect(']');
+    return false;
+};
+
+/*
+ * This method reads the closing ']' of a collection and any parameters that follow it.
+ */
+DocumentReader.prototype.readEnd = async function(event, path, emit) {
+    await this.advance(false);
+    var parameters;
+    if (this.token.type === 'parameters') {
+        if (emit) parameters = this.parseComponent(this.token, '[' + this.token.text.slice(1, -1) + ']', path.length);
+        await this.advance(false);
+    }
+    if (emit) await this.notify(event, path, parameters);
+};
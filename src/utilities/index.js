@@ -16,6 +16,7 @@ exports.Calculator = require('./Calculator').Calculator;
 exports.Comparator = require('./Comparator').Comparator;
 exports.Configurator = require('./Configurator').Configurator;  // depends on Validator
 exports.Controller = require('./Controller').Controller;  // depends on Validator
+exports.DataParser = require('./DataParser').DataParser;
 exports.Decoder = require('./Decoder').Decoder;  // depends on Validator
 exports.Duplicator = require('./Duplicator').Duplicator;
 exports.Formatter = require('./Formatter').Formatter;
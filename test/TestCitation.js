@@ -0,0 +1,130 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('../').api(debug);
+
+
+describe('Bali Nebula™ Component Framework - Citation', function() {
+    const document = bali.instance('/acme/Order/v1', {$id: 1, $items: [1, 2, 3]});
+
+    describe('Test citation creation', function() {
+
+        it('should cite a document using its tag and version', function() {
+            const citation = bali.citation(document);
+            expect(citation.getType()).to.equal('/bali/structures/Citation');
+            expect(citation.getParameter('$type').toString()).to.equal('/bali/notary/Citation/v1');
+            expect(citation.getAttribute('$tag').isEqualTo(document.getParameter('$tag'))).to.equal(true);
+            expect(citation.getAttribute('$version').toString()).to.equal('v1');
+            expect(citation.getAttribute('$digest').isEqualTo(document.getDigest('$sha512'))).to.equal(true);
+        });
+
+        it('should cite the content of a notarized document', async function() {
+            const notary = bali.notary();
+            await notary.generateKey();
+            const notarized = await notary.notarizeDocument(document);
+            const citation = bali.citation(notarized);
+            expect(citation.getAttribute('$tag').isEqualTo(document.getParameter('$tag'))).to.equal(true);
+            expect(citation.getAttribute('$digest').isEqualTo(notarized.getDigest())).to.equal(true);
+        });
+
+        it('should not cite a document without a tag and version', function() {
+            expect(
+                function() {
+                    bali.citation(bali.component('[$id: 1]'));
+                }
+            ).to.throw();
+        });
+
+        it('should not allow the attributes to be changed', function() {
+            const citation = bali.citation(document);
+            expect(
+                function() {
+                    citation.setAttribute('$version', bali.component('v2'));
+                }
+            ).to.throw();
+            citation.getAttributes().setAttribute('$version', bali.component('v2'));
+            expect(citation.getAttribute('$version').toString()).to.equal('v1');
+        });
+
+    });
+
+    describe('Test citation matching', function() {
+
+        it('should match the cited document', function() {
+            const citation = bali.citation(document);
+            expect(citation.matches(document)).to.equal(true);
+            expect(citation.matches(bali.component(document.toString()))).to.equal(true);
+        });
+
+        it('should not match a changed document', function() {
+            const citation = bali.citation(document);
+            const changed = document.duplicate();
+            changed.setAttribute('$id', 2);
+            expect(citation.matches(changed)).to.equal(false);
+        });
+
+        it('should not match a different version of the document', function() {
+            const citation = bali.citation(document);
+            const next = document.duplicate();
+            next.setParameter('$version', bali.component('v2'));
+            expect(citation.matches(next)).to.equal(false);
+        });
+
+    });
+
+    describe('Test citation conversions', function() {
+
+        it('should format and parse a citation', function() {
+            const citation = bali.citation(document);
+            const source = citation.toString();
+            expect(source).to.contain('$tag: ' + document.getParameter('$tag'));
+            expect(source).to.contain(']($type: /bali/notary/Citation/v1)');
+            const parsed = bali.citation.fromCatalog(bali.component(source));
+            expect(parsed.isEqualTo(citation)).to.equal(true);
+            expect(parsed.matches(document)).to.equal(true);
+        });
+
+        it('should convert a citation to and from a reference', function() {
+            const citation = bali.citation(document);
+            const reference = citation.toReference();
+            expect(reference.getScheme()).to.equal('bali');
+            expect(reference.toString()).to.match(/^<bali:[0-9A-Z]+\/v1\?digest=[0-9A-Z]+>$/);
+            const converted = bali.citation.fromReference(bali.component(reference.toString()));
+            expect(converted.isEqualTo(citation)).to.equal(true);
+        });
+
+        it('should convert a citation to a named document to and from a reference', function() {
+            const citation = bali.citation.fromCatalog(bali.component(
+                '[$name: /acme/reports/annual, $version: v2.1, $digest: \'L4BHK4AF\']'
+            ));
+            const reference = citation.toReference();
+            expect(reference.toString()).to.equal('<bali:/acme/reports/annual/v2.1?digest=L4BHK4AF>');
+            expect(bali.citation.fromReference(reference).isEqualTo(citation)).to.equal(true);
+        });
+
+        it('should not convert an invalid reference', function() {
+            expect(
+                function() {
+                    bali.citation.fromReference(bali.component('<https://google.com/>'));
+                }
+            ).to.throw();
+            expect(
+                function() {
+                    bali.citation.fromCatalog(bali.component('[$tag: #LM9JSK8KDYKBGGYT0J0M2PG7YWAWX14P]'));
+                }
+            ).to.throw();
+        });
+
+    });
+
+});
@@ -0,0 +1,171 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('../').api(debug);
+
+const roundTrip = function(converter, component) {
+    return converter.fromJSON(JSON.parse(JSON.stringify(converter.toJSON(component))));
+};
+
+
+describe('Bali Nebula™ Component Framework - Converter', function() {
+
+    describe('Test the tagged JSON mapping', function() {
+        const converter = bali.converter();
+
+        it('should tag each element with its type', function() {
+            const json = converter.toJSON(bali.component('<2020-02-02T02:02>'));
+            expect(json).to.eql({$type: '/bali/elements/Moment', value: '<2020-02-02T02:02>'});
+        });
+
+        it('should round trip every type of element', function() {
+            elements.forEach(function(source) {
+                const element = bali.component(source);
+                const copy = roundTrip(converter, element);
+                expect(copy.getType()).to.equal(element.getType());
+                expect(copy.toString()).to.equal(element.toString());
+            });
+        });
+
+        it('should map the parameters separately', function() {
+            const angle = bali.angle(90, bali.angle.DEGREES);
+            const json = converter.toJSON(angle);
+            expect(json.value).to.equal('~90');
+            expect(json.parameters.$type).to.equal('/bali/collections/Catalog');
+            expect(json.parameters.items.length).to.equal(1);
+            expect(roundTrip(converter, angle).toString()).to.equal('~90($units: $degrees)');
+        });
+
+        it('should round trip nested collections', function() {
+            const catalog = bali.component(
+                '[\n' +
+                '    $list: [1, "two", <2020>]\n' +
+                '    $set: [3, 1, 2]($type: /bali/collections/Set/v1)\n' +
+                '    $stack: [1, 2]($type: /bali/collections/Stack/v1)\n' +
+                '    "text key": [:]\n' +
+                '    4: none\n' +
+                ']($type: /acme/Catalog/v1, $version: v1)'
+            );
+            const copy = roundTrip(converter, catalog);
+            expect(copy.isEqualTo(catalog)).to.equal(true);
+            expect(copy.toString()).to.equal(catalog.toString());
+            expect(copy.getAttribute('$set').getType()).to.equal('/bali/collections/Set');
+            expect(copy.getAttribute('$stack').getType()).to.equal('/bali/collections/Stack');
+        });
+
+        it('should round trip associations and procedures', function() {
+            const association = bali.association('$key', bali.component('v1.2'));
+            expect(roundTrip(converter, association).isEqualTo(association)).to.equal(true);
+            const procedure = bali.component('{\n    $x := 5\n    return x * 2\n}($type: /acme/Function/v1)');
+            const copy = roundTrip(converter, procedure);
+            expect(copy.getType()).to.equal('/bali/structures/Procedure');
+            expect(copy.toString()).to.equal(procedure.toString());
+        });
+
+        it('should round trip exceptions and citations', function() {
+            const exception = bali.exception({
+                $module: '/acme/Module',
+                $procedure: '$test',
+                $exception: '$testing',
+                $text: 'This is a test.'
+            });
+            const copy = roundTrip(converter, exception);
+            expect(copy.getType()).to.equal('/bali/structures/Exception');
+            expect(copy.toString()).to.equal(exception.toString());
+            const citation = bali.citation(bali.instance('/acme/Order/v1', {$id: 1}));
+            expect(roundTrip(converter, citation).isEqualTo(citation)).to.equal(true);
+        });
+
+        it('should not convert an invalid value', function() {
+            const invalid = [
+                {value: '5'},
+                {$type: '/bali/elements/Moment', value: '5'},
+                {$type: '/bali/elements/Unknown', value: '5'},
+                {$type: '/bali/collections/List'},
+                'plain'
+            ];
+            invalid.forEach(function(value) {
+                expect(
+                    function() {
+                        converter.fromJSON(value);
+                    }
+                ).to.throw();
+            });
+        });
+
+    });
+
+    describe('Test the plain JSON mapping', function() {
+        const converter = bali.converter({plain: true});
+
+        it('should map components to native JSON values', function() {
+            const catalog = bali.component(
+                '[\n' +
+                '    $name: "Bob"\n' +
+                '    $age: 42\n' +
+                '    $married: true\n' +
+                '    $spouse: none\n' +
+                '    $born: <1980-01-01>\n' +
+                '    $children: ["Alice", "Carol"]($type: /bali/collections/Set/v1)\n' +
+                ']($type: /acme/Person/v1)'
+            );
+            expect(converter.toJSON(catalog)).to.eql({
+                $name: 'Bob',
+                $age: 42,
+                $married: true,
+                $spouse: null,
+                $born: '<1980-01-01>',
+                $children: ['Alice', 'Carol']
+            });
+        });
+
+        it('should map plain JSON values back to components without their parameters', function() {
+            const source = '[$age: 42, $born: <1980-01-01>, $spouse: none, $tags: [1, 2]]';
+            const copy = roundTrip(converter, bali.component(source + '($type: /acme/Person/v1)'));
+            expect(copy.getParameters()).to.equal(undefined);
+            expect(copy.isEqualTo(bali.component(source))).to.equal(true);
+            expect(copy.getAttribute('$born').getType()).to.equal('/bali/elements/Moment');
+        });
+
+        it('should map exceptions to their attributes', function() {
+            const exception = bali.exception({$module: '/acme/Module', $text: 'Oops!'});
+            expect(converter.toJSON(exception)).to.eql({$module: '/acme/Module', $text: 'Oops!'});
+        });
+
+    });
+
+});
+
+const elements = [
+    '~π',
+    '\'AB3C\'($encoding: $base32)',
+    '~P3D',
+    '<2020-02-02T02:02:02.345>',
+    '/acme/reports/annual',
+    '(3, 4i)',
+    '∞',
+    'undefined',
+    '"[a-z]+"?',
+    'none',
+    'any',
+    '25%',
+    '.5',
+    'true',
+    '2..5',
+    '<https://google.com/>',
+    '$symbol',
+    '#LM9JSK8KDYKBGGYT0J0M2PG7YWAWX14P',
+    '"Hello World!"',
+    '"\n    multiple\n    lines\n"',
+    'v1.2.3'
+];
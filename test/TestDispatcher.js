@@ -0,0 +1,135 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('../').api(debug);
+
+
+describe('Bali Nebula™ Component Framework - Dispatcher', function() {
+
+    describe('Test synchronous messages', function() {
+
+        it('should send messages to a list', function() {
+            const dispatcher = bali.dispatcher();
+            const list = bali.list([1, 2, 3]);
+            dispatcher.sendMessage(list, 'addItem', [bali.number(4)]);
+            expect(dispatcher.sendMessage(list, 'getSize').toString()).to.equal('4');
+            expect(dispatcher.sendMessage(list, 'getItem', [bali.number(-1)]).toString()).to.equal('4');
+            expect(dispatcher.sendMessage(list, 'containsItem', [bali.number(2)]).toString()).to.equal('true');
+            dispatcher.sendMessage(list, 'removeItem', [bali.number(1)]);
+            expect(list.isEqualTo(bali.list([2, 3, 4]))).to.equal(true);
+        });
+
+        it('should send messages to a catalog', function() {
+            const dispatcher = bali.dispatcher();
+            const catalog = bali.catalog({$foo: 'bar'});
+            dispatcher.sendMessage(catalog, 'setAttribute', [bali.symbol('baz'), bali.number(5)]);
+            expect(dispatcher.sendMessage(catalog, 'getAttribute', [bali.symbol('baz')]).toString()).to.equal('5');
+            expect(dispatcher.sendMessage(catalog, 'getKeys').isEqualTo(bali.list(['$foo', '$baz']))).to.equal(true);
+        });
+
+        it('should send messages to an element', function() {
+            const dispatcher = bali.dispatcher();
+            const text = bali.text('hello');
+            expect(dispatcher.sendMessage(text, 'getSize').toString()).to.equal('5');
+            expect(dispatcher.sendMessage(text, 'getItem', [bali.number(2)]).toString()).to.equal('"e"');
+            expect(dispatcher.sendMessage(text, 'getType').toString()).to.equal('"/bali/elements/Text"');
+        });
+
+        it('should not send messages that are not supported by the target', function() {
+            const dispatcher = bali.dispatcher();
+            expect(
+                function() {
+                    dispatcher.sendMessage(bali.text('hello'), 'addItem', [bali.text('!')]);
+                }
+            ).to.throw().with.property('message', 'The message is not supported by the target component.');
+            expect(
+                function() {
+                    dispatcher.sendMessage(bali.list(), 'setParameters', [bali.catalog()]);
+                }
+            ).to.throw().with.property('message', 'The message is not supported by the target component.');
+        });
+
+    });
+
+    describe('Test asynchronous messages', function() {
+
+        it('should deliver posted messages to their targets', async function() {
+            const dispatcher = bali.dispatcher();
+            const list = bali.list();
+            dispatcher.postMessage(list, 'addItem', [bali.number(1)]);
+            dispatcher.postMessage(list, 'addItem', [bali.number(2)]);
+            expect(dispatcher.getSize()).to.equal(2);
+            expect(list.getSize()).to.equal(0);
+            await dispatcher.drainQueue();
+            expect(dispatcher.getSize()).to.equal(0);
+            expect(list.isEqualTo(bali.list([1, 2]))).to.equal(true);
+        });
+
+        it('should drain the queue automatically', async function() {
+            const dispatcher = bali.dispatcher();
+            const list = bali.list();
+            dispatcher.postMessage(list, 'addItem', [bali.number(1)]);
+            await new Promise(function(resolve) {
+                setImmediate(resolve);
+            });
+            await new Promise(function(resolve) {
+                setImmediate(resolve);
+            });
+            expect(list.getSize()).to.equal(1);
+        });
+
+        it('should pass posted messages to a custom handler', async function() {
+            const messages = [];
+            const dispatcher = bali.dispatcher(async function(message) {
+                messages.push(message);
+            });
+            const message = dispatcher.postMessage(bali.text('target'), 'notify', [bali.number(5)]);
+            expect(message.getAttribute('$message').toString()).to.equal('$notify');
+            await dispatcher.drainQueue();
+            expect(messages.length).to.equal(1);
+            expect(messages[0].getAttribute('$arguments').isEqualTo(bali.list([5]))).to.equal(true);
+        });
+
+        it('should handle posted messages one at a time in order when the queue is drained', async function() {
+            const steps = [];
+            const dispatcher = bali.dispatcher(async function(message) {
+                const order = message.getAttribute('$arguments').getItem(1).toString();
+                steps.push('start ' + order);
+                await new Promise(function(resolve) {
+                    setTimeout(resolve, order === '1' ? 20 : 1);  // the first message takes longer
+                });
+                steps.push('end ' + order);
+            });
+            dispatcher.postMessage(bali.text('target'), 'notify', [1]);
+            dispatcher.postMessage(bali.text('target'), 'notify', [2]);
+            await dispatcher.drainQueue();
+            expect(steps).to.eql(['start 1', 'end 1', 'start 2', 'end 2']);
+            expect(dispatcher.getSize()).to.equal(0);
+        });
+
+        it('should keep handling messages after the handler fails', async function() {
+            const messages = [];
+            const dispatcher = bali.dispatcher(function(message) {
+                if (message.getAttribute('$message').toString() === '$fail') throw Error('The handler failed.');
+                messages.push(message);
+            });
+            dispatcher.postMessage(bali.text('target'), 'fail');
+            dispatcher.postMessage(bali.text('target'), 'notify');
+            await dispatcher.drainQueue();
+            expect(dispatcher.getSize()).to.equal(0);
+            expect(messages.length).to.equal(1);
+        });
+
+    });
+
+});
@@ -0,0 +1,203 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const pfs = require('fs').promises;
+const bali = require('../').api(debug);
+
+
+describe('Bali Nebula™ Component Framework - Encoder', function() {
+    const encoder = bali.encoder();
+
+    describe('Test the encoding of elements', function() {
+
+        it('should encode and decode every type of element', function() {
+            elements.forEach(function(source) {
+                const element = bali.component(source);
+                const buffer = encoder.encodeComponent(element);
+                expect(Buffer.isBuffer(buffer)).to.equal(true);
+                const decoded = encoder.decodeComponent(buffer);
+                expect(decoded.getType()).to.equal(element.getType());
+                expect(decoded.toString()).to.equal(element.toString());
+            });
+        });
+
+        it('should encode the type code and value of an element', function() {
+            const buffer = encoder.encodeComponent(bali.component('$symbol'));
+            // the type code, the index of the interned string, and the size and bytes of the string
+            expect(buffer.toString('hex')).to.equal('0c0006' + Buffer.from('symbol').toString('hex'));
+        });
+
+        it('should encode the parameters of an element', function() {
+            const angle = bali.angle(90, bali.angle.DEGREES);
+            const buffer = encoder.encodeComponent(angle);
+            expect(buffer[0]).to.equal(0x81);  // a parameterized angle
+            const decoded = encoder.decodeComponent(buffer);
+            expect(decoded.toString()).to.equal('~90($units: $degrees)');
+            expect(decoded.getValue()).to.equal(angle.getValue());
+        });
+
+    });
+
+    describe('Test the encoding of collections and structures', function() {
+
+        it('should encode and decode nested collections', function() {
+            const catalog = bali.component(
+                '[\n' +
+                '    $list: [1, "two", <2020-02-02>]\n' +
+                '    $queue: [1, 2]($type: /bali/collections/Queue/v1)\n' +
+                '    $set: [3, 1, 2]($type: /bali/collections/Set/v1)\n' +
+                '    $stack: [1, 2]($type: /bali/collections/Stack/v1)\n' +
+                '    "text key": [:]\n' +
+                '    4: none\n' +
+                ']($type: /acme/Catalog/v1, $version: v1)'
+            );
+            const decoded = encoder.decodeComponent(encoder.encodeComponent(catalog));
+            expect(decoded.getType()).to.equal('/acme/Catalog');
+            expect(decoded.toString()).to.equal(catalog.toString());
+            expect(decoded.getAttribute('$queue').getType()).to.equal('/bali/collections/Queue');
+            expect(decoded.getAttribute('$stack').getType()).to.equal('/bali/collections/Stack');
+        });
+
+        it('should encode and decode procedures without parsing them', async function() {
+            const files = ['expressions.bali', 'statements.bali'];
+            for (const file of files) {
+                const source = await pfs.readFile('test/source/' + file, 'utf8');
+                const document = bali.component(source);
+                const decoded = encoder.decodeComponent(encoder.encodeComponent(document));
+                expect(decoded.toString()).to.equal(document.toString());
+            }
+        });
+
+        it('should encode and decode associations, exceptions and citations', function() {
+            const association = bali.association('$key', bali.component('v1.2'));
+            expect(encoder.decodeComponent(encoder.encodeComponent(association)).isEqualTo(association)).to.equal(true);
+            const exception = bali.exception({
+                $module: '/acme/Module',
+                $procedure: '$test',
+                $exception: '$testing',
+                $text: 'This is a test.'
+            });
+            const decoded = encoder.decodeComponent(encoder.encodeComponent(exception));
+            expect(decoded.getType()).to.equal('/bali/structures/Exception');
+            expect(decoded.toString()).to.equal(exception.toString());
+            const citation = bali.citation(bali.instance('/acme/Order/v1', {$id: 1}));
+            expect(encoder.decodeComponent(encoder.encodeComponent(citation)).isEqualTo(citation)).to.equal(true);
+        });
+
+        it('should be smaller than the document notation', function() {
+            const document = bali.instance('/acme/Order/v1', {
+                $customer: '/acme/customers/12345',
+                $ordered: bali.moment(),
+                $items: [1.5, 2.25, 3.125, 4]
+            });
+            const buffer = encoder.encodeComponent(document);
+            expect(buffer.length).to.be.below(Buffer.byteLength(document.toString(), 'utf8'));
+            expect(encoder.decodeComponent(buffer).isEqualTo(document)).to.equal(true);
+        });
+
+        it('should encode the source documents smaller than their notation', async function() {
+            const files = await pfs.readdir('test/source');
+            for (const file of files) {
+                const document = bali.component(await pfs.readFile('test/source/' + file, 'utf8'));
+                const buffer = encoder.encodeComponent(document);
+                expect(buffer.length, file).to.be.below(Buffer.byteLength(document.toString(), 'utf8'));
+            }
+        });
+
+        it('should encode each repeated symbol only once', function() {
+            const symbols = bali.component('[$alpha, $alpha, $alpha]');
+            const buffer = encoder.encodeComponent(symbols);
+            expect(buffer.length).to.equal(14);  // the list code and count, the first symbol and two indices
+            expect(encoder.decodeComponent(buffer).isEqualTo(symbols)).to.equal(true);
+        });
+
+    });
+
+    describe('Test the decoding of invalid buffers', function() {
+
+        it('should not decode a truncated buffer', function() {
+            const buffer = encoder.encodeComponent(bali.component('[1, 2, 3]'));
+            expect(
+                function() {
+                    encoder.decodeComponent(buffer.subarray(0, buffer.length - 1));
+                }
+            ).to.throw();
+        });
+
+        it('should not decode extra bytes', function() {
+            const buffer = encoder.encodeComponent(bali.component('[1, 2, 3]'));
+            expect(
+                function() {
+                    encoder.decodeComponent(Buffer.concat([buffer, Buffer.from([0])]));
+                }
+            ).to.throw();
+        });
+
+        it('should not decode an invalid type code', function() {
+            try {
+                encoder.decodeComponent(Buffer.from([0x7F]));
+                expect.fail('An invalid type code should not be decoded.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidBuffer');
+            }
+        });
+
+        it('should not decode an invalid procedure tree node', function() {
+            try {
+                encoder.decodeComponent(Buffer.from([0x15, 0x3F, 0x00]));
+                expect.fail('An invalid procedure tree node should not be decoded.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidBuffer');
+                expect(exception.cause.getAttribute('$exception').toString()).to.equal('$invalidEncoding');
+            }
+        });
+
+        it('should not decode an unknown interned string', function() {
+            try {
+                encoder.decodeComponent(Buffer.from([0x0C, 0x01]));
+                expect.fail('An unknown interned string should not be decoded.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidBuffer');
+                expect(exception.cause.getAttribute('$exception').toString()).to.equal('$invalidEncoding');
+            }
+        });
+
+    });
+
+});
+
+const elements = [
+    '~π',
+    '\'AB3C\'($encoding: $base32)',
+    '~P3D',
+    '<2020-02-02T02:02:02.345>',
+    '/acme/reports/annual',
+    '(3, 4i)',
+    '(5 e^~0.9272952180016122i)($format: $polar)',
+    '∞',
+    'undefined',
+    '"[a-z]+"?',
+    'none',
+    'any',
+    '25%',
+    '.5',
+    'true',
+    '2..5',
+    '..5',
+    '<https://google.com/search?q=bali#top>',
+    '$symbol',
+    '#LM9JSK8KDYKBGGYT0J0M2PG7YWAWX14P',
+    '"Hello World!"',
+    '"\n    multiple\n    lines\n"',
+    'v1.2.3'
+];
@@ -0,0 +1,437 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const pfs = require('fs').promises;
+const bali = require('../').api(debug);
+const interpreter = bali.interpreter();
+
+
+describe('Bali Nebula™ Component Framework - Interpreter', function() {
+
+    describe('Test variable assignment', function() {
+
+        it('should assign values to variables in the scope', async function() {
+            const procedure = bali.component('{$x := 5; $y := x * 2 + 1}');
+            const variables = bali.catalog();
+            const result = await interpreter.executeProcedure(procedure, variables);
+            expect(result).to.not.exist;
+            expect(variables.getAttribute('$x').toString()).to.equal('5');
+            expect(variables.getAttribute('$y').toString()).to.equal('11');
+        });
+
+        it('should accept a JavaScript object as the scope', async function() {
+            const procedure = bali.component('{return x + y}');
+            const result = await interpreter.executeProcedure(procedure, {$x: 3, $y: 4});
+            expect(result.toString()).to.equal('7');
+        });
+
+        it('should assign values to attributes of variables', async function() {
+            const procedure = bali.component('{list[2] := "two"; catalog[$foo, 1] := "bar"}');
+            const variables = bali.catalog({
+                $list: bali.component('[1, 2, 3]'),
+                $catalog: bali.component('[$foo: [1, 2]]')
+            });
+            await interpreter.executeProcedure(procedure, variables);
+            const expected = bali.component('[$list: [1, "two", 3], $catalog: [$foo: ["bar", 2]]]');
+            expect(variables.isEqualTo(expected)).to.equal(true);
+        });
+
+        it('should not modify collection literals in a procedure', async function() {
+            const procedure = bali.component('{$list := [1, 2]; list[1] := 5; return list}');
+            const source = procedure.toString();
+            const result = await interpreter.executeProcedure(procedure);
+            expect(result.isEqualTo(bali.component('[5, 2]'))).to.equal(true);
+            expect(procedure.toString()).to.equal(source);
+        });
+
+        it('should evaluate undefined variables as none', async function() {
+            const procedure = bali.component('{return missing ? "default"}');
+            const result = await interpreter.executeProcedure(procedure);
+            expect(result.toString()).to.equal('"default"');
+        });
+
+    });
+
+    describe('Test control flow', function() {
+
+        it('should execute the first matching conditional block', async function() {
+            const procedure = bali.component('{if x < 0 then {return "negative"} else if x = 0 then {return "zero"} else {return "positive"}}');
+            expect((await interpreter.executeProcedure(procedure, {$x: -2})).toString()).to.equal('"negative"');
+            expect((await interpreter.executeProcedure(procedure, {$x: 0})).toString()).to.equal('"zero"');
+            expect((await interpreter.executeProcedure(procedure, {$x: 2})).toString()).to.equal('"positive"');
+        });
+
+        it('should select the block whose option matches the value', async function() {
+            const procedure = bali.component('{select color from "red" do {return 1} "blue" do {return 2} else {return 3}}');
+            expect((await interpreter.executeProcedure(procedure, {$color: '"blue"'})).toString()).to.equal('2');
+            expect((await interpreter.executeProcedure(procedure, {$color: '"green"'})).toString()).to.equal('3');
+        });
+
+        it('should loop while a condition is true', async function() {
+            const procedure = bali.component('{$count := 0; while count < 5 do {$count := count + 1}; return count}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('5');
+        });
+
+        it('should iterate over the items in a sequence', async function() {
+            const procedure = bali.component('{$sum := 0; with each $item in [1, 2, 3, 4] do {$sum := sum + item}; return sum}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('10');
+        });
+
+        it('should iterate over the values in a range', async function() {
+            const procedure = bali.component('{$product := 1; with each $n in 1..5 do {$product := product * n}; return product}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('120');
+        });
+
+        it('should support breaking out of a loop', async function() {
+            const procedure = bali.component('{$last := 0; with each $n in 1..10 do {if n > 3 then {break loop}; $last := n}; return last}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('3');
+        });
+
+        it('should support continuing a loop', async function() {
+            const procedure = bali.component('{$sum := 0; with each $n in 1..6 do {if n // 2 = 0 then {continue loop}; $sum := sum + n}; return sum}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('9');
+        });
+
+        it('should return from inside of nested loops', async function() {
+            const procedure = bali.component('{with each $a in 1..3 do {with each $b in 1..3 do {if a * b = 6 then {return a}}}; return none}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('2');
+        });
+
+        it('should not allow loop clauses outside of a loop', async function() {
+            const procedure = bali.component('{break loop}');
+            try {
+                await interpreter.executeProcedure(procedure);
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.message).to.equal('A loop clause was executed outside of a loop.');
+            }
+        });
+
+    });
+
+    describe('Test expression evaluation', function() {
+
+        it('should evaluate arithmetic expressions', async function() {
+            expect((await bali.evaluate('x * 2 + |y|', {$x: 3, $y: -4})).toString()).to.equal('10');
+            expect((await bali.evaluate('(1 + 2) * 3')).toString()).to.equal('9');
+            expect((await bali.evaluate('2 ^ 10')).toString()).to.equal('1024');
+            expect((await bali.evaluate('7 // 4')).toString()).to.equal('3');
+            expect((await bali.evaluate('-x', {$x: 3})).toString()).to.equal('-3');
+        });
+
+        it('should evaluate expressions on angles, percents and durations', async function() {
+            expect((await bali.evaluate('~1.5 * 2 - ~0.5')).toString()).to.equal('~2.5');
+            expect((await bali.evaluate('(25% + 50%) * 2')).toString()).to.equal('150%');
+            expect((await bali.evaluate('~P1D / 2')).toString()).to.equal('~PT12H');
+        });
+
+        it('should evaluate expressions on moments', async function() {
+            expect((await bali.evaluate('<2020-01-01> + ~P1D')).toString()).to.equal('<2020-01-02T00:00:00.000>');
+            expect((await bali.evaluate('<2020-01-01> - ~P1D')).toString()).to.equal('<2019-12-31T00:00:00.000>');
+            expect((await bali.evaluate('<2020-01-05> - <2020-01-01>')).toString()).to.equal('~PT96H');
+        });
+
+        it('should evaluate logical expressions', async function() {
+            expect((await bali.evaluate('true AND NOT false')).toString()).to.equal('true');
+            expect((await bali.evaluate('true AND .5')).toString()).to.equal('.5');
+            expect((await bali.evaluate("'01' XOR '11'")).toString()).to.equal("'10'");
+            const set = await bali.evaluate('[1, 2, 3]($type: /bali/collections/Set/v1) SANS [2]');
+            expect(set.isEqualTo(bali.set([1, 3]))).to.equal(true);
+        });
+
+        it('should evaluate comparison expressions', async function() {
+            expect((await bali.evaluate('x < 5 AND x > -5', {$x: 3})).toString()).to.equal('true');
+            expect((await bali.evaluate('"abc" = "abc"')).toString()).to.equal('true');
+            expect((await bali.evaluate('"abc" MATCHES any')).toString()).to.equal('true');
+        });
+
+        it('should evaluate concatenation expressions', async function() {
+            expect((await bali.evaluate('"abc" & "def"')).toString()).to.equal('"abcdef"');
+            expect((await bali.evaluate('/acme/reports & /Q3')).toString()).to.equal('/acme/reports/Q3');
+            expect((await bali.evaluate('[1, 2] & [3]')).isEqualTo(bali.list([1, 2, 3]))).to.equal(true);
+        });
+
+        it('should evaluate indexed attributes of variables', async function() {
+            const variables = {$catalog: bali.component('[$foo: [1, 2, 3]]')};
+            expect((await bali.evaluate('catalog[$foo, 2] * 5', variables)).toString()).to.equal('10');
+            expect((await bali.evaluate('"hello"[1]')).toString()).to.equal('"h"');
+        });
+
+        it('should not evaluate an unsupported operation', async function() {
+            try {
+                await bali.evaluate('"abc" + 5');
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.message).to.equal('The operation is not supported for the type of operand.');
+            }
+        });
+
+        it('should not evaluate an expression followed by extra tokens', async function() {
+            try {
+                await bali.evaluate('1 + 2 3');
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.isComponent).to.equal(true);
+            }
+        });
+
+    });
+
+    describe('Test function invocation', function() {
+
+        it('should invoke the built-in functions', async function() {
+            expect((await bali.evaluate('sine(~0) + logarithm(2, 8)')).toString()).to.equal('3');
+            expect((await bali.evaluate('nextVersion(v1.2, 1)')).toString()).to.equal('v2');
+            expect((await bali.evaluate('concatenation("abc", "def")')).toString()).to.equal('"abcdef"');
+        });
+
+        it('should invoke functions registered by the host application', async function() {
+            const library = bali.library();
+            library.registerFunction('discount', {
+                $price: ['/bali/elements/Number'],
+                $rate: ['/bali/elements/Percent']
+            }, function(price, rate, debug) {
+                return price.toNumber() * (1 - rate.toNumber());
+            });
+            const procedure = bali.component('{return discount(price, 25%)}');
+            const result = await bali.interpreter({library: library}).executeProcedure(procedure, {$price: 200});
+            expect(result.toString()).to.equal('150');
+        });
+
+        it('should not invoke an unknown function', async function() {
+            const procedure = bali.component('{return unknown(5)}');
+            try {
+                await interpreter.executeProcedure(procedure);
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.message).to.equal('The library does not contain a function with the specified name.');
+            }
+        });
+
+    });
+
+    describe('Test message expressions', function() {
+
+        it('should send synchronous messages to components', async function() {
+            const procedure = bali.component('{list.addItem(4); list.removeItem(1); return list.getSize()}');
+            const variables = {$list: bali.list([1, 2, 3])};
+            expect((await interpreter.executeProcedure(procedure, variables)).toString()).to.equal('3');
+            expect(variables.$list.isEqualTo(bali.list([2, 3, 4]))).to.equal(true);
+        });
+
+        it('should chain synchronous messages', async function() {
+            const variables = {$catalog: bali.component('[$foo: [1, 2, 3]]')};
+            expect((await bali.evaluate('catalog.getAttribute($foo).getItem(2)', variables)).toString()).to.equal('2');
+        });
+
+        it('should post asynchronous messages to the dispatcher', async function() {
+            const dispatcher = bali.dispatcher();
+            const procedure = bali.component('{list <- addItem(4)}');
+            const variables = {$list: bali.list([1, 2, 3])};
+            await bali.interpreter({dispatcher: dispatcher}).executeProcedure(procedure, variables);
+            await dispatcher.drainQueue();
+            expect(variables.$list.getSize()).to.equal(4);
+        });
+
+        it('should not send unsupported messages', async function() {
+            const procedure = bali.component('{return "text".addItem("more")}');
+            try {
+                await interpreter.executeProcedure(procedure);
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.message).to.equal('The message is not supported by the target component.');
+            }
+        });
+
+    });
+
+    describe('Test document clauses', function() {
+
+        const directory = 'test/interpreter/';
+        const repository = bali.repository(directory);
+        const documents = bali.interpreter({repository: repository});
+        const name = bali.component('/acme/reports');
+
+        after(async function() {
+            await pfs.rm(directory, {recursive: true, force: true});
+        });
+
+        it('should commit a document to the repository', async function() {
+            const procedure = bali.component('{commit [$year: 2020, $revenue: 1000] to /acme/reports/v1}');
+            await documents.executeProcedure(procedure);
+            const document = await repository.readDocument(name, bali.component('v1'));
+            expect(document.isEqualTo(bali.component('[$year: 2020, $revenue: 1000]'))).to.equal(true);
+        });
+
+        it('should check out, save and commit a new version of a document', async function() {
+            const procedure = bali.component('{checkout $draft from /acme/reports/v1; draft[$revenue] := 2000; save draft as $citation; commit draft to /acme/reports/v2; return @citation}');
+            const document = await documents.executeProcedure(procedure);
+            expect(document.getAttribute('$revenue').toString()).to.equal('2000');
+            expect(document.getParameter('$version').toString()).to.equal('v2');
+            expect(await repository.readDraft(name, bali.component('v2'))).to.not.exist;
+        });
+
+        it('should check out a new version level of a document', async function() {
+            const procedure = bali.component('{checkout level 1 of $draft from /acme/reports/v2; save draft; return draft}');
+            const draft = await documents.executeProcedure(procedure);
+            expect(draft.getParameter('$version').toString()).to.equal('v3');
+            expect(await repository.readDraft(name, bali.component('v3'))).to.exist;
+        });
+
+        it('should discard a saved draft of a document', async function() {
+            const procedure = bali.component('{discard /acme/reports/v3}');
+            await documents.executeProcedure(procedure);
+            expect(await repository.readDraft(name, bali.component('v3'))).to.not.exist;
+        });
+
+        it('should dereference a committed document', async function() {
+            const document = await documents.executeProcedure(bali.component('{return @/acme/reports/v1}'));
+            expect(document.getAttribute('$revenue').toString()).to.equal('1000');
+            try {
+                await documents.executeProcedure(bali.component('{return @/acme/reports/v9}'));
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unknownDocument');
+            }
+        });
+
+        it('should not use a value that does not identify a document', async function() {
+            try {
+                await documents.executeProcedure(bali.component('{return @5}'));
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidIdentity');
+            }
+        });
+
+        it('should not execute document clauses without a repository', async function() {
+            try {
+                await interpreter.executeProcedure(bali.component('{discard /acme/reports/v3}'));
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingService');
+            }
+        });
+
+    });
+
+    describe('Test message clauses', function() {
+
+        it('should post, retrieve and accept messages', async function() {
+            const messenger = bali.messenger();
+            const procedure = bali.component('{post [$order: 1] to /acme/bags/orders; retrieve $message from /acme/bags/orders; accept message; return message}');
+            const message = await bali.interpreter({messenger: messenger}).executeProcedure(procedure);
+            expect(message.getAttribute('$order').toString()).to.equal('1');
+            expect(await messenger.getSize(bali.component('/acme/bags/orders'))).to.equal(0);
+        });
+
+        it('should return a rejected message to its bag', async function() {
+            const messenger = bali.messenger();
+            const procedure = bali.component('{post [$order: 1] to /acme/bags/orders; retrieve $message from /acme/bags/orders; reject message; retrieve $message from /acme/bags/orders; return message}');
+            const message = await bali.interpreter({messenger: messenger}).executeProcedure(procedure);
+            expect(message.getAttribute('$order').toString()).to.equal('1');
+            expect(await messenger.getSize(bali.component('/acme/bags/orders'))).to.equal(1);
+        });
+
+        it('should retrieve none from an empty bag', async function() {
+            const procedure = bali.component('{retrieve $message from /acme/bags/empty; return message}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('none');
+        });
+
+    });
+
+    describe('Test thrown values', function() {
+
+        it('should throw an exception from a thrown catalog', async function() {
+            const procedure = bali.component('{$error := [$exception: $invalidValue]; error[$value] := x; throw error}');
+            try {
+                await interpreter.executeProcedure(procedure, {$x: 5});
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.isComponent).to.equal(true);
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidValue');
+                expect(exception.getAttribute('$value').toString()).to.equal('5');
+            }
+        });
+
+        it('should wrap other thrown values in an exception', async function() {
+            const procedure = bali.component('{throw "oops"}');
+            try {
+                await interpreter.executeProcedure(procedure);
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unhandledValue');
+                expect(exception.getAttribute('$value').toString()).to.equal('"oops"');
+            }
+        });
+
+        it('should wrap JavaScript errors in an exception', async function() {
+            const library = bali.library();
+            library.registerFunction('fail', {}, function(debug) {
+                throw Error('The host function failed.');
+            });
+            const procedure = bali.component('{return fail()}');
+            try {
+                await bali.interpreter({library: library}).executeProcedure(procedure);
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.isComponent).to.equal(true);
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unexpected');
+                expect(exception.cause.message).to.equal('The host function failed.');
+            }
+        });
+
+        it('should handle a thrown value with the first matching block', async function() {
+            const procedure = bali.component('{$result := "none"; throw [$exception: $second] handle $exception matching [$exception: $first] with {$result := "first"} matching [$exception: $second] with {$result := "second"} matching any with {$result := "any"}; return result}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('"second"');
+        });
+
+        it('should bind the thrown value to the handle symbol', async function() {
+            const procedure = bali.component('{throw "oops" handle $exception matching any with {return exception}}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('"oops"');
+        });
+
+        it('should handle exceptions thrown by operations', async function() {
+            const procedure = bali.component('{return "abc" + 5 handle $exception matching [$exception: $invalidOperand] with {return exception[$exception]}}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('$invalidOperand');
+        });
+
+        it('should handle exceptions thrown within nested blocks', async function() {
+            const procedure = bali.component('{$count := 0; with each $n in 1..5 do {if n = 3 then {throw [$exception: $skip]}; $count := count + 1} handle $exception matching [$exception: $skip] with {return count}}');
+            expect((await interpreter.executeProcedure(procedure)).toString()).to.equal('2');
+        });
+
+        it('should rethrow the value when no block matches', async function() {
+            const procedure = bali.component('{throw [$exception: $other] handle $exception matching [$exception: $expected] with {return none}}');
+            try {
+                await interpreter.executeProcedure(procedure);
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$other');
+            }
+        });
+
+        it('should rethrow the value from a handler block', async function() {
+            const procedure = bali.component('{throw [$exception: $first] handle $exception matching any with {$error := [$exception: $second]; error[$cause] := exception; throw error}}');
+            try {
+                await interpreter.executeProcedure(procedure);
+                expect(true).to.equal(false);  // should never get here
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$second');
+                expect(exception.getAttribute('$cause').getAttribute('$exception').toString()).to.equal('$first');
+            }
+        });
+
+    });
+
+});
@@ -0,0 +1,249 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const stream = require('stream');
+const bali = require('../').api(debug);
+const uri = 'file:///test/document.bali';
+const source =
+    '{\n' +
+    '    $x := [\n' +
+    '        $a: 1\n' +
+    '    ]\n' +
+    '    return x\n' +
+    '}\n';
+
+const request = function(id, method, params) {
+    return {jsonrpc: '2.0', id: id, method: method, params: params};
+};
+
+const notification = function(method, params) {
+    return {jsonrpc: '2.0', method: method, params: params};
+};
+
+const openDocument = function(server, text) {
+    return server.handleMessage(notification('textDocument/didOpen', {
+        textDocument: {uri: uri, languageId: 'bali', version: 1, text: text}
+    }));
+};
+
+const frame = function(message) {
+    const json = JSON.stringify(message);
+    return 'Content-Length: ' + Buffer.byteLength(json, 'utf8') + '\r\n\r\n' + json;
+};
+
+
+describe('Bali Nebula™ Component Framework - LanguageServer', function() {
+
+    describe('Test the protocol lifecycle', function() {
+
+        it('should report the server capabilities', function() {
+            const server = bali.languageServer();
+            const responses = server.handleMessage(request(1, 'initialize', {capabilities: {}}));
+            expect(responses.length).to.equal(1);
+            expect(responses[0].id).to.equal(1);
+            const capabilities = responses[0].result.capabilities;
+            expect(capabilities.documentFormattingProvider).to.equal(true);
+            expect(capabilities.hoverProvider).to.equal(true);
+            expect(capabilities.foldingRangeProvider).to.equal(true);
+            expect(capabilities.definitionProvider).to.equal(true);
+            expect(server.handleMessage(notification('initialized', {})).length).to.equal(0);
+            expect(server.handleMessage(request(2, 'shutdown')).length).to.equal(1);
+        });
+
+        it('should reject unsupported requests and ignore unsupported notifications', function() {
+            const server = bali.languageServer();
+            const responses = server.handleMessage(request(1, 'workspace/symbol', {query: 'x'}));
+            expect(responses[0].error.code).to.equal(-32601);
+            expect(server.handleMessage(notification('$/cancelRequest', {id: 1})).length).to.equal(0);
+        });
+
+    });
+
+    describe('Test the diagnostics', function() {
+
+        it('should publish no diagnostics for a valid document', function() {
+            const server = bali.languageServer();
+            const messages = openDocument(server, source);
+            expect(messages.length).to.equal(1);
+            expect(messages[0].method).to.equal('textDocument/publishDiagnostics');
+            expect(messages[0].params.uri).to.equal(uri);
+            expect(messages[0].params.diagnostics.length).to.equal(0);
+        });
+
+        it('should publish the syntax errors in a changed document', function() {
+            const server = bali.languageServer();
+            openDocument(server, source);
+            const messages = server.handleMessage(notification('textDocument/didChange', {
+                textDocument: {uri: uri, version: 2},
+                contentChanges: [{text: '[\n    $a: 1\n    $b 2\n]'}]
+            }));
+            const diagnostics = messages[0].params.diagnostics;
+            expect(diagnostics.length).to.be.above(0);
+            expect(diagnostics[0].severity).to.equal(1);
+            expect(diagnostics[0].range.start.line).to.equal(2);
+            expect(diagnostics[0].range.start.character).to.equal(7);
+        });
+
+        it('should clear the diagnostics for a closed document', function() {
+            const server = bali.languageServer();
+            openDocument(server, '[1, 2');
+            const messages = server.handleMessage(notification('textDocument/didClose', {
+                textDocument: {uri: uri}
+            }));
+            expect(messages[0].params.diagnostics.length).to.equal(0);
+        });
+
+    });
+
+    describe('Test the document formatting', function() {
+
+        it('should replace the document with its canonical format', function() {
+            const server = bali.languageServer();
+            openDocument(server, '[$a:1,$b:2]-- the end\n');
+            const edits = server.handleMessage(request(1, 'textDocument/formatting', {
+                textDocument: {uri: uri},
+                options: {tabSize: 4, insertSpaces: true}
+            }))[0].result;
+            expect(edits.length).to.equal(1);
+            expect(edits[0].range.start).to.eql({line: 0, character: 0});
+            expect(edits[0].range.end).to.eql({line: 1, character: 0});
+            expect(edits[0].newText).to.equal('[\n    $a: 1\n    $b: 2\n]\n-- the end\n');
+        });
+
+        it('should not change a document that is already formatted', function() {
+            const server = bali.languageServer();
+            openDocument(server, source);
+            const edits = server.handleMessage(request(1, 'textDocument/formatting', {
+                textDocument: {uri: uri}
+            }))[0].result;
+            expect(edits.length).to.equal(0);
+        });
+
+        it('should not format a document containing syntax errors', function() {
+            const server = bali.languageServer();
+            openDocument(server, '[1, 2');
+            const edits = server.handleMessage(request(1, 'textDocument/formatting', {
+                textDocument: {uri: uri}
+            }))[0].result;
+            expect(edits).to.equal(null);
+        });
+
+    });
+
+    describe('Test hovering', function() {
+
+        it('should show the type of the innermost component', function() {
+            const server = bali.languageServer();
+            openDocument(server, source);
+            var hover = server.handleMessage(request(1, 'textDocument/hover', {
+                textDocument: {uri: uri},
+                position: {line: 2, character: 12}
+            }))[0].result;
+            expect(hover.contents.value).to.equal('/bali/elements/Number');
+            expect(hover.range).to.eql({start: {line: 2, character: 12}, end: {line: 2, character: 13}});
+            hover = server.handleMessage(request(2, 'textDocument/hover', {
+                textDocument: {uri: uri},
+                position: {line: 1, character: 10}
+            }))[0].result;
+            expect(hover.contents.value).to.equal('/bali/collections/Catalog');
+            expect(hover.range).to.eql({start: {line: 1, character: 10}, end: {line: 3, character: 5}});
+        });
+
+    });
+
+    describe('Test the folding ranges', function() {
+
+        it('should fold the components that span multiple lines', function() {
+            const server = bali.languageServer();
+            openDocument(server, source);
+            const ranges = server.handleMessage(request(1, 'textDocument/foldingRange', {
+                textDocument: {uri: uri}
+            }))[0].result;
+            expect(ranges).to.eql([
+                {startLine: 0, endLine: 5},
+                {startLine: 1, endLine: 3}
+            ]);
+        });
+
+    });
+
+    describe('Test going to a definition', function() {
+
+        it('should find the symbol that defines a variable', function() {
+            const server = bali.languageServer();
+            openDocument(server, source);
+            const location = server.handleMessage(request(1, 'textDocument/definition', {
+                textDocument: {uri: uri},
+                position: {line: 4, character: 11}
+            }))[0].result;
+            expect(location.uri).to.equal(uri);
+            expect(location.range).to.eql({start: {line: 1, character: 4}, end: {line: 1, character: 6}});
+        });
+
+        it('should find nothing outside of a procedure', function() {
+            const server = bali.languageServer();
+            openDocument(server, '[$a: 1]\n');
+            const location = server.handleMessage(request(1, 'textDocument/definition', {
+                textDocument: {uri: uri},
+                position: {line: 0, character: 1}
+            }))[0].result;
+            expect(location).to.equal(null);
+        });
+
+    });
+
+    describe('Test the stdio transport', function() {
+
+        it('should read and write framed messages', async function() {
+            const server = bali.languageServer();
+            const input = new stream.PassThrough();
+            const output = new stream.PassThrough();
+            const listening = server.listen(input, output);
+            const message = frame(request(1, 'initialize', {capabilities: {}}));
+            input.write(message.slice(0, 10));  // the messages may arrive in pieces
+            input.write(message.slice(10) + frame(request(2, 'shutdown')));
+            input.write(frame(notification('exit')));
+            expect(await listening).to.equal(0);
+            const written = output.read().toString('utf8');
+            const contents = written.split(/Content-Length: \d+\r\n\r\n/).slice(1).map(JSON.parse);
+            expect(contents.length).to.equal(2);
+            expect(contents[0].id).to.equal(1);
+            expect(contents[0].result.capabilities.hoverProvider).to.equal(true);
+            expect(contents[1].id).to.equal(2);
+        });
+
+        it('should keep reading after a message that is not valid JSON', async function() {
+            const server = bali.languageServer();
+            const input = new stream.PassThrough();
+            const output = new stream.PassThrough();
+            const listening = server.listen(input, output);
+            input.write('Content-Length: 9\r\n\r\n{"id": 1,');
+            input.write('Content-Length: 4\r\n\r\nnull');
+            input.write(frame(request(2, 'initialize', {capabilities: {}})));
+            input.write(frame(request(3, 'shutdown')) + frame(notification('exit')));
+            expect(await listening).to.equal(0);
+            const written = output.read().toString('utf8');
+            const contents = written.split(/Content-Length: \d+\r\n\r\n/).slice(1).map(JSON.parse);
+            expect(contents.length).to.equal(4);
+            expect(contents[0].id).to.equal(null);
+            expect(contents[0].error.code).to.equal(-32700);
+            expect(contents[1].id).to.equal(null);
+            expect(contents[1].error.code).to.equal(-32600);
+            expect(contents[2].id).to.equal(2);
+            expect(contents[2].result.capabilities.hoverProvider).to.equal(true);
+            expect(contents[3].id).to.equal(3);
+        });
+
+    });
+
+});
@@ -0,0 +1,147 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('../').api(debug);
+
+
+describe('Bali Nebula™ Component Framework - Library', function() {
+
+    describe('Test the built-in functions', function() {
+
+        it('should list the names of the built-in functions', function() {
+            const names = bali.library().getNames();
+            expect(names).to.include('sine');
+            expect(names).to.include('logarithm');
+            expect(names).to.include('nextVersion');
+            expect(names).to.include('concatenation');
+        });
+
+        it('should invoke the angle functions', function() {
+            const library = bali.library();
+            expect(library.invokeFunction('sine', [bali.angle(0)]).toString()).to.equal('0');
+            expect(library.invokeFunction('arctangent', [bali.number(1), bali.number(0)]).toString()).to.equal('~1.570796326794897');
+        });
+
+        it('should invoke the number functions', function() {
+            const library = bali.library();
+            expect(library.invokeFunction('logarithm', [bali.number(2), bali.number(8)]).toString()).to.equal('3');
+            expect(library.invokeFunction('sum', [bali.number(2), bali.number(8)]).toString()).to.equal('10');
+            expect(library.invokeFunction('scaled', [bali.number(2), bali.number(8)]).toString()).to.equal('16');
+        });
+
+        it('should invoke the logical functions', function() {
+            const library = bali.library();
+            expect(library.invokeFunction('and', [bali.probability.TRUE, bali.probability.FALSE]).toString()).to.equal('false');
+            expect(library.invokeFunction('xor', [bali.probability.TRUE, bali.probability.FALSE]).toString()).to.equal('true');
+            const random = library.invokeFunction('random');
+            expect(random.getType()).to.equal('/bali/elements/Probability');
+        });
+
+        it('should invoke the moment functions', function() {
+            const library = bali.library();
+            const moment = bali.component('<2020-01-01>');
+            const duration = bali.component('~P1D');
+            expect(library.invokeFunction('later', [moment, duration]).toString()).to.equal('<2020-01-02T00:00:00.000>');
+            expect(library.invokeFunction('earlier', [moment, duration]).toString()).to.equal('<2019-12-31T00:00:00.000>');
+        });
+
+        it('should invoke the version functions', function() {
+            const library = bali.library();
+            const version = bali.component('v1.2');
+            expect(library.invokeFunction('nextVersion', [version]).toString()).to.equal('v1.3');
+            expect(library.invokeFunction('nextVersion', [version, bali.number(1)]).toString()).to.equal('v2');
+            expect(library.invokeFunction('validNextVersion', [version, bali.component('v1.2.1')]).toString()).to.equal('true');
+        });
+
+        it('should invoke the concatenation function', function() {
+            const library = bali.library();
+            expect(library.invokeFunction('concatenation', [bali.text('abc'), bali.text('def')]).toString()).to.equal('"abcdef"');
+        });
+
+    });
+
+    describe('Test host functions', function() {
+
+        it('should register and invoke a new function', function() {
+            const library = bali.library();
+            library.registerFunction('greeting', {$name: ['/bali/elements/Text']}, function(name, debug) {
+                return 'Hello ' + name.getValue() + '!';
+            });
+            expect(library.getNames()).to.include('greeting');
+            expect(library.invokeFunction('greeting', [bali.text('World')]).toString()).to.equal('"Hello World!"');
+        });
+
+        it('should not register a function that already exists', function() {
+            const library = bali.library();
+            expect(
+                function() {
+                    library.registerFunction('sine', {$angle: ['/bali/elements/Angle']}, Math.sin);
+                }
+            ).to.throw().with.property('message', 'A function with the specified name already exists in the library.');
+        });
+
+        it('should not share registered functions between libraries', function() {
+            const library = bali.library();
+            library.registerFunction('double', {$number: ['/bali/elements/Number']}, function(number, debug) {
+                return number.toNumber() * 2;
+            });
+            expect(bali.library().getNames()).to.not.include('double');
+        });
+
+    });
+
+    describe('Test function validation', function() {
+
+        it('should not invoke an unknown function', function() {
+            expect(
+                function() {
+                    bali.library().invokeFunction('unknown', []);
+                }
+            ).to.throw().with.property('message', 'The library does not contain a function with the specified name.');
+        });
+
+        it('should not invoke a function with too many arguments', function() {
+            expect(
+                function() {
+                    bali.library().invokeFunction('sine', [bali.angle(0), bali.angle(1)]);
+                }
+            ).to.throw().with.property('message', 'Too many arguments were passed to the function.');
+        });
+
+        it('should not invoke a function with the wrong argument types', function() {
+            expect(
+                function() {
+                    bali.library().invokeFunction('sine', [bali.text('zero')]);
+                }
+            ).to.throw().with.property('message', 'An invalid argument type was passed to the procedure.');
+        });
+
+        it('should not invoke a function with a missing argument', function() {
+            expect(
+                function() {
+                    bali.library().invokeFunction('logarithm', [bali.number(2)]);
+                }
+            ).to.throw().with.property('message', 'An invalid argument type was passed to the procedure.');
+        });
+
+        it('should not invoke an operation with a mismatched second operand', function() {
+            expect(
+                function() {
+                    bali.library().invokeFunction('sum', [bali.number(1), bali.text('a')]);
+                }
+            ).to.throw().with.property('message', 'The operation is not supported for the type of operand.');
+        });
+
+    });
+
+});
@@ -0,0 +1,178 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const pfs = require('fs').promises;
+const bali = require('../').api(debug);
+const directory = 'test/messages/';
+const bag = bali.component('/acme/bags/orders');
+const lease = bali.component('~PT1M');
+
+
+describe('Bali Nebula™ Component Framework - Messenger', function() {
+
+    after(async function() {
+        await pfs.rm(directory, {recursive: true, force: true});
+    });
+
+    describe('Test message leasing', function() {
+
+        it('should post and retrieve a message', async function() {
+            const messenger = bali.messenger();
+            const tag = await messenger.postMessage(bag, bali.catalog({$order: 1}));
+            expect(await messenger.getSize(bag)).to.equal(1);
+            const message = await messenger.retrieveMessage(bag, lease);
+            expect(message.getAttribute('$order').toString()).to.equal('1');
+            expect(message.getAttribute('$bag').isEqualTo(bag)).to.equal(true);
+            expect(message.getAttribute('$tag').isEqualTo(tag)).to.equal(true);
+            expect(await messenger.retrieveMessage(bag, lease)).to.not.exist;
+        });
+
+        it('should remove an accepted message', async function() {
+            const messenger = bali.messenger();
+            await messenger.postMessage(bag, bali.catalog({$order: 1}));
+            const message = await messenger.retrieveMessage(bag, lease);
+            await messenger.acceptMessage(message);
+            expect(await messenger.getSize(bag)).to.equal(0);
+            try {
+                await messenger.acceptMessage(message);
+                expect.fail('The message should no longer be leased.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$leaseExpired');
+            }
+        });
+
+        it('should return a rejected message to its bag', async function() {
+            const messenger = bali.messenger();
+            await messenger.postMessage(bag, bali.catalog({$order: 1}));
+            const message = await messenger.retrieveMessage(bag, lease);
+            await messenger.rejectMessage(message);
+            expect(await messenger.getSize(bag)).to.equal(1);
+            const copy = await messenger.retrieveMessage(bag, lease);
+            expect(copy.getAttribute('$tag').isEqualTo(message.getAttribute('$tag'))).to.equal(true);
+            expect(copy.getAttribute('$lease').isEqualTo(message.getAttribute('$lease'))).to.equal(false);
+        });
+
+        it('should return a message when its lease expires', async function() {
+            const messenger = bali.messenger();
+            await messenger.postMessage(bag, bali.catalog({$order: 1}));
+            const message = await messenger.retrieveMessage(bag, bali.component('~PT0.01S'));
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+            try {
+                await messenger.rejectMessage(message);
+                expect.fail('The lease on the message should have expired.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$leaseExpired');
+            }
+            const copy = await messenger.retrieveMessage(bag, lease);
+            expect(copy.getAttribute('$tag').isEqualTo(message.getAttribute('$tag'))).to.equal(true);
+            expect(copy.getAttribute('$lease').isEqualTo(message.getAttribute('$lease'))).to.equal(false);
+        });
+
+        it('should not let an expired lease holder accept or reject a re-leased message', async function() {
+            const messenger = bali.messenger();
+            await messenger.postMessage(bag, bali.catalog({$order: 1}));
+            const expired = await messenger.retrieveMessage(bag, bali.component('~PT0.01S'));
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+            const message = await messenger.retrieveMessage(bag, lease);
+            try {
+                await messenger.acceptMessage(expired);
+                expect.fail('The message should be leased to another worker.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$leaseExpired');
+            }
+            try {
+                await messenger.rejectMessage(expired);
+                expect.fail('The message should be leased to another worker.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$leaseExpired');
+            }
+            await messenger.acceptMessage(message);
+            expect(await messenger.getSize(bag)).to.equal(0);
+        });
+
+        it('should keep the bags separate', async function() {
+            const messenger = bali.messenger();
+            await messenger.postMessage(bag, bali.catalog({$order: 1}));
+            const other = bali.component('/acme/bags/invoices');
+            expect(await messenger.retrieveMessage(other, lease)).to.not.exist;
+            expect(await messenger.getSize(other)).to.equal(0);
+        });
+
+    });
+
+    describe('Test invalid messages', function() {
+
+        it('should not accept or reject a message without a bag', async function() {
+            const messenger = bali.messenger();
+            const message = bali.catalog({$order: 1});
+            for (const method of ['acceptMessage', 'rejectMessage']) {
+                try {
+                    await messenger[method](message);
+                    expect.fail('The message should be invalid.');
+                } catch (exception) {
+                    expect(exception.getAttribute('$exception').toString()).to.equal('$invalidMessage');
+                }
+            }
+        });
+
+        it('should not store messages outside of the directory', async function() {
+            const messenger = bali.messenger(directory);
+            try {
+                await messenger.postMessage(bali.name(['acme', '..', '..', 'bags']), bali.catalog({$order: 1}));
+                expect.fail('The name of the bag should be invalid.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidBag');
+            }
+        });
+
+    });
+
+    describe('Test message persistence', function() {
+
+        beforeEach(async function() {
+            await pfs.rm(directory, {recursive: true, force: true});
+        });
+
+        it('should load stored messages', async function() {
+            const messenger = bali.messenger(directory);
+            await messenger.postMessage(bag, bali.catalog({$order: 1}));
+            await messenger.postMessage(bag, bali.catalog({$order: 2}));
+            await messenger.acceptMessage(await messenger.retrieveMessage(bag, lease));
+            const restarted = bali.messenger(directory);
+            expect(await restarted.getSize(bag)).to.equal(1);
+            const message = await restarted.retrieveMessage(bag, lease);
+            expect(message.getAttribute('$order').toString()).to.equal('2');
+            expect(message.getAttribute('$bag').isEqualTo(bag)).to.equal(true);
+            await restarted.acceptMessage(message);
+            expect(await bali.messenger(directory).getSize(bag)).to.equal(0);
+        });
+
+        it('should load stored messages in the order they were posted', async function() {
+            const messenger = bali.messenger(directory);
+            for (var order = 1; order <= 20; order++) {
+                await messenger.postMessage(bag, bali.catalog({$order: order}));
+            }
+            const restarted = bali.messenger(directory);
+            for (order = 1; order <= 20; order++) {
+                const message = await restarted.retrieveMessage(bag, lease);
+                expect(message.getAttribute('$order').toString()).to.equal(String(order));
+            }
+        });
+
+    });
+
+});
@@ -0,0 +1,161 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const pfs = require('fs').promises;
+const bali = require('../').api(debug);
+const directory = 'test/notary/';
+
+
+describe('Bali Nebula™ Component Framework - Notary', function() {
+    const notary = bali.notary(directory);
+    const order = bali.instance('/acme/Order/v1', {$id: 1, $items: [1, 2, 3]});
+    var certificate, document;
+
+    after(async function() {
+        await pfs.rm(directory, {recursive: true, force: true});
+    });
+
+    describe('Test key generation', function() {
+
+        it('should not notarize a document without a key', async function() {
+            try {
+                await bali.notary().notarizeDocument(order);
+                expect.fail('A document should not be notarized without a key.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingKey');
+            }
+        });
+
+        it('should generate a self-signed certificate', async function() {
+            certificate = await notary.generateKey();
+            expect(certificate.getParameter('$type').toString()).to.equal('/bali/notary/Document/v1');
+            const content = certificate.getAttribute('$content');
+            expect(content.getParameter('$type').toString()).to.equal('/bali/notary/Certificate/v1');
+            expect(content.getAttribute('$publicKey').getValue().length).to.equal(32);
+            expect(certificate.getAttribute('$certificate').toString()).to.equal('none');
+            expect(certificate.getAttribute('$signature').getValue().length).to.equal(64);
+            expect(await notary.validDocument(certificate, certificate)).to.equal(true);
+        });
+
+        it('should cite the certificate', async function() {
+            const citation = await notary.getCitation();
+            expect(citation.getParameter('$type').toString()).to.equal('/bali/notary/Citation/v1');
+            const content = certificate.getAttribute('$content');
+            expect(citation.getAttribute('$tag').isEqualTo(content.getParameter('$tag'))).to.equal(true);
+            expect(citation.getAttribute('$version').toString()).to.equal('v1');
+            expect(citation.getAttribute('$digest').isEqualTo(certificate.getDigest())).to.equal(true);
+        });
+
+        it('should load the stored key in a new notary', async function() {
+            const restarted = bali.notary(directory);
+            const citation = await restarted.getCitation();
+            expect(citation.isEqualTo(await notary.getCitation())).to.equal(true);
+            const notarized = await restarted.notarizeDocument(order);
+            expect(await restarted.validDocument(notarized, certificate)).to.equal(true);
+        });
+
+    });
+
+    describe('Test notarized documents', function() {
+
+        it('should notarize a document', async function() {
+            document = await notary.notarizeDocument(order);
+            expect(document.getAttribute('$protocol').toString()).to.equal('v2');
+            expect(document.getAttribute('$timestamp').getType()).to.equal('/bali/elements/Moment');
+            expect(document.getAttribute('$content').isEqualTo(order)).to.equal(true);
+            expect(document.getAttribute('$certificate').isEqualTo(await notary.getCitation())).to.equal(true);
+            expect(await notary.validDocument(document, certificate)).to.equal(true);
+        });
+
+        it('should validate a notarized document that has been parsed', async function() {
+            const parsed = bali.component(document.toString());
+            expect(await notary.validDocument(parsed, certificate)).to.equal(true);
+        });
+
+        it('should detect a document that has been tampered with', async function() {
+            const tampered = bali.component(document.toString());
+            tampered.getAttribute('$content').setAttribute('$id', 2);
+            expect(await notary.validDocument(tampered, certificate)).to.equal(false);
+        });
+
+        it('should detect a document that was signed using a different key', async function() {
+            const other = bali.notary();
+            const otherCertificate = await other.generateKey();
+            const forged = await other.notarizeDocument(order);
+            expect(await notary.validDocument(forged, certificate)).to.equal(false);
+            expect(await notary.validDocument(document, otherCertificate)).to.equal(false);
+        });
+
+        it('should not validate a malformed document or certificate', async function() {
+            const unsigned = bali.component(document.toString());
+            unsigned.removeAttribute('$signature');
+            expect(await notary.validDocument(unsigned, certificate)).to.equal(false);
+            expect(await notary.validDocument(bali.component('[$protocol: v2]'), certificate)).to.equal(false);
+            const uncertified = bali.component(certificate.toString());
+            uncertified.removeAttribute('$content');
+            expect(await notary.validDocument(certificate, uncertified)).to.equal(false);  // self-signed
+            const keyless = bali.component(certificate.toString());
+            keyless.getAttribute('$content').removeAttribute('$publicKey');
+            expect(await notary.validDocument(certificate, keyless)).to.equal(false);  // self-signed
+            const garbled = bali.component(certificate.toString());
+            garbled.getAttribute('$content').setAttribute('$publicKey', bali.component("'AAAA'"));
+            expect(await notary.validDocument(certificate, garbled)).to.equal(false);  // self-signed
+            const contentless = bali.component(document.toString());
+            contentless.removeAttribute('$content');
+            expect(await notary.validDocument(contentless, certificate, certificate)).to.equal(false);
+        });
+
+    });
+
+    describe('Test the citation chain', function() {
+
+        it('should validate the previous version of a document', async function() {
+            const next = order.duplicate();
+            next.setParameter('$version', bali.component('v2'));
+            next.setParameter('$previous', await notary.citeDocument(document));
+            const notarized = await notary.notarizeDocument(next);
+            expect(await notary.validDocument(notarized, certificate, document)).to.equal(true);
+            expect(await notary.validDocument(notarized, certificate, certificate)).to.equal(false);
+        });
+
+        it('should detect a previous version that has been tampered with', async function() {
+            const next = order.duplicate();
+            next.setParameter('$version', bali.component('v2'));
+            next.setParameter('$previous', await notary.citeDocument(document));
+            const notarized = await notary.notarizeDocument(next);
+            const tampered = bali.component(document.toString());
+            tampered.getAttribute('$content').setAttribute('$id', 2);
+            expect(await notary.validDocument(notarized, certificate, tampered)).to.equal(false);
+        });
+
+        it('should not validate a first version against a previous version', async function() {
+            expect(await notary.validDocument(document, certificate, document)).to.equal(false);
+        });
+
+    });
+
+    describe('Test forgetting the key', function() {
+
+        it('should delete the stored key', async function() {
+            await notary.forgetKey();
+            try {
+                await bali.notary(directory).getCitation();
+                expect.fail('The key should have been deleted.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingKey');
+            }
+        });
+
+    });
+
+});
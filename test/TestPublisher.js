@@ -0,0 +1,165 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('../').api(debug);
+const shipped = bali.component('[$type: /acme/events/Shipped/v1, $order: 1, $priority: $high]');
+const cancelled = bali.component('[$type: /acme/events/Cancelled/v1, $order: 2]');
+
+
+describe('Bali Nebula™ Component Framework - Publisher', function() {
+
+    describe('Test synchronous events', function() {
+
+        it('should notify the matching subscribers', function() {
+            const publisher = bali.publisher();
+            const events = [];
+            publisher.subscribe(bali.component('[$type: /acme/events/Shipped/v1]'), function(event) {
+                events.push(event);
+            });
+            expect(publisher.publishEvent(shipped)).to.equal(1);
+            expect(publisher.publishEvent(cancelled)).to.equal(0);
+            expect(events.length).to.equal(1);
+            expect(events[0].isEqualTo(shipped)).to.equal(true);
+        });
+
+        it('should match on any of the event attributes', function() {
+            const publisher = bali.publisher();
+            var count = 0;
+            publisher.subscribe(bali.component('[$priority: $high]'), function(event) {
+                count++;
+            });
+            publisher.subscribe(bali.component('[$type: any, $order: 2]'), function(event) {
+                count++;
+            });
+            publisher.publishEvent(shipped);
+            publisher.publishEvent(cancelled);
+            expect(count).to.equal(2);
+        });
+
+        it('should no longer notify an unsubscribed subscriber', function() {
+            const publisher = bali.publisher();
+            var count = 0;
+            const tag = publisher.subscribe(bali.component('[$order: 1]'), function(event) {
+                count++;
+            });
+            publisher.publishEvent(shipped);
+            expect(publisher.unsubscribe(tag)).to.equal(true);
+            expect(publisher.unsubscribe(tag)).to.equal(false);
+            publisher.publishEvent(shipped);
+            expect(count).to.equal(1);
+        });
+
+        it('should keep notifying subscribers after a subscriber throws or rejects', async function() {
+            const publisher = bali.publisher();
+            const unhandled = [];
+            const listener = function(reason) {
+                unhandled.push(reason);
+            };
+            process.on('unhandledRejection', listener);
+            try {
+                const events = [];
+                publisher.subscribe(bali.component('[$order: 1]'), async function(event) {
+                    throw Error('The async subscriber failed.');
+                });
+                publisher.subscribe(bali.component('[$order: 1]'), function(event) {
+                    throw Error('The subscriber failed.');
+                });
+                publisher.subscribe(bali.component('[$order: 1]'), function(event) {
+                    events.push(event);
+                });
+                expect(publisher.publishEvent(shipped)).to.equal(3);
+                expect(events.length).to.equal(1);
+                await new Promise(function(resolve) {
+                    setTimeout(resolve, 10);  // give any unhandled rejection a chance to be reported
+                });
+                expect(unhandled.length).to.equal(0);
+            } finally {
+                process.removeListener('unhandledRejection', listener);
+            }
+        });
+
+        it('should not publish an event without a type', function() {
+            expect(
+                function() {
+                    bali.publisher().publishEvent(bali.component('[$order: 3]'));
+                }
+            ).to.throw().with.property('message', 'An event must be a catalog containing a type attribute.');
+        });
+
+    });
+
+    describe('Test asynchronous events', function() {
+
+        it('should notify the subscribers of posted events', async function() {
+            const publisher = bali.publisher();
+            const events = [];
+            publisher.subscribe(bali.component('[$type: any]'), async function(event) {
+                events.push(event);
+            });
+            publisher.postEvent(shipped);
+            publisher.postEvent(cancelled);
+            expect(publisher.getSize()).to.equal(2);
+            expect(events.length).to.equal(0);
+            await publisher.drainQueue();
+            expect(publisher.getSize()).to.equal(0);
+            expect(events.length).to.equal(2);
+            expect(events[1].isEqualTo(cancelled)).to.equal(true);
+        });
+
+        it('should keep notifying subscribers after a subscriber fails', async function() {
+            const publisher = bali.publisher();
+            const events = [];
+            publisher.subscribe(bali.component('[$type: any]'), function(event) {
+                throw Error('The subscriber failed.');
+            });
+            publisher.subscribe(bali.component('[$type: any]'), function(event) {
+                events.push(event);
+            });
+            publisher.postEvent(shipped);
+            publisher.postEvent(cancelled);
+            await publisher.drainQueue();
+            expect(publisher.getSize()).to.equal(0);
+            expect(events.length).to.equal(2);
+        });
+
+        it('should publish events from a procedure', async function() {
+            const publisher = bali.publisher();
+            const events = [];
+            publisher.subscribe(bali.component('[$type: /acme/events/Shipped/v1]'), function(event) {
+                events.push(event);
+            });
+            const procedure = bali.component('{publish event}');
+            await bali.interpreter({publisher: publisher}).executeProcedure(procedure, {$event: shipped});
+            await publisher.drainQueue();
+            expect(events.length).to.equal(1);
+        });
+
+        it('should report a failure to publish an event from a procedure', async function() {
+            const publisher = {
+                postEvent: async function(event) {
+                    throw Error('The event could not be published.');
+                }
+            };
+            const procedure = bali.component('{publish event}');
+            try {
+                await bali.interpreter({publisher: publisher}).executeProcedure(procedure, {$event: shipped});
+                expect.fail('The event should not have been published.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unexpected');
+                expect(exception.cause.message).to.equal('The event could not be published.');
+            }
+        });
+
+    });
+
+});
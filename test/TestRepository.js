@@ -0,0 +1,183 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const pfs = require('fs').promises;
+const bali = require('../').api(debug);
+const directory = 'test/repository/';
+const repository = bali.repository(directory);
+const name = bali.component('/acme/reports/annual');
+const v1 = bali.version();
+const v2 = bali.component('v2');
+const v3 = bali.component('v3');
+const v2_1 = bali.component('v2.1');
+
+
+describe('Bali Nebula™ Component Framework - Repository', function() {
+
+    after(async function() {
+        await pfs.rm(directory, {recursive: true, force: true});
+    });
+
+    describe('Test draft documents', function() {
+
+        it('should save a draft document', async function() {
+            const draft = bali.component('[$year: 2020, $revenue: 1000]');
+            const citation = await repository.saveDraft(name, v1, draft);
+            expect(citation.getAttribute('$name').isEqualTo(name)).to.equal(true);
+            expect(citation.getAttribute('$version').isEqualTo(v1)).to.equal(true);
+            expect(citation.getAttribute('$digest').getSize()).to.equal(64);
+            expect(citation.getParameter('$type').toString()).to.equal('/bali/notary/Citation/v1');
+        });
+
+        it('should read a draft document', async function() {
+            const draft = await repository.readDraft(name, v1);
+            expect(draft.isEqualTo(bali.component('[$year: 2020, $revenue: 1000]'))).to.equal(true);
+            expect(await repository.documentExists(name, v1)).to.equal(false);
+            expect(await repository.readDocument(name, v1)).to.not.exist;
+        });
+
+        it('should discard a draft document', async function() {
+            expect(await repository.discardDraft(name, v1)).to.equal(true);
+            expect(await repository.discardDraft(name, v1)).to.equal(false);
+            expect(await repository.readDraft(name, v1)).to.not.exist;
+        });
+
+    });
+
+    describe('Test committed documents', function() {
+
+        it('should commit a document', async function() {
+            const document = bali.component('[$year: 2020, $revenue: 1000]');
+            await repository.saveDraft(name, v1, document);
+            const citation = await repository.commitDocument(name, v1, document);
+            expect(citation.getAttribute('$version').isEqualTo(v1)).to.equal(true);
+            expect(await repository.documentExists(name, v1)).to.equal(true);
+            expect(await repository.readDraft(name, v1)).to.not.exist;
+            const copy = await repository.readDocument(name, v1);
+            expect(copy.isEqualTo(document)).to.equal(true);
+        });
+
+        it('should not change a committed document', async function() {
+            const document = bali.component('[$year: 2020, $revenue: 2000]');
+            try {
+                await repository.saveDraft(name, v1, document);
+                expect.fail('A draft of a committed version should not be saved.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$versionExists');
+            }
+            try {
+                await repository.commitDocument(name, v1, document);
+                expect.fail('A committed version should not be committed again.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$versionExists');
+            }
+        });
+
+        it('should check out the next version of a document', async function() {
+            const result = await repository.checkoutDocument(name, v1);
+            expect(result.version.isEqualTo(v2)).to.equal(true);
+            result.draft.setAttribute('$revenue', 2000);
+            await repository.commitDocument(name, result.version, result.draft);
+            const copy = await repository.readDocument(name, v2);
+            expect(copy.getAttribute('$revenue').toString()).to.equal('2000');
+        });
+
+        it('should check out a new version level of a document', async function() {
+            const result = await repository.checkoutDocument(name, v2, 2);
+            expect(result.version.isEqualTo(v2_1)).to.equal(true);
+            await repository.commitDocument(name, result.version, result.draft);
+            expect(await repository.documentExists(name, v2_1)).to.equal(true);
+        });
+
+        it('should not check out a version that has already been committed', async function() {
+            try {
+                await repository.checkoutDocument(name, v1);
+                expect.fail('The next version has already been committed.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$versionExists');
+            }
+            try {
+                await repository.checkoutDocument(name, v3);
+                expect.fail('The version has not been committed.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unknownDocument');
+            }
+        });
+
+        it('should not commit an invalid next version of a document', async function() {
+            const document = bali.component('[$year: 2020, $revenue: 3000]');
+            try {
+                await repository.commitDocument(name, bali.component('v5'), document);
+                expect.fail('The version should not be a valid next version.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidVersion');
+            }
+            await repository.commitDocument(name, v3, document);
+            expect(await repository.documentExists(name, v3)).to.equal(true);
+        });
+
+        it('should commit a version of a document only once', async function() {
+            const other = bali.component('/acme/reports/quarterly');
+            const document = bali.component('[$quarter: 1, $revenue: 250]');
+            const results = await Promise.allSettled([
+                repository.commitDocument(other, v1, document),
+                repository.commitDocument(other, v1, document)
+            ]);
+            const rejected = results.filter(function(result) { return result.status === 'rejected'; });
+            expect(rejected.length).to.equal(1);
+            expect(rejected[0].reason.getAttribute('$exception').toString()).to.equal('$versionExists');
+        });
+
+    });
+
+    describe('Test document files', function() {
+
+        it('should ignore files that are not versions of a document', async function() {
+            await pfs.writeFile(directory + 'documents/acme/reports/annual/notes.bali', 'some notes\n', 'utf8');
+            const document = bali.component('[$year: 2020, $revenue: 4000]');
+            await repository.commitDocument(name, bali.component('v4'), document);
+            expect(await repository.documentExists(name, bali.component('v4'))).to.equal(true);
+        });
+
+        it('should read a document without a trailing end of line', async function() {
+            const other = bali.component('/acme/reports/monthly');
+            await pfs.mkdir(directory + 'documents/acme/reports/monthly/', {recursive: true});
+            await pfs.writeFile(directory + 'documents/acme/reports/monthly/v1.bali', '[$month: 1]', 'utf8');
+            const document = await repository.readDocument(other, v1);
+            expect(document.isEqualTo(bali.component('[$month: 1]'))).to.equal(true);
+        });
+
+    });
+
+    describe('Test document names', function() {
+
+        it('should not access a document outside of the repository', async function() {
+            const names = [
+                bali.name(['acme', '..', '..', 'secrets']),
+                bali.name(['acme', '.', 'report']),
+                bali.name(['acme', '', 'report']),
+                bali.name(['acme', '../../secrets'])
+            ];
+            for (const name of names) {
+                try {
+                    await repository.saveDraft(name, v1, bali.component('[$year: 2020]'));
+                    expect.fail('The name should be invalid: ' + name.getValue().join('/'));
+                } catch (exception) {
+                    expect(exception.getAttribute('$exception').toString()).to.equal('$invalidName');
+                }
+            }
+        });
+
+    });
+
+});
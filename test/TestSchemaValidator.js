@@ -0,0 +1,236 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('../').api(debug);
+
+const schema = bali.component(`[
+    $type: /bali/collections/Catalog
+    $attributes: [
+        $name: [
+            $type: /bali/elements/Text
+            $pattern: "^[A-Z][a-z]+$"?
+        ]
+        $age: [
+            $type: /bali/elements/Number
+            $range: 0..150
+        ]
+        $born: [
+            $type: /bali/elements/Moment
+            $optional: true
+        ]
+        $status: [
+            $type: /bali/elements/Symbol
+            $values: [$active, $retired]
+        ]
+        $address: [
+            $type: /bali/collections/Catalog
+            $attributes: [
+                $street: /bali/elements/Text
+                $city: /bali/elements/Text
+            ]
+        ]
+        $scores: [
+            $type: /bali/collections/List
+            $items: [
+                $type: /bali/elements/Number
+                $range: 0..100
+            ]
+        ]
+    ]
+]`);
+
+const violations = function(document) {
+    return bali.schemaValidator().validateDocument(bali.component(document), schema).toArray().map(function(violation) {
+        return violation.getAttribute('$path').getValue() + ' ' + violation.getAttribute('$violation');
+    });
+};
+
+
+describe('Bali Nebula™ Component Framework - SchemaValidator', function() {
+
+    describe('Test valid documents', function() {
+
+        it('should find no violations in a valid document', function() {
+            expect(violations(`[
+                $name: "Alice"
+                $age: 42
+                $born: <1982-03-04>
+                $status: $active
+                $address: [
+                    $street: "1 Main Street"
+                    $city: "Springfield"
+                ]
+                $scores: [95, 87, 100]
+            ]`)).to.eql([]);
+        });
+
+        it('should allow an optional attribute to be missing', function() {
+            expect(violations(`[
+                $name: "Bob"
+                $age: 0
+                $status: $retired
+                $address: [$street: "2 Elm Street", $city: "Shelbyville"]
+                $scores: [ ]
+            ]`)).to.eql([]);
+        });
+
+    });
+
+    describe('Test invalid documents', function() {
+
+        it('should report every violation with its attribute path', function() {
+            expect(violations(`[
+                $name: "alice"
+                $age: 200
+                $born: "yesterday"
+                $status: $unknown
+                $address: [
+                    $street: 1
+                    $zip: "12345"
+                ]
+                $scores: [95, 101, "A"]
+                $extra: true
+            ]`)).to.eql([
+                '/$name $patternMismatch',
+                '/$age $outOfRange',
+                '/$born $invalidType',
+                '/$status $invalidValue',
+                '/$address/$street $invalidType',
+                '/$address/$city $missingAttribute',
+                '/$address/$zip $unexpectedAttribute',
+                '/$scores/2 $outOfRange',
+                '/$scores/3 $invalidType',
+                '/$extra $unexpectedAttribute'
+            ]);
+        });
+
+        it('should report the missing attributes', function() {
+            expect(violations('[$name: "Carol"]')).to.eql([
+                '/$age $missingAttribute',
+                '/$status $missingAttribute',
+                '/$address $missingAttribute',
+                '/$scores $missingAttribute'
+            ]);
+        });
+
+        it('should report a document of the wrong type', function() {
+            const list = bali.schemaValidator().validateDocument(bali.component('[1, 2, 3]'), schema);
+            expect(list.getSize()).to.equal(1);
+            const violation = list.getItem(1);
+            expect(violation.getAttribute('$path').getValue()).to.equal('/');
+            expect(violation.getAttribute('$violation').toString()).to.equal('$invalidType');
+            expect(violation.getAttribute('$text').getValue()).to.equal(
+                'Expected a component of type /bali/collections/Catalog but found /bali/collections/List.'
+            );
+        });
+
+    });
+
+    describe('Test schema inference', function() {
+
+        const samples = [
+            '[$name: "Alice", $age: 42, $tags: [$a, $b], $address: [$city: "Springfield", $zip: 12345]]',
+            '[$name: "Bob", $age: 7.5, $tags: [ ], $address: [$city: "Shelbyville"], $notes: [1, "two"]]',
+            '[$name: "Carol", $age: 99, $born: <2000-01-01>, $tags: [$c], $address: [$city: "Ogdenville", $zip: 99999]]'
+        ].map(function(sample) {
+            return bali.component(sample);
+        });
+
+        it('should infer a schema from sample documents', function() {
+            const inferred = bali.schemaValidator().inferSchema(samples);
+            expect(inferred.isEqualTo(bali.component(`[
+                $type: /bali/collections/Catalog
+                $attributes: [
+                    $name: /bali/elements/Text
+                    $age: [
+                        $type: /bali/elements/Number
+                        $range: 7.5..99
+                    ]
+                    $tags: [
+                        $type: /bali/collections/List
+                        $items: /bali/elements/Symbol
+                        $homogeneous: true
+                    ]
+                    $address: [
+                        $type: /bali/collections/Catalog
+                        $attributes: [
+                            $city: /bali/elements/Text
+                            $zip: [
+                                $type: /bali/elements/Number
+                                $range: 12345..99999
+                                $optional: true
+                            ]
+                        ]
+                    ]
+                    $notes: [
+                        $type: /bali/collections/List
+                        $items: [
+                            $type: [/bali/elements/Number, /bali/elements/Text]
+                        ]
+                        $homogeneous: false
+                        $optional: true
+                    ]
+                    $born: [
+                        $type: /bali/elements/Moment
+                        $optional: true
+                    ]
+                ]
+            ]`))).to.equal(true);
+        });
+
+        it('should infer a schema that validates each of the samples', function() {
+            const validator = bali.schemaValidator();
+            const inferred = validator.inferSchema(bali.list(samples));
+            samples.forEach(function(sample) {
+                expect(validator.validateDocument(sample, inferred).isEmpty()).to.equal(true);
+            });
+            const document = bali.component('[$name: "Dan", $age: 100, $tags: [$d, 4], $address: [$city: "Capital City"]]');
+            expect(validator.validateDocument(document, inferred).toArray().map(function(violation) {
+                return violation.getAttribute('$path').getValue() + ' ' + violation.getAttribute('$violation');
+            })).to.eql([
+                '/$age $outOfRange',
+                '/$tags/2 $invalidType',
+                '/$tags $heterogeneousItems'
+            ]);
+        });
+
+        it('should not infer a schema without any samples', function() {
+            expect(function() {
+                bali.schemaValidator().inferSchema([]);
+            }).to.throw();
+        });
+
+    });
+
+    describe('Test invalid schemas', function() {
+
+        it('should not validate a document against an invalid schema', function() {
+            const schemas = [
+                '[$type: "/bali/elements/Text"]',
+                '[$attributes: [$name: [$size: 5]]]',
+                '[$attributes: [$age: [$range: 5]]]',
+                '[$items: 5]'
+            ];
+            schemas.forEach(function(schema) {
+                try {
+                    bali.schemaValidator().validateDocument(bali.component('[:]'), bali.component(schema));
+                    expect.fail('The schema should be invalid: ' + schema);
+                } catch (exception) {
+                    expect(exception.getAttribute('$exception').toString()).to.equal('$invalidParameter');
+                }
+            });
+        });
+
+    });
+
+});
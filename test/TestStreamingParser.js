@@ -0,0 +1,170 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const fs = require('fs');
+const stream = require('stream');
+const bali = require('../').api(debug);
+
+const chunks = function(source, size) {
+    const buffer = Buffer.from(source, 'utf8');
+    const chunks = [];
+    for (var index = 0; index < buffer.length; index += size) {
+        chunks.push(buffer.slice(index, index + size));
+    }
+    return stream.Readable.from(chunks);
+};
+
+const recorder = function(select) {
+    const events = [];
+    const record = function(event) {
+        return function(path, value) {
+            var entry = event + ' /' + path.join('/');
+            if (value) entry += ' ' + value.toString();
+            events.push(entry);
+        };
+    };
+    return {
+        events: events,
+        beginCatalog: record('beginCatalog'),
+        endCatalog: record('endCatalog'),
+        beginList: record('beginList'),
+        endList: record('endList'),
+        key: record('key'),
+        element: record('element'),
+        procedure: record('procedure'),
+        component: record('component'),
+        select: select
+    };
+};
+
+
+describe('Bali Nebula™ Component Framework - StreamingParser', function() {
+
+    describe('Test the parsing events', function() {
+
+        it('should notify the handler of each event', async function() {
+            const handler = recorder();
+            const parser = bali.streamingParser(handler);
+            await parser.parseStream(stream.Readable.from([
+                '[\n    $name: "Bob"  /* a comment */\n    $tags: [1, ~π, (3, 4i)]($type: /bali/collections/Set/v1)\n',
+                '    $none: [:]\n    $empty: [ ]\n    $code: {\n        return 5\n    }\n]\n'
+            ]));
+            expect(handler.events).to.eql([
+                'beginCatalog /',
+                'key / $name',
+                'element /$name "Bob"',
+                'key / $tags',
+                'beginList /$tags',
+                'element /$tags/1 1',
+                'element /$tags/2 ~π',
+                'element /$tags/3 (3, 4i)',
+                'endList /$tags [\n    $type: /bali/collections/Set/v1\n]',
+                'key / $none',
+                'beginCatalog /$none',
+                'endCatalog /$none',
+                'key / $empty',
+                'beginList /$empty',
+                'endList /$empty',
+                'key / $code',
+                'procedure /$code {\n    return 5\n}',
+                'endCatalog /'
+            ]);
+        });
+
+        it('should parse a document that is split anywhere', async function() {
+            const source = '[\n    $text: "\n        π is ∞\n    "\n    "key": \'AB3C\'($encoding: $base32)\n]($type: /acme/Type/v1)\n';
+            const expected = recorder();
+            await bali.streamingParser(expected).parseStream(stream.Readable.from([source]));
+            for (var size = 1; size < 8; size++) {
+                const handler = recorder();
+                await bali.streamingParser(handler).parseStream(chunks(source, size));
+                expect(handler.events).to.eql(expected.events);
+            }
+            expect(expected.events[2]).to.equal('element /$text "\n    π is ∞\n"');
+            expect(expected.events[5]).to.equal('endCatalog / [\n    $type: /acme/Type/v1\n]');
+        });
+
+        it('should await an async handler', async function() {
+            const values = [];
+            const handler = {
+                element: async function(path, element) {
+                    await new Promise(function(resolve) { setTimeout(resolve, 1); });
+                    values.push(element.toNumber());
+                }
+            };
+            await bali.streamingParser(handler).parseStream(stream.Readable.from(['[1, 2, 3]']));
+            expect(values).to.eql([1, 2, 3]);
+        });
+
+    });
+
+    describe('Test the materialization of selected components', function() {
+
+        it('should materialize the selected components only', async function() {
+            const handler = recorder(function(path) {
+                return path.length === 2 && path[0].toString() === '$items';
+            });
+            const source = fs.readFileSync('test/source/examples.bali', 'utf8');
+            await bali.streamingParser(handler).parseStream(chunks(source, 16));
+            const items = handler.events.filter(function(event) {
+                return event.startsWith('component');
+            });
+            expect(items.length).to.equal(2);
+            expect(handler.events).to.not.include('key /$items/1 $name');
+            const document = bali.component(source);
+            expect(items[0]).to.equal('component /$items/1 ' + document.getAttribute('$items').getItem(1));
+        });
+
+        it('should produce the same components as the parser', async function() {
+            const files = ['citation.bali', 'components.bali', 'elements.bali', 'examples.bali', 'statements.bali'];
+            for (const file of files) {
+                const source = fs.readFileSync('test/source/' + file, 'utf8');
+                var document;
+                const handler = {
+                    select: function(path) { return path.length === 0; },
+                    component: function(path, component) { document = component; }
+                };
+                await bali.streamingParser(handler).parseStream(chunks(source, 7));
+                const expected = bali.component(source);
+                expect(document.isEqualTo(expected)).to.equal(true);
+                expect(document.toString()).to.equal(expected.toString());
+            }
+        });
+
+    });
+
+    describe('Test syntax errors', function() {
+
+        it('should report the location of a syntax error', async function() {
+            const invalid = {
+                '[\n    $a: 1\n    2\n]': [3, 6],
+                '[1, 2': [1, 6],
+                '[1, 2]\n]': [2, 1],
+                '[\n    $a: "bad\n]': [2, 9],
+                '[$a: 1, $b: 5($units: )]': [1, 13]
+            };
+            for (const source in invalid) {
+                try {
+                    await bali.streamingParser({}).parseStream(chunks(source, 3));
+                    expect.fail('The document should not have been parsed: ' + source);
+                } catch (exception) {
+                    expect(exception.getAttribute('$exception').toString()).to.equal('$syntaxError');
+                    expect(exception.getAttribute('$line').toNumber()).to.equal(invalid[source][0]);
+                    expect(exception.getAttribute('$column').toNumber()).to.equal(invalid[source][1]);
+                }
+            }
+        });
+
+    });
+
+});
@@ -13,6 +13,8 @@ const mocha = require('mocha');
 const expect = require('chai').expect;
 const fs = require('fs');
 const bali = require('../').api(debug);
+const Parser = require('../src/utilities/Parser').Parser;
+const Formatter = require('../src/utilities/Formatter').Formatter;
 const style = 'https://bali-nebula.net/static/styles/BDN.css';
 
 
@@ -173,4 +175,494 @@ describe('Bali Nebula™ Component Framework - Transformers', function() {
 
     });
 
+    describe('Test the data parser', function() {
+
+        const files = fs.readdirSync('test/source').filter(function(file) {
+            return file.endsWith('.bali');
+        });
+        const generated = bali.parser();
+        const fast = bali.parser({fast: true});
+
+        it('should produce the same components as the generated parser', function() {
+            expect(files.length).to.be.above(0);
+            files.forEach(function(file) {
+                const document = fs.readFileSync('test/source/' + file, 'utf8');
+                const component = fast.parseDocument(document);
+                const expected = generated.parseDocument(document);
+                expect(component.isEqualTo(expected)).to.equal(true);
+                expect(component.toBDN()).to.equal(expected.toBDN());
+            });
+            const sources = [
+                '( 3 ,4i )', '(5 e^~πi)', 'pi i', '1 ..5', '..', '0..', '"a\\"b"', '"x"?', '/a/*comment*/',
+                '[\n]', '[ ]', '[:]', '[1 ,2]', '[\n    $a: 1 /* comment */\n    -- comment\n    $b: 2\n]',
+                '[\n    (3, 4i): 5\n    1..2: "\n        indented\n            text\n    "\n]($type: /acme/Type/v1)'
+            ];
+            sources.forEach(function(source) {
+                const component = fast.parseComponent(source);
+                expect(component.isEqualTo(generated.parseComponent(source))).to.equal(true);
+                expect(component.toBDN()).to.equal(generated.parseComponent(source).toBDN());
+            });
+        });
+
+        it('should throw the same exceptions as the generated parser', function() {
+            const sources = [
+                '[1,\n2]', '[\n\n1\n]', '[\n    $a: 1  -- comment\n    $b: 2\n]', '(0, 1i)', '[$a: 1, 2]',
+                '[$a:=5]', '5()', '5(:)', '~5($units: $foo)', 'v1.0', '$a-0', '[1, 2]($type: /bali/Bad/v1)'
+            ];
+            sources.forEach(function(source) {
+                var expected;
+                try {
+                    generated.parseDocument(source);
+                } catch (exception) {
+                    expected = exception;
+                }
+                expect(expected).to.exist;
+                try {
+                    fast.parseDocument(source);
+                    expect.fail('The document should not be parsed: ' + source);
+                } catch (exception) {
+                    expect(exception.toString()).to.equal(expected.toString());
+                }
+            });
+        });
+
+    });
+
+    describe('Test parser error recovery', function() {
+
+        it('should throw an exception for the first syntax error by default', function() {
+            try {
+                bali.parser().parseDocument('[$a: 1, $b: @, $c: 3]');
+                expect.fail('The document should contain a syntax error.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$syntaxError');
+            }
+        });
+
+        it('should report every syntax error when recovering', function() {
+            const parser = bali.parser({recover: true});
+            const component = parser.parseDocument('[\n    $a: 1\n    $b: ¿\n    $c: "unterminated\n]');
+            expect(component).to.exist;
+            const diagnostics = parser.getDiagnostics();
+            expect(diagnostics.getSize()).to.equal(4);
+            const diagnostic = diagnostics.getItem(1);
+            expect(diagnostic.getAttribute('$line').toString()).to.equal('3');
+            expect(diagnostic.getAttribute('$column').toString()).to.equal('8');
+            expect(diagnostic.getAttribute('$message').getValue()).to.equal("An unexpected character was encountered: '¿'");
+            expect(diagnostic.getAttribute('$context').getValue()).to.contain('[3]:     $b: ¿');
+        });
+
+        it('should return a partial component when recovering', function() {
+            const parser = bali.parser({recover: true});
+            const component = parser.parseDocument('[$a: 1 $b: 2]');
+            expect(component.isEqualTo(bali.component('[$a: 1]'))).to.equal(true);
+            const diagnostic = parser.getDiagnostics().getItem(1);
+            expect(diagnostic.getAttribute('$token').getValue()).to.equal('$b');
+            expect(diagnostic.getAttribute('$column').toString()).to.equal('7');
+        });
+
+        it('should not report diagnostics for a valid document', function() {
+            const parser = bali.parser({recover: true});
+            parser.parseDocument('[$a: 1 $b: 2]');
+            parser.parseDocument('[$a: 1, $b: 2]');
+            expect(parser.getDiagnostics().isEmpty()).to.equal(true);
+        });
+
+    });
+
+    describe('Test parser limits', function() {
+
+        const limitExceeded = function(limits, source) {
+            try {
+                bali.parser({limits: limits}).parseDocument(source);
+                expect.fail('The document should exceed a limit.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$limitExceeded');
+                return exception;
+            }
+        };
+
+        it('should parse a document that is within the limits', function() {
+            const limits = {size: 1000000, depth: 50, text: 10000, items: 1000};
+            const files = ['certificate', 'citation', 'components', 'elements', 'examples', 'statements'];
+            files.forEach(function(file) {
+                const document = fs.readFileSync('test/source/' + file + '.bali', 'utf8');
+                const component = bali.parser({limits: limits}).parseDocument(document);
+                expect(component.isEqualTo(bali.component(document))).to.equal(true);
+            });
+            expect(bali.parser({limits: {items: 0}}).parseDocument('[:]').getSize()).to.equal(0);
+        });
+
+        it('should limit the size of a document', function() {
+            const exception = limitExceeded({size: 8}, '[1, 2,\n 3]');
+            expect(exception.getAttribute('$limit').toString()).to.equal('$size');
+            expect(exception.getAttribute('$maximum').toString()).to.equal('8');
+            expect(exception.getAttribute('$line').toString()).to.equal('2');
+            expect(exception.getAttribute('$column').toString()).to.equal('1');
+        });
+
+        it('should limit the nesting depth of a document', function() {
+            bali.parser({limits: {depth: 3}}).parseDocument('[[[1]]]');
+            const exception = limitExceeded({depth: 100}, '['.repeat(100000) + ']'.repeat(100000));
+            expect(exception.getAttribute('$limit').toString()).to.equal('$depth');
+            expect(exception.getAttribute('$column').toString()).to.equal('100');
+        });
+
+        it('should limit the length of a text element', function() {
+            bali.parser({limits: {text: 5}}).parseDocument('"hello"');
+            const exception = limitExceeded({text: 5}, '[\n    $a: "hello"\n    $b: "\n        goodbye\n    "\n]');
+            expect(exception.getAttribute('$limit').toString()).to.equal('$text');
+            expect(exception.getAttribute('$line').toString()).to.equal('3');
+            expect(exception.getAttribute('$column').toString()).to.equal('8');
+        });
+
+        it('should limit the number of items in a catalog or list', function() {
+            bali.parser({limits: {items: 2}}).parseDocument('[$a: [1, 2], $b: 5($x: 1, $y: 2)]');
+            var exception = limitExceeded({items: 2}, '[\n    $a: 1\n    $b: [1, 2]\n    $c: 3\n]');
+            expect(exception.getAttribute('$limit').toString()).to.equal('$items');
+            expect(exception.getAttribute('$line').toString()).to.equal('4');
+            expect(exception.getAttribute('$column').toString()).to.equal('4');
+            exception = limitExceeded({items: 1}, '[$a: 5($x: 1, $y: 2)]');
+            expect(exception.getAttribute('$column').toString()).to.equal('14');
+        });
+
+    });
+
+    describe('Test source ranges', function() {
+
+        const source = '[\n    $a: 1\n    $b: "two"($x: 5)\n    $c: {\n        $x := y + 2\n    }\n]\n';
+
+        it('should not attach source ranges by default', function() {
+            const component = bali.parser().parseDocument(source);
+            expect(component.sourceRange).to.not.exist;
+        });
+
+        it('should attach source ranges to collections and associations', function() {
+            const component = bali.parser({ranges: true}).parseDocument(source);
+            expect(component.sourceRange).to.deep.equal({
+                start: {line: 1, column: 0, offset: 0},
+                end: {line: 7, column: 1, offset: 70}
+            });
+            const association = component.getItem(2);
+            expect(association.sourceRange).to.deep.equal({
+                start: {line: 3, column: 4, offset: 16},
+                end: {line: 3, column: 20, offset: 32}
+            });
+        });
+
+        it('should attach source ranges to elements', function() {
+            const component = bali.parser({ranges: true}).parseDocument(source);
+            const association = component.getItem(2);
+            expect(association.getKey().sourceRange).to.deep.equal({
+                start: {line: 3, column: 4, offset: 16},
+                end: {line: 3, column: 6, offset: 18}
+            });
+            const value = association.getValue();
+            expect(source.slice(value.sourceRange.start.offset, value.sourceRange.end.offset)).to.equal('"two"($x: 5)');
+        });
+
+        it('should attach source ranges to parse tree nodes', function() {
+            const component = bali.parser({ranges: true}).parseDocument(source);
+            const procedure = component.getAttribute('$c');
+            expect(procedure.sourceRange.start.line).to.equal(4);
+            expect(procedure.sourceRange.end.line).to.equal(6);
+            const statement = procedure.getStatements().getItem(1);
+            expect(statement.sourceRange).to.deep.equal({
+                start: {line: 5, column: 8, offset: 51},
+                end: {line: 5, column: 19, offset: 62}
+            });
+            const expression = statement.getItem(1).getItem(2);
+            expect(source.slice(expression.sourceRange.start.offset, expression.sourceRange.end.offset)).to.equal('y + 2');
+        });
+
+    });
+
+    describe('Test comment preservation', function() {
+
+        const source =
+            '-- header\n' +
+            '[\n' +
+            '    -- the first\n' +
+            '    $a: 1 /* one */\n' +
+            '    $b: {\n' +
+            '        -- assign\n' +
+            '        $x := 5 /* five */\n' +
+            '        return x\n' +
+            '    }\n' +
+            '    -- the end\n' +
+            ']\n';
+
+        it('should discard comments by default', function() {
+            const component = bali.parser().parseDocument(source);
+            expect(component.toBDN()).to.not.contain('--');
+        });
+
+        it('should attach comments to the nearest component', function() {
+            const component = bali.parser({comments: true}).parseDocument(source);
+            expect(component.comments.leading).to.deep.equal(['-- header']);
+            const first = component.getItem(1);
+            expect(first.comments).to.deep.equal({leading: ['-- the first'], trailing: ['/* one */']});
+            const second = component.getItem(2);
+            expect(second.comments.trailing).to.deep.equal(['-- the end']);
+            const statement = second.getValue().getStatements().getItem(1);
+            expect(statement.comments).to.deep.equal({leading: ['-- assign'], trailing: ['/* five */']});
+        });
+
+        it('should format the comments that were parsed', function() {
+            const component = bali.parser({comments: true}).parseDocument(source);
+            const formatted = component.toBDN() + '\n';  // add POSIX <EOL>
+            expect(formatted).to.equal(source);
+        });
+
+        it('should preserve a trailing comment at the end of the document', function() {
+            const parser = bali.parser({comments: true});
+            const component = parser.parseDocument('[\n    $a: 1\n]\n-- footer\n');
+            const formatted = component.toBDN();
+            expect(formatted).to.equal('[\n    $a: 1\n]\n-- footer\n');
+            expect(parser.parseDocument(formatted).isEqualTo(component)).to.equal(true);
+        });
+
+    });
+
+    describe('Test parsing entry points', function() {
+
+        const parser = bali.parser();
+
+        it('should parse a component', function() {
+            const component = parser.parseComponent('[1, 2]($type: /bali/collections/Set/v1)');
+            expect(component.getType()).to.equal('/bali/collections/Set');
+            expect(component.isEqualTo(bali.component('[1, 2]($type: /bali/collections/Set/v1)'))).to.equal(true);
+        });
+
+        it('should parse an element', function() {
+            expect(parser.parseElement('$foo').getType()).to.equal('/bali/elements/Symbol');
+            expect(parser.parseElement('"text"').getValue()).to.equal('text');
+            expect(parser.parseElement('~pi').toBDN()).to.equal('~π');
+        });
+
+        it('should parse an expression', function() {
+            const tree = parser.parseExpression('x + 1');
+            expect(tree.getType()).to.equal('/bali/structures/ArithmeticExpression');
+            expect(tree.toBDN()).to.equal('x + 1');
+        });
+
+        it('should parse a statement', function() {
+            const tree = parser.parseStatement('if x then {return 1}');
+            expect(tree.getType()).to.equal('/bali/structures/Statement');
+            expect(tree.toBDN()).to.equal('if x then {\n    return 1\n}');
+        });
+
+        it('should parse a sequence of statements', function() {
+            var tree = parser.parseStatements('$x := 5; return x');
+            expect(tree.getType()).to.equal('/bali/structures/Statements');
+            expect(tree.getSize()).to.equal(2);
+            tree = parser.parseStatements('\n$x := 5\nreturn x\n');
+            expect(tree.getSize()).to.equal(2);
+            tree = parser.parseStatements('');
+            expect(tree.isEmpty()).to.equal(true);
+        });
+
+        it('should not parse a string that does not match the rule', function() {
+            [
+                ['parseComponent', '[1, 2] 3'],
+                ['parseElement', '[1]'],
+                ['parseExpression', 'x +'],
+                ['parseStatement', '$x := 5; return x'],
+                ['parseStatements', '$x := 5; $y :=']
+            ].forEach(function(test) {
+                try {
+                    parser[test[0]](test[1]);
+                    expect.fail('The string should not be parsed: ' + test[1]);
+                } catch (exception) {
+                    expect(exception.getAttribute('$exception').toString()).to.equal('$syntaxError');
+                }
+            });
+        });
+
+    });
+
+    describe('Test the token stream', function() {
+
+        const source = '[\n    $a: ~pi -- note\n\n    $b: {return x + 1} /* code */\n    $c: ¿ none\n]';
+
+        it('should cover the entire source string', function() {
+            const tokens = bali.parser().tokenize(source);
+            expect(tokens.map(function(token) { return token.text; }).join('')).to.equal(source);
+            var offset = 0;
+            tokens.forEach(function(token) {
+                expect(token.start).to.equal(offset);
+                offset = token.end;
+            });
+        });
+
+        it('should categorize each token', function() {
+            const tokens = bali.parser().tokenize(source).filter(function(token) {
+                return token.type !== 'whitespace' && token.type !== 'newline';
+            });
+            expect(tokens.map(function(token) { return token.type + ' ' + token.text.trim(); })).to.deep.equal([
+                'punctuation [',
+                'symbol $a', 'punctuation :', 'angle ~pi', 'comment -- note',
+                'symbol $b', 'punctuation :', 'punctuation {', 'keyword return', 'identifier x',
+                'punctuation +', 'number 1', 'punctuation }', 'comment /* code */',
+                'symbol $c', 'punctuation :', 'error ¿', 'pattern none',
+                'punctuation ]'
+            ]);
+        });
+
+        it('should record the position of each token', function() {
+            const tokens = bali.parser().tokenize(source);
+            const keyword = tokens.find(function(token) { return token.type === 'keyword'; });
+            expect(keyword).to.deep.equal({type: 'keyword', text: 'return', line: 4, column: 9, start: 32, end: 38});
+            expect(tokens[2]).to.deep.equal({type: 'whitespace', text: '    ', line: 2, column: 0, start: 2, end: 6});
+        });
+
+    });
+
+    describe('Test formatting options', function() {
+        const source =
+            '[\n' +
+            '    $type: /acme/events/Shipped/v1\n' +
+            '    $order: [\n' +
+            '        $id: 1\n' +
+            '        $items: [\n' +
+            '            1\n' +
+            '            2\n' +
+            '            3\n' +
+            '        ]\n' +
+            '    ](\n' +
+            '        $type: /acme/Order/v1\n' +
+            '        $version: v1\n' +
+            '    )\n' +
+            '    $script: {\n' +
+            '        $x := [\n' +
+            '            1\n' +
+            '            2\n' +
+            '        ]\n' +
+            '        return x\n' +
+            '    }\n' +
+            ']';
+
+        it('should use the canonical layout by default', function() {
+            const component = bali.component(source);
+            expect(component.toBDN()).to.equal(source);
+            expect(component.toBDN(0, {})).to.equal(source);
+        });
+
+        it('should inline the collections and parameters that fit within the line width', function() {
+            const component = bali.component(source);
+            var formatted = component.toBDN(0, {width: 60});
+            expect(formatted).to.equal(
+                '[\n' +
+                '    $type: /acme/events/Shipped/v1\n' +
+                '    $order: [\n' +
+                '        $id: 1\n' +
+                '        $items: [1, 2, 3]\n' +
+                '    ]($type: /acme/Order/v1, $version: v1)\n' +
+                '    $script: {\n' +
+                '        $x := [1, 2]\n' +
+                '        return x\n' +
+                '    }\n' +
+                ']'
+            );
+            expect(bali.component(formatted).isEqualTo(component)).to.equal(true);
+            formatted = component.toBDN(0, {width: 40});
+            expect(formatted).to.contain('    ](\n        $type: /acme/Order/v1\n        $version: v1\n    )');
+            expect(bali.component(formatted).isEqualTo(component)).to.equal(true);
+            formatted = bali.component('[1, 2, 3]').toBDN(0, {width: 80});
+            expect(formatted).to.equal('[1, 2, 3]');
+        });
+
+        it('should take the indentation into account', function() {
+            const component = bali.component('[$a: 1, $b: 2]');
+            expect(component.toBDN(0, {width: 14})).to.equal('[$a: 1, $b: 2]');
+            expect(component.toBDN(1, {width: 14})).to.equal('[\n        $a: 1\n        $b: 2\n    ]');
+        });
+
+        it('should format a component on a single line in compact mode', function() {
+            const component = bali.component(source);
+            const formatted = component.toBDN(0, {compact: true});
+            expect(formatted).to.equal(
+                '[$type: /acme/events/Shipped/v1, $order: [$id: 1, $items: [1, 2, 3]]' +
+                '($type: /acme/Order/v1, $version: v1), $script: {$x := [1, 2]; return x}]'
+            );
+            expect(bali.component(formatted).isEqualTo(component)).to.equal(true);
+            expect(bali.component('{}').toBDN(0, {compact: true})).to.equal('{}');
+        });
+
+        it('should join the lines of a long binary string in compact mode', function() {
+            const binary = bali.binary(Buffer.alloc(64, 7));
+            expect(binary.toBDN()).to.contain('\n');
+            const formatted = binary.toBDN(0, {compact: true});
+            expect(formatted).to.not.contain('\n');
+            expect(bali.component(formatted).isEqualTo(binary)).to.equal(true);
+        });
+
+    });
+
+    describe('Test the canonical form', function() {
+        const first = bali.component('[$b: 2, $a: [$y: 1.5, $x: "hi"]($version: v1, $type: /acme/Point/v1)]');
+        const second = bali.component('[$a: [$x: "hi", $y: 1.5]($type: /acme/Point/v1, $version: v1), $b: 2]');
+
+        it('should order the associations by their keys', function() {
+            const canonical = '[$a: [$x: "hi", $y: 1.5]($type: /acme/Point/v1, $version: v1), $b: 2]';
+            expect(first.toBDN(0, {canonical: true})).to.equal(canonical);
+            expect(second.toBDN(0, {canonical: true})).to.equal(canonical);
+            expect(first.toBDN()).to.not.equal(second.toBDN());  // the order is normally preserved
+        });
+
+        it('should preserve the order of the items in a list', function() {
+            const list = bali.component('[3, 1, 2]');
+            expect(list.toBDN(0, {canonical: true})).to.equal('[3, 1, 2]');
+        });
+
+        it('should remove any comments', function() {
+            const parser = bali.parser({comments: true});
+            const component = parser.parseDocument('[\n    -- first\n    $b: 2  /* second */\n    $a: 1\n]');
+            expect(component.toBDN(0, {canonical: true})).to.equal('[$a: 1, $b: 2]');
+        });
+
+        it('should calculate the same digest for equal components', function() {
+            const digest = first.getDigest();
+            expect(digest.getType()).to.equal('/bali/elements/Binary');
+            expect(digest.getValue().length).to.equal(64);
+            expect(digest.isEqualTo(second.getDigest())).to.equal(true);
+            expect(digest.isEqualTo(bali.component('[$a: 1]').getDigest())).to.equal(false);
+        });
+
+        it('should calculate a digest using the requested algorithm and format', function() {
+            const digest = first.getDigest('$sha256');
+            expect(digest.getValue().length).to.equal(32);
+            const tag = first.getDigest('$sha256', '$tag');
+            expect(tag.getType()).to.equal('/bali/elements/Tag');
+            expect(tag.getSize()).to.equal(32);
+            expect(tag.getBytes().equals(digest.getValue())).to.equal(true);
+            expect(tag.isEqualTo(second.getDigest('$sha256', '$tag'))).to.equal(true);
+            expect(bali.component(tag.toString()).isEqualTo(tag)).to.equal(true);
+        });
+
+        it('should not calculate a digest using an unknown algorithm', function() {
+            expect(
+                function() {
+                    first.getDigest('$md5');
+                }
+            ).to.throw();
+        });
+
+    });
+
+    describe('Test the original constructor forms', function() {
+
+        it('should accept the debug level as the only argument to the parser', function() {
+            const component = new Parser(debug).parseDocument('[1, 2]');
+            expect(component.getSize()).to.equal(2);
+            expect(component.toString()).to.equal('[\n    1\n    2\n]');
+        });
+
+        it('should accept the debug level as the second argument to the formatter', function() {
+            const formatter = new Formatter(1, debug);
+            expect(formatter.formatComponent(bali.component('[1, 2]'))).to.equal('[\n        1\n        2\n    ]');
+        });
+
+    });
+
 });